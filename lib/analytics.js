@@ -0,0 +1,262 @@
+// Performance analytics. The session samples every team's portfolio value and capital while a
+// phase is running and at each trading-round boundary; metrics are derived from those samples and
+// from a replay of the team's trades (average-cost basis for realised and unrealised P&L).
+// Returns are net of capital flows: money the admin allocates or deducts between two samples is
+// taken off the later value, so it counts as neither a gain nor a loss.
+
+const { getPositionsValue } = require('./futures');
+
+const SAMPLE_SECONDS = 5;
+const MAX_SAMPLES = 2000;
+
+// Actions that move stock, as opposed to CASH entries such as fund allocations and borrow fees
+const STOCK_ACTIONS = ['buy', 'sell', 'short_sell', 'cover_short', 'cover_short_forced', 'auction_allocation'];
+// Corporate-action entries that change share counts without a trade
+const SHARE_ADJUSTMENTS = ['split', 'bonus'];
+// Futures trades carry the cash they realised; marks and expiries pay the variation as `price`
+const FUTURES_TRADES = ['future_buy', 'future_sell'];
+const FUTURES_SETTLEMENTS = ['variation_margin', 'future_settlement'];
+
+function createPerformance() {
+  return { samples: {}, rounds: {} };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function recordSample(performance, teamId, value, round, capital) {
+  if (!performance.samples[teamId]) performance.samples[teamId] = [];
+  const samples = performance.samples[teamId];
+  samples.push({ time: Date.now(), round, value: round2(value), capital: round2(capital) });
+  if (samples.length > MAX_SAMPLES) samples.shift();
+}
+
+// `round` is the round that just ended; round 0 marks the value when trading started
+function recordRoundBoundary(performance, teamId, value, round, capital) {
+  if (!performance.rounds[teamId]) performance.rounds[teamId] = [];
+  performance.rounds[teamId].push({ time: Date.now(), round, value: round2(value), capital: round2(capital) });
+}
+
+// The return from one { value, capital } point to the next, or null when the first is worth
+// nothing. Points saved before capital was recorded count as having no flow between them.
+function periodReturn(previous, point) {
+  if (previous.value === 0) return null;
+  const flow = previous.capital === undefined || point.capital === undefined ? 0 : point.capital - previous.capital;
+  return (point.value - flow) / previous.value - 1;
+}
+
+// `current` is the live { value, capital }
+function getRoundReturns(boundaries, current, currentRound, roundRunning) {
+  const returns = [];
+
+  boundaries.forEach((boundary, index) => {
+    const previous = boundaries[index - 1];
+    if (boundary.round === 0 || !previous || previous.value === 0) return;
+    returns.push({ round: boundary.round, return: periodReturn(previous, boundary) });
+  });
+
+  const last = boundaries[boundaries.length - 1];
+  if (roundRunning && last && last.value !== 0) {
+    returns.push({ round: currentRound, return: periodReturn(last, current), current: true });
+  }
+
+  return returns;
+}
+
+// The largest fall from a peak of the growth of one unit invested, compounded step by step
+function getMaxDrawdown(stepReturns) {
+  let growth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+
+  stepReturns.forEach(stepReturn => {
+    growth *= 1 + stepReturn;
+    peak = Math.max(peak, growth);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+  });
+
+  return maxDrawdown;
+}
+
+function getStepReturns(points) {
+  const returns = [];
+  for (let i = 1; i < points.length; i++) {
+    const stepReturn = periodReturn(points[i - 1], points[i]);
+    if (stepReturn !== null) returns.push(stepReturn);
+  }
+  return returns;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Replays the trades in order; fees are part of the cost of opening and the P&L of closing
+function getPositions(trades) {
+  const positions = {};
+  let closedTrades = 0;
+  let winningTrades = 0;
+  let turnover = 0;
+  let otherCosts = 0;
+  let corporateIncome = 0;
+  let futuresPnl = 0;
+  let p2pCash = 0;
+
+  trades.forEach(trade => {
+    if (FUTURES_TRADES.includes(trade.action)) {
+      futuresPnl += (trade.realised || 0) - (trade.fees || 0);
+      turnover += trade.quantity * trade.price;
+      return;
+    }
+    if (FUTURES_SETTLEMENTS.includes(trade.action)) {
+      futuresPnl += trade.price;
+      return;
+    }
+    if (trade.action === 'borrow_fee') {
+      otherCosts += trade.price;
+      return;
+    }
+    if (trade.action === 'p2p_cash') {
+      p2pCash += trade.price;
+      return;
+    }
+    if (trade.action === 'dividend') {
+      corporateIncome += trade.quantity * trade.price;
+      return;
+    }
+    if (trade.action === 'dividend_charge') {
+      corporateIncome -= trade.quantity * trade.price;
+      return;
+    }
+    const isAdjustment = SHARE_ADJUSTMENTS.includes(trade.action) || trade.action === 'cash_in_lieu';
+    if (!STOCK_ACTIONS.includes(trade.action) && !isAdjustment) return;
+
+    const symbol = trade.symbol;
+    if (!positions[symbol]) positions[symbol] = { long: 0, longCost: 0, short: 0, shortProceeds: 0, realised: 0 };
+    const position = positions[symbol];
+
+    // The cost basis stays the same and is spread over the new number of shares; cash paid
+    // for a fractional share comes off the basis, as if that fraction had been sold at cost
+    if (trade.action === 'cash_in_lieu') {
+      if (trade.side === 'short') position.shortProceeds += trade.price;
+      else position.longCost -= trade.price;
+      return;
+    }
+    if (isAdjustment) {
+      position[trade.side === 'short' ? 'short' : 'long'] += trade.quantity;
+      return;
+    }
+
+    const fees = trade.fees || 0;
+    const notional = trade.quantity * trade.price;
+    turnover += notional;
+
+    let realised = null;
+    if (trade.action === 'buy' || trade.action === 'auction_allocation') {
+      position.long += trade.quantity;
+      position.longCost += notional + fees;
+    } else if (trade.action === 'short_sell') {
+      position.short += trade.quantity;
+      position.shortProceeds += notional - fees;
+    } else if (trade.action === 'sell') {
+      if (position.long > 0) {
+        const quantity = Math.min(trade.quantity, position.long);
+        const cost = position.longCost * quantity / position.long;
+        realised = quantity * trade.price - fees - cost;
+        position.long -= quantity;
+        position.longCost -= cost;
+      }
+    } else if (position.short > 0) {
+      const quantity = Math.min(trade.quantity, position.short);
+      const proceeds = position.shortProceeds * quantity / position.short;
+      realised = proceeds - quantity * trade.price - fees;
+      position.short -= quantity;
+      position.shortProceeds -= proceeds;
+    }
+
+    if (realised !== null) {
+      position.realised += realised;
+      closedTrades++;
+      if (realised > 0) winningTrades++;
+    }
+  });
+
+  return { positions, closedTrades, winningTrades, turnover, otherCosts, corporateIncome, futuresPnl, p2pCash };
+}
+
+// The starting balance plus whatever the admin allocated or took away since
+function getCapital(team) {
+  return (team.trades || [])
+    .filter(trade => trade.action === 'fund_allocation')
+    .reduce((total, trade) => total + trade.quantity * trade.price, team.startingBalance || 0);
+}
+
+// `context` carries the live values the samples do not: { stocks, portfolioValue, currentRound, roundRunning }
+function computeMetrics(performance, team, context) {
+  const { stocks, portfolioValue, currentRound, roundRunning } = context;
+  const samples = performance.samples[team.id] || [];
+  const boundaries = performance.rounds[team.id] || [];
+
+  const capital = getCapital(team);
+  const current = { value: portfolioValue, capital };
+  const stepReturns = getStepReturns([...samples, current]);
+  const volatility = stdev(stepReturns);
+  const { positions, closedTrades, winningTrades, turnover, otherCosts, corporateIncome, futuresPnl, p2pCash } = getPositions(team.trades || []);
+
+  const bySymbol = {};
+  let realisedPnl = 0;
+  let unrealisedPnl = getPositionsValue(team, stocks);
+
+  Object.entries(positions).forEach(([symbol, position]) => {
+    const price = stocks[symbol] ? stocks[symbol].price : 0;
+    const unrealised = (position.long * price - position.longCost) + (position.shortProceeds - position.short * price);
+    realisedPnl += position.realised;
+    unrealisedPnl += unrealised;
+    bySymbol[symbol] = {
+      long: position.long,
+      short: position.short,
+      averageCost: position.long > 0 ? round2(position.longCost / position.long) : null,
+      averageShortPrice: position.short > 0 ? round2(position.shortProceeds / position.short) : null,
+      realised: round2(position.realised),
+      unrealised: round2(unrealised)
+    };
+  });
+
+  return {
+    teamId: team.id,
+    teamName: team.name,
+    portfolioValue: round2(portfolioValue),
+    capital: round2(capital),
+    totalReturn: capital > 0 ? portfolioValue / capital - 1 : 0,
+    roundReturns: getRoundReturns(boundaries, current, currentRound, roundRunning),
+    maxDrawdown: getMaxDrawdown(stepReturns),
+    volatility,
+    // Mean over standard deviation of the sample-to-sample returns, no risk-free rate
+    sharpe: volatility > 0 ? mean(stepReturns) / volatility : 0,
+    turnover: capital > 0 ? turnover / capital : 0,
+    closedTrades,
+    winRate: closedTrades > 0 ? winningTrades / closedTrades : null,
+    realisedPnl: round2(realisedPnl - otherCosts + corporateIncome + futuresPnl + p2pCash),
+    unrealisedPnl: round2(unrealisedPnl),
+    borrowFees: round2(otherCosts),
+    corporateIncome: round2(corporateIncome),
+    futuresPnl: round2(futuresPnl),
+    bySymbol
+  };
+}
+
+module.exports = {
+  SAMPLE_SECONDS,
+  createPerformance,
+  recordSample,
+  recordRoundBoundary,
+  getCapital,
+  computeMetrics
+};
@@ -0,0 +1,180 @@
+const express = require('express');
+const { rejection, validate } = require('./validation');
+
+// HTTP API for bots, mirroring the team socket events. Every route answers with the same
+// { success, ... } / { success: false, code, error } bodies the sockets use; see docs/API.md.
+
+const STATUS_BY_CODE = {
+  INVALID_PAYLOAD: 400,
+  INVALID_QUANTITY: 400,
+  INVALID_PRICE: 400,
+  INVALID_AMOUNT: 400,
+  INVALID_TEXT: 400,
+  INVALID_LOT: 400,
+  INVALID_TICK: 400,
+  AUTH_REQUIRED: 401,
+  INVALID_CREDENTIALS: 401,
+  MEMBER_REQUIRED: 401,
+  NOT_AUTHORISED: 403,
+  UNKNOWN_ACTION: 400,
+  UNKNOWN_SYMBOL: 404,
+  UNKNOWN_TEAM: 404,
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429
+};
+
+// Anything not listed is a conflict with the game state (phase closed, insufficient funds, ...)
+function statusFor(code) {
+  return STATUS_BY_CODE[code] || 409;
+}
+
+function send(res, result) {
+  res.status(result.success ? 200 : statusFor(result.code)).json(result);
+}
+
+// `findTeamByJoinCode(code)` returns the { session, team } a join code belongs to and
+// `getSession(id)` an active session; each session's `apiActions` are the team actions shared
+// with its socket handlers. `tokens` is an auth token store and `limiter` a rate limiter.
+function createApiRouter({ findTeamByJoinCode, getSession, tokens, limiter }) {
+  const router = express.Router();
+
+  function limit(key, res) {
+    const result = limiter.hit(key);
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      send(res, rejection('RATE_LIMITED'));
+      return false;
+    }
+    return true;
+  }
+
+  // Returns { session, team, memberId }; the join code alone only works for teams without members
+  function resolveTeam(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) {
+      const entry = tokens.verify(header.slice(7).trim());
+      const session = entry && getSession(entry.sessionId);
+      const team = session && session.getTeam(entry.teamId);
+      return team ? { session, team, memberId: entry.memberId || null } : null;
+    }
+
+    const joinCode = req.get('X-Join-Code');
+    const found = joinCode ? findTeamByJoinCode(joinCode) : null;
+    return found ? { ...found, memberId: null } : null;
+  }
+
+  // Exchanges a join code, plus a member's name and PIN once the team has members, for a
+  // bearer token so bots need not send credentials on every call
+  router.post('/token', (req, res) => {
+    if (!limit(`ip:${req.ip}`, res)) return;
+
+    const body = req.body || {};
+    const found = findTeamByJoinCode(body.joinCode);
+    if (!found) {
+      return send(res, rejection('INVALID_CREDENTIALS', 'Invalid join code'));
+    }
+
+    const { session, team } = found;
+    let member = null;
+    if (team.members.length > 0) {
+      if (!body.memberName || !body.pin) {
+        return send(res, rejection('MEMBER_REQUIRED', 'This team has members; send memberName and pin'));
+      }
+      member = session.authenticateMember(team.id, body.memberName, body.pin);
+      if (!member) {
+        return send(res, rejection('INVALID_CREDENTIALS', 'Invalid member name or PIN'));
+      }
+    }
+
+    const token = tokens.issue({ sessionId: session.id, teamId: team.id, memberId: member ? member.id : null });
+    send(res, { success: true, token, teamId: team.id, teamName: team.name, sessionId: session.id, member });
+  });
+
+  // Failed credentials count against the IP as /token calls do; an IP over its limit is
+  // refused before its credentials are checked, so join codes and tokens cannot be guessed
+  router.use((req, res, next) => {
+    const ipKey = `ip:${req.ip}`;
+    if (limiter.peek(ipKey).remaining === 0 && !limit(ipKey, res)) return;
+
+    const found = resolveTeam(req);
+    if (!found) {
+      if (!limit(ipKey, res)) return;
+      return send(res, rejection('AUTH_REQUIRED', 'Send Authorization: Bearer <token> or X-Join-Code'));
+    }
+    if (!found.memberId && found.team.members.length > 0) {
+      if (!limit(ipKey, res)) return;
+      return send(res, rejection('MEMBER_REQUIRED', 'This team has members; get a token with memberName and pin'));
+    }
+    if (!limit(`team:${found.team.id}`, res)) return;
+
+    req.teamId = found.team.id;
+    req.memberId = found.memberId;
+    req.actions = found.session.apiActions;
+    next();
+  });
+
+  // Calls the named action of the team's session with the team id, the request payload and the member
+  function handle(actionName, getPayload = () => undefined) {
+    return (req, res) => send(res, req.actions[actionName](req.teamId, getPayload(req), req.memberId));
+  }
+
+  // Validates the request against a socket schema before calling the action
+  function withBody(schemaName, actionName, getPayload = req => req.body) {
+    return (req, res) => {
+      const payload = getPayload(req);
+      const error = validate(schemaName, payload);
+      if (error) return send(res, error);
+      send(res, req.actions[actionName](req.teamId, payload, req.memberId));
+    };
+  }
+
+  router.get('/status', (req, res) => send(res, req.actions.getStatus()));
+  router.get('/quotes', (req, res) => send(res, req.actions.getQuotes()));
+  router.get('/quotes/:symbol', (req, res) => send(res, req.actions.getQuote(req.params.symbol)));
+  router.get('/teams', (req, res) => send(res, req.actions.listTeams()));
+  router.get('/portfolio', handle('getPortfolio'));
+
+  router.get('/performance', handle('getPerformance'));
+  router.get('/trades', handle('getTrades'));
+  router.post('/trades', withBody('execute_trade', 'executeTrade'));
+
+  router.get('/futures', (req, res) => send(res, req.actions.getFutures()));
+  router.post('/futures/trades', withBody('trade_future', 'tradeFuture'));
+
+  router.get('/auction', handle('getAuction'));
+  router.post('/auction/bids', withBody('submit_auction_bid', 'submitAuctionBid'));
+  router.delete('/auction/bids/:id', handle('cancelAuctionBid', req => ({ bidId: req.params.id })));
+
+  router.get('/requests', handle('getTradeRequests'));
+  router.post('/requests', withBody('send_trade_request', 'sendTradeRequest'));
+
+  router.post('/requests/:id/respond', withBody('respond_trade_request', 'respondTradeRequest',
+    req => ({ ...req.body, requestId: req.params.id })));
+  router.post('/requests/:id/counter', withBody('counter_trade_request', 'counterTradeRequest',
+    req => ({ ...req.body, requestId: req.params.id })));
+
+  router.get('/orders', handle('getOrders'));
+  router.post('/orders', withBody('place_order', 'placeOrder'));
+  router.delete('/orders/:id', handle('cancelOrder', req => ({ orderId: req.params.id })));
+
+  router.get('/messages', handle('getMessages'));
+  router.post('/messages', withBody('send_message', 'sendMessage'));
+  router.delete('/messages/:id', handle('deleteMessage', req => ({ messageId: req.params.id })));
+
+  router.use((req, res) => send(res, rejection('NOT_FOUND', `No API route for ${req.method} ${req.path}`)));
+
+  return router;
+}
+
+// Mount after the router: malformed JSON bodies from express.json() end up here
+function handleApiError(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  send(res, rejection('INVALID_PAYLOAD'));
+}
+
+module.exports = {
+  createApiRouter,
+  handleApiError
+};
@@ -0,0 +1,121 @@
+// Sealed-bid IPO auction for the portfolio allocation phase. The admin offers a fixed supply of
+// some instruments; while the phase runs, teams bid a price and quantity for them, and the
+// whole bid value is taken from cash into escrow. Nobody sees anyone else's bids. When the
+// phase ends each instrument clears at one uniform price, the lowest price that sells the
+// supply: bids above it are filled in full and bids at it share what is left pro rata to
+// their quantity, in whole lots. Escrow not spent on the allocation is refunded.
+//
+// Bids below the instrument's price, which is the admin's reserve price, are refused.
+
+const MAX_BIDS_PER_TEAM = 20;
+const MAX_SUPPLY = 1e9;
+
+function createAuction() {
+  return { enabled: false, supply: {}, bids: [], results: null };
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+// Returns { enabled, supply } from admin input; throws with a readable message when invalid.
+// Instruments left out of `supply`, or offered at 0, are not auctioned.
+function sanitizeSetup(input, stocks) {
+  if (!input || typeof input !== 'object') fail('Auction setup must be an object');
+  if (typeof input.enabled !== 'boolean') fail('enabled must be true or false');
+
+  const supply = {};
+  Object.entries(input.supply || {}).forEach(([symbol, quantity]) => {
+    const stock = stocks[symbol];
+    if (!stock) fail(`Unknown symbol "${symbol}"`);
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_SUPPLY) fail(`${symbol}: supply must be a whole number`);
+    if (quantity % (stock.lotSize || 1) !== 0) fail(`${symbol}: supply must be a whole number of lots (${stock.lotSize})`);
+    if (quantity > 0) supply[symbol] = quantity;
+  });
+  if (input.enabled && Object.keys(supply).length === 0) fail('Offer a supply of at least one instrument');
+
+  return { enabled: input.enabled, supply };
+}
+
+// Shares `units` among `bids` pro rata to their quantity in whole lots; lots left over by the
+// rounding go one at a time to the earliest bids
+function shareProRata(bids, units, lotSize) {
+  const total = bids.reduce((sum, bid) => sum + bid.quantity, 0);
+  const shares = bids.map(bid => Math.floor(units * bid.quantity / total / lotSize) * lotSize);
+  let left = units - shares.reduce((sum, share) => sum + share, 0);
+
+  const byTime = bids.map((bid, index) => index).sort((a, b) => bids[a].time - bids[b].time);
+  while (left >= lotSize) {
+    const before = left;
+    for (const index of byTime) {
+      if (left < lotSize) break;
+      if (shares[index] + lotSize <= bids[index].quantity) {
+        shares[index] += lotSize;
+        left -= lotSize;
+      }
+    }
+    if (left === before) break;
+  }
+  return shares;
+}
+
+// Clears one instrument. Returns the uniform price (null when nobody bid) and each bid's fill.
+function clearInstrument(supply, bids, lotSize) {
+  const sorted = [...bids].sort((a, b) => b.price - a.price || a.time - b.time);
+  const demand = sorted.reduce((sum, bid) => sum + bid.quantity, 0);
+  const fills = {};
+  sorted.forEach(bid => { fills[bid.id] = 0; });
+  if (sorted.length === 0) return { clearingPrice: null, demand, allocated: 0, fills };
+
+  // Undersubscribed: everyone is filled at the lowest bid
+  if (demand <= supply) {
+    sorted.forEach(bid => { fills[bid.id] = bid.quantity; });
+    return { clearingPrice: sorted[sorted.length - 1].price, demand, allocated: demand, fills };
+  }
+
+  let remaining = supply;
+  let clearingPrice = null;
+  const prices = [...new Set(sorted.map(bid => bid.price))];
+  for (const price of prices) {
+    const atPrice = sorted.filter(bid => bid.price === price);
+    const wanted = atPrice.reduce((sum, bid) => sum + bid.quantity, 0);
+    clearingPrice = price;
+    if (wanted <= remaining) {
+      atPrice.forEach(bid => { fills[bid.id] = bid.quantity; });
+      remaining -= wanted;
+      if (remaining === 0) break;
+    } else {
+      shareProRata(atPrice, remaining, lotSize).forEach((share, index) => { fills[atPrice[index].id] = share; });
+      break;
+    }
+  }
+
+  const allocated = Object.values(fills).reduce((sum, quantity) => sum + quantity, 0);
+  return { clearingPrice, demand, allocated, fills };
+}
+
+// Clears every instrument on offer; the result for each is public, fills are by bid id
+function clear(auction, stocks) {
+  const fills = {};
+  const results = Object.entries(auction.supply).map(([symbol, supply]) => {
+    const bids = auction.bids.filter(bid => bid.symbol === symbol);
+    const lotSize = stocks[symbol] ? stocks[symbol].lotSize || 1 : 1;
+    const cleared = clearInstrument(supply, bids, lotSize);
+    Object.assign(fills, cleared.fills);
+    return { symbol, supply, bids: bids.length, clearingPrice: cleared.clearingPrice, demand: cleared.demand, allocated: cleared.allocated };
+  });
+  return { results, fills };
+}
+
+// What every player may see: the offer and, after clearing, the results, but no bids
+function publicView(auction) {
+  return { enabled: auction.enabled, supply: auction.supply, results: auction.results };
+}
+
+module.exports = {
+  MAX_BIDS_PER_TEAM,
+  createAuction,
+  sanitizeSetup,
+  clear,
+  publicView
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { rejection } = require('./validation');
+
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, '..', 'config.json');
+const TOKEN_TTL = 12 * 60 * 60 * 1000;
+
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${CONFIG_FILE}:`, err.message);
+    return {};
+  }
+}
+
+// ADMIN_PASSWORD wins over config.json; with neither set a random password is generated
+function resolveAdminPassword() {
+  if (process.env.ADMIN_PASSWORD) {
+    return { password: process.env.ADMIN_PASSWORD, source: 'ADMIN_PASSWORD' };
+  }
+
+  const config = readConfigFile();
+  if (config.adminPassword) {
+    return { password: String(config.adminPassword), source: CONFIG_FILE };
+  }
+
+  return { password: crypto.randomBytes(9).toString('base64url'), source: null };
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Session admin passwords are stored as salted scrypt hashes in the session index
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(String(password), salt, 32).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  if (typeof stored !== 'string' || !stored.includes(':')) return false;
+  const [salt, hash] = stored.split(':');
+  return safeEqual(crypto.scryptSync(String(password), salt, 32).toString('hex'), hash);
+}
+
+// With `load` and `save` the tokens are kept on disk, so they outlive a server restart
+function createTokenStore({ ttl = TOKEN_TTL, load = null, save = null } = {}) {
+  const tokens = new Map(Object.entries((load && load()) || {}));
+
+  // Writes the unexpired tokens
+  function persist() {
+    if (!save) return;
+    const now = Date.now();
+    tokens.forEach((entry, token) => {
+      if (entry.expiresAt < now) tokens.delete(token);
+    });
+    try {
+      save(Object.fromEntries(tokens));
+    } catch (err) {
+      console.error('Failed to persist tokens:', err.message);
+    }
+  }
+
+  function issue(data = {}) {
+    const token = crypto.randomBytes(24).toString('hex');
+    tokens.set(token, { ...data, expiresAt: Date.now() + ttl });
+    persist();
+    return token;
+  }
+
+  function verify(token) {
+    const entry = typeof token === 'string' && tokens.get(token);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      tokens.delete(token);
+      return null;
+    }
+    return entry;
+  }
+
+  function revoke(token) {
+    if (tokens.delete(token)) persist();
+  }
+
+  // Drops every token, or only those whose data matches
+  function clear(match) {
+    if (!match) {
+      tokens.clear();
+    } else {
+      tokens.forEach((entry, token) => {
+        if (match(entry)) tokens.delete(token);
+      });
+    }
+    persist();
+  }
+
+  return { issue, verify, revoke, clear };
+}
+
+// Wraps a socket handler. The client's ack callback is the last argument when it sent one; when
+// it did not, replies go to a stand-in that reports failures as a notification to the socket.
+// Either way the handler gets its declared payload arguments and then that callback.
+function guard(socket, check, code, handler) {
+  return (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : notifyFailure(socket);
+    if (!check()) {
+      return callback(rejection(code));
+    }
+    const payload = Array.from({ length: Math.max(handler.length - 1, 0) }, (_, index) => args[index]);
+    handler(...payload, callback);
+  };
+}
+
+function notifyFailure(socket) {
+  return (response) => {
+    if (response && response.success === false) {
+      socket.emit('notification', { message: response.error, code: response.code, type: 'error' });
+    }
+  };
+}
+
+function adminOnly(socket, handler) {
+  return guard(socket, () => socket.data.isAdmin === true, 'AUTH_REQUIRED', handler);
+}
+
+function teamOnly(socket, handler) {
+  return guard(socket, () => Boolean(socket.data.teamId), 'TEAM_REQUIRED', handler);
+}
+
+function superAdminOnly(socket, handler) {
+  return guard(socket, () => socket.data.isSuperAdmin === true, 'NOT_AUTHORISED', handler);
+}
+
+module.exports = {
+  resolveAdminPassword,
+  safeEqual,
+  hashPassword,
+  verifyPassword,
+  createTokenStore,
+  adminOnly,
+  teamOnly,
+  superAdminOnly
+};
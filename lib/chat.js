@@ -0,0 +1,44 @@
+// Chat channels: `broadcast` is read by everyone in the game, `direct` is between two teams and
+// `admin` is between one team and the admins. Admin posts on the broadcast channel are
+// announcements. Admins can freeze team chat for the whole game, e.g. for exam-style rounds,
+// or mute single teams; a frozen or muted team can still write to the admins.
+//
+// Deleting a message keeps it in the state with who deleted it, when and why. Admins still see
+// its text; teams only see that it was deleted.
+
+// Per socket; the HTTP API has its own per-team limit
+const RATE_LIMIT = { limit: 5, windowMs: 10 * 1000 };
+const ADMIN_NAME = 'Admin';
+
+// Messages from before channels were all direct
+function channelOf(message) {
+  return message.channel || 'direct';
+}
+
+function isVisibleTo(message, teamId) {
+  return channelOf(message) === 'broadcast' || message.fromTeamId === teamId || message.toTeamId === teamId;
+}
+
+// A message as teams see it
+function forTeam(message) {
+  if (!message.deleted) return message;
+  const { byAdmin, at } = message.deleted;
+  return { ...message, message: null, deleted: { byAdmin, at } };
+}
+
+// Returns [code, message] when the team may not post on `channel`, otherwise null
+function checkCanPost(channel, team, config) {
+  if (channel === 'admin') return null;
+  if (config.chatFrozen) return ['CHAT_FROZEN', 'Chat is frozen; you can still message the admins'];
+  if (team.chatMuted) return ['CHAT_MUTED', 'Your team is muted; you can still message the admins'];
+  return null;
+}
+
+module.exports = {
+  RATE_LIMIT,
+  ADMIN_NAME,
+  channelOf,
+  isVisibleTo,
+  forTeam,
+  checkCanPost
+};
@@ -0,0 +1,64 @@
+// Corporate actions: cash dividends, stock splits and bonus issues. The admin declares them
+// directly or a scenario event carries them. Splits and bonuses are both a change in the
+// number of shares by `factor`; prices divide by it so every position keeps its value.
+
+const TYPES = ['dividend', 'split', 'bonus'];
+
+function fail(message) {
+  throw new Error(message);
+}
+
+// Accepts "2:1", [2, 1] or { new: 2, old: 1 }
+function readRatio(ratio, label) {
+  let parts = ratio;
+  if (typeof ratio === 'string') parts = ratio.split(':').map(Number);
+  else if (ratio && !Array.isArray(ratio) && typeof ratio === 'object') parts = [ratio.new, ratio.old];
+
+  if (!Array.isArray(parts) || parts.length !== 2 || !parts.every(part => Number.isInteger(part) && part > 0)) {
+    fail(`${label} ratio must be two positive whole numbers, e.g. "2:1"`);
+  }
+  return parts;
+}
+
+// Returns the normalized action; throws with a readable message when it is invalid
+function sanitizeAction(input, knownSymbols) {
+  if (!input || typeof input !== 'object') fail('Corporate action must be an object');
+  if (!TYPES.includes(input.type)) fail(`Corporate action type must be one of ${TYPES.join(', ')}`);
+  if (!knownSymbols.includes(input.symbol)) fail(`Unknown symbol "${input.symbol}"`);
+
+  if (input.type === 'dividend') {
+    if (typeof input.amount !== 'number' || !Number.isFinite(input.amount) || input.amount <= 0) {
+      fail('Dividend amount must be a positive number of rupees per share');
+    }
+    return { type: 'dividend', symbol: input.symbol, amount: Math.round(input.amount * 100) / 100 };
+  }
+
+  // Splits are new shares for old ("2:1" doubles the shares, "1:5" consolidates); bonus issues
+  // are bonus shares per shares held ("1:2" adds one share for every two)
+  const [first, second] = readRatio(input.ratio, input.type === 'split' ? 'Split' : 'Bonus');
+  const factor = input.type === 'split' ? first / second : (first + second) / second;
+  if (factor === 1) fail('A 1:1 split changes nothing');
+
+  return { type: input.type, symbol: input.symbol, ratio: `${first}:${second}`, factor };
+}
+
+function describeAction(action, stockName) {
+  if (action.type === 'dividend') return `${stockName} pays a dividend of ₹${action.amount.toLocaleString()} per share`;
+  if (action.type === 'split') return `${stockName} ${action.factor > 1 ? 'splits' : 'consolidates'} its shares ${action.ratio}`;
+  return `${stockName} issues bonus shares ${action.ratio}`;
+}
+
+// Splits and bonuses only deliver whole shares. Long positions round down and receive the
+// fraction in cash; short positions round up and are paid for the extra fraction they now owe.
+function adjustPosition(quantity, factor, isShort) {
+  const exact = quantity * factor;
+  const whole = isShort ? Math.ceil(exact - 1e-9) : Math.floor(exact + 1e-9);
+  return { quantity: whole, fraction: Math.abs(whole - exact) < 1e-9 ? 0 : Math.abs(whole - exact) };
+}
+
+module.exports = {
+  TYPES,
+  sanitizeAction,
+  describeAction,
+  adjustPosition
+};
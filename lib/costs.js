@@ -0,0 +1,93 @@
+// Transaction costs: flat plus percentage brokerage, taxes by asset class and side, and
+// optional slippage on market trades. Brokerage and tax are charged on top of the trade
+// value as `fees`; slippage moves the execution price and is recorded alongside for reference.
+
+const ASSET_CLASSES = ['equity', 'commodity', 'crypto'];
+
+function createCostSchedule() {
+  return {
+    brokerage: { flat: 20, percent: 0.0003 },
+    taxes: {
+      equity: { buy: 0.001, sell: 0.001 },
+      commodity: { buy: 0, sell: 0.0001 },
+      crypto: { buy: 0, sell: 0.01 }
+    },
+    slippage: 0
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function taxRate(schedule, assetClass, side) {
+  const taxes = schedule.taxes[assetClass] || schedule.taxes.equity;
+  return taxes[side];
+}
+
+// `side` is the paying team's side: buys and short covers are 'buy', sells and short sales 'sell'
+function quoteTrade(schedule, assetClass, side, notional) {
+  if (notional <= 0) return { brokerage: 0, tax: 0, slippage: 0, fees: 0 };
+
+  const brokerage = round2(schedule.brokerage.flat + notional * schedule.brokerage.percent);
+  const tax = round2(notional * taxRate(schedule, assetClass, side));
+  return { brokerage, tax, slippage: 0, fees: round2(brokerage + tax) };
+}
+
+// Market trades fill `slippage` worse than the quoted price
+function quoteMarketTrade(schedule, assetClass, side, quantity, marketPrice) {
+  const direction = side === 'buy' ? 1 : -1;
+  const price = round2(marketPrice * (1 + direction * schedule.slippage));
+  const notional = round2(quantity * price);
+  return {
+    price,
+    notional,
+    ...quoteTrade(schedule, assetClass, side, notional),
+    slippage: round2(quantity * Math.abs(price - marketPrice))
+  };
+}
+
+// Largest quantity whose value plus fees fits in `cash`
+function maxAffordableQuantity(schedule, assetClass, price, cash) {
+  const perUnit = price * (1 + schedule.brokerage.percent + taxRate(schedule, assetClass, 'buy'));
+  return Math.max(0, Math.floor((cash - schedule.brokerage.flat) / perUnit));
+}
+
+function checkRate(value, name, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+    throw new Error(`${name} must be a number between 0 and ${max}`);
+  }
+  return value;
+}
+
+// Returns a new schedule with the update applied; throws with a readable message on invalid input
+function configure(schedule, update) {
+  const next = JSON.parse(JSON.stringify(schedule));
+
+  if (update.brokerage) {
+    if (update.brokerage.flat !== undefined) next.brokerage.flat = checkRate(update.brokerage.flat, 'brokerage.flat', 10000);
+    if (update.brokerage.percent !== undefined) next.brokerage.percent = checkRate(update.brokerage.percent, 'brokerage.percent', 0.1);
+  }
+
+  Object.entries(update.taxes || {}).forEach(([assetClass, taxes]) => {
+    if (!ASSET_CLASSES.includes(assetClass)) throw new Error(`Unknown asset class "${assetClass}"`);
+    ['buy', 'sell'].forEach(side => {
+      if (taxes && taxes[side] !== undefined) {
+        next.taxes[assetClass][side] = checkRate(taxes[side], `taxes.${assetClass}.${side}`, 0.1);
+      }
+    });
+  });
+
+  if (update.slippage !== undefined) next.slippage = checkRate(update.slippage, 'slippage', 0.1);
+
+  return next;
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  createCostSchedule,
+  quoteTrade,
+  quoteMarketTrade,
+  maxAffordableQuantity,
+  configure
+};
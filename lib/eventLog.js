@@ -0,0 +1,294 @@
+// Append-only event log. The session's game state is wrapped in a recording proxy: every
+// assignment, delete and array mutation made through it becomes a change, and the changes made
+// while handling one command (a socket event, an API call, a timer tick) are written together
+// as one event with the actor that caused them. Applying the changes in order rebuilds the state.
+//
+// A change is { op: 'set', path, value }, { op: 'unset', path } or { op: 'call', path, method, args }.
+// Array elements that carry an `id` are addressed as '#<id>' so a path still points at the same
+// element after the array shifts; other elements are addressed by index.
+
+const ARRAY_MUTATORS = ['push', 'pop', 'shift', 'unshift', 'splice'];
+const ARRAY_REORDERS = ['sort', 'reverse', 'fill', 'copyWithin'];
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function elementSegment(array, index) {
+  const element = array[index];
+  return isObject(element) && typeof element.id === 'string' ? `#${element.id}` : Number(index);
+}
+
+function createRecorder(initialState, onChange) {
+  const raw = initialState;
+  const proxies = new WeakMap();
+  let paused = false;
+
+  function record(change) {
+    if (!paused) onChange(change);
+  }
+
+  // Values stored through the proxy are copied, so the state never holds a proxy and a logged
+  // change never shares objects with the live state
+  function store(value) {
+    return isObject(value) ? clone(value) : value;
+  }
+
+  function handler(path) {
+    return {
+      get(target, key) {
+        if (typeof key === 'symbol') return Reflect.get(target, key);
+
+        if (Array.isArray(target) && ARRAY_MUTATORS.includes(key)) {
+          return (...args) => {
+            const values = args.map(store);
+            record({ op: 'call', path, method: key, args: clone(values) });
+            return Array.prototype[key].apply(target, values);
+          };
+        }
+        if (Array.isArray(target) && ARRAY_REORDERS.includes(key)) {
+          return (...args) => {
+            Array.prototype[key].apply(target, args);
+            record({ op: 'set', path, value: clone(target) });
+            return wrap(target, path);
+          };
+        }
+
+        const value = Reflect.get(target, key);
+        if (!isObject(value)) return value;
+        return wrap(value, [...path, Array.isArray(target) ? elementSegment(target, key) : key]);
+      },
+
+      set(target, key, value) {
+        if (typeof key === 'symbol') return Reflect.set(target, key, value);
+
+        const stored = store(value);
+        if (!isObject(stored) && target[key] === stored) return true;
+
+        const segment = Array.isArray(target) && key !== 'length' ? Number(key) : key;
+        record({ op: 'set', path: [...path, segment], value: clone(stored) });
+        return Reflect.set(target, key, stored);
+      },
+
+      deleteProperty(target, key) {
+        if (typeof key !== 'symbol' && Object.prototype.hasOwnProperty.call(target, key)) {
+          record({ op: 'unset', path: [...path, key] });
+        }
+        return Reflect.deleteProperty(target, key);
+      }
+    };
+  }
+
+  // One proxy per object and path keeps identity checks working between reads
+  function wrap(target, path) {
+    const pathKey = JSON.stringify(path);
+    let byPath = proxies.get(target);
+    if (!byPath) {
+      byPath = new Map();
+      proxies.set(target, byPath);
+    }
+    if (!byPath.has(pathKey)) byPath.set(pathKey, new Proxy(target, handler(path)));
+    return byPath.get(pathKey);
+  }
+
+  // For changes that are already in the log, such as loading the state the log was rebuilt into
+  function withoutRecording(fn) {
+    paused = true;
+    try {
+      return fn();
+    } finally {
+      paused = false;
+    }
+  }
+
+  return { state: wrap(raw, []), raw, withoutRecording };
+}
+
+function resolveSegment(container, segment) {
+  if (Array.isArray(container) && typeof segment === 'string' && segment.startsWith('#')) {
+    const index = container.findIndex(element => isObject(element) && element.id === segment.slice(1));
+    if (index === -1) throw new Error(`No element ${segment}`);
+    return index;
+  }
+  return segment;
+}
+
+// Applies one change and returns the state (a root `set` replaces it)
+function applyChange(state, change) {
+  if (change.path.length === 0) {
+    if (change.op !== 'set') throw new Error(`Cannot ${change.op} the root`);
+    return clone(change.value);
+  }
+
+  let container = state;
+  const parents = change.path.slice(0, -1);
+  parents.forEach(segment => {
+    container = container[resolveSegment(container, segment)];
+    if (!isObject(container)) throw new Error(`Path ${change.path.join('.')} does not exist`);
+  });
+  const key = resolveSegment(container, change.path[change.path.length - 1]);
+
+  if (change.op === 'set') {
+    container[key] = clone(change.value);
+  } else if (change.op === 'unset') {
+    delete container[key];
+  } else if (change.op === 'call') {
+    const target = container[key];
+    if (!Array.isArray(target) || !ARRAY_MUTATORS.includes(change.method)) {
+      throw new Error(`Cannot call ${change.method} on ${change.path.join('.')}`);
+    }
+    Array.prototype[change.method].apply(target, clone(change.args));
+  }
+  return state;
+}
+
+function applyEvent(state, event) {
+  return event.changes.reduce(applyChange, state);
+}
+
+function replacesState(event) {
+  return event.changes.some(change => change.path.length === 0);
+}
+
+// Rebuilds the state after the first `count` events (all of them by default). Replaying starts
+// at the last event that replaced the whole state, since nothing before it can matter.
+function rebuild(events, count = events.length) {
+  let start = count - 1;
+  while (start > 0 && !replacesState(events[start])) start--;
+
+  let state;
+  for (let i = Math.max(start, 0); i < count; i++) {
+    state = applyEvent(state, events[i]);
+  }
+  return state;
+}
+
+// One readable line per change for the audit view; long values are cut short
+function describeChange(change) {
+  const path = change.path.join('.') || '(state)';
+  if (change.op === 'unset') return `delete ${path}`;
+  const value = change.op === 'call' ? change.args : change.value;
+  let text = JSON.stringify(value);
+  if (text === undefined) text = 'undefined';
+  if (text.length > 120) text = `${text.slice(0, 117)}...`;
+  return change.op === 'call' ? `${path}.${change.method}(${text.slice(1, -1)})` : `${path} = ${text}`;
+}
+
+const MAX_DESCRIBED_CHANGES = 50;
+
+// The event as the audit view shows it: metadata plus readable changes
+function summarizeEvent(event) {
+  const { changes, ...meta } = event;
+  const described = replacesState(event)
+    ? ['(whole game state)']
+    : changes.slice(0, MAX_DESCRIBED_CHANGES).map(describeChange);
+  if (changes.length > MAX_DESCRIBED_CHANGES) described.push(`... ${changes.length - MAX_DESCRIBED_CHANGES} more`);
+  return { ...meta, changes: described };
+}
+
+function touchesTeam(event, teamId) {
+  return event.actor.teamId === teamId ||
+    event.changes.some(change => change.path[0] === 'teams' && (change.path[1] === teamId || change.path.length === 1));
+}
+
+// Key order does not matter when comparing two states
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (!isObject(value)) return JSON.stringify(value);
+  return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+}
+
+// Top-level keys whose values differ between two states
+function diffKeys(a, b) {
+  const left = clone(a) || {};
+  const right = clone(b) || {};
+  const keys = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+  return keys.filter(key => canonical(left[key]) !== canonical(right[key]));
+}
+
+// Collects changes into events and appends them to the store. `begin` names the command the
+// following changes belong to; changes without one are logged as 'system'. An event is closed
+// by the next `begin` or at the end of the current turn of the event loop.
+function createEventLog(store) {
+  let seq = 0;
+  let context = null;
+  let pending = null;
+  let unwritten = [];
+  let writeTimer = null;
+
+  const existing = store.readEvents();
+  if (existing.length > 0) seq = existing[existing.length - 1].seq;
+
+  function write() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    if (unwritten.length === 0) return;
+    try {
+      store.appendEvents(unwritten.map(event => JSON.stringify(event)));
+      unwritten = [];
+    } catch (err) {
+      console.error('Failed to append to the event log:', err.message);
+    }
+  }
+
+  function commit() {
+    if (pending && pending.changes.length > 0) {
+      pending.seq = ++seq;
+      unwritten.push(pending);
+      if (!writeTimer) writeTimer = setTimeout(write, 1000);
+    }
+    pending = null;
+    context = null;
+  }
+
+  function begin(type, actor = SYSTEM_ACTOR, socketId = null, details = null) {
+    commit();
+    context = { type, actor, socketId, details };
+  }
+
+  function record(change) {
+    if (!pending) {
+      const { type, actor, socketId, details } = context || { type: 'system', actor: SYSTEM_ACTOR, socketId: null, details: null };
+      pending = { seq: null, time: Date.now(), type, actor, socketId, details, changes: [] };
+      setImmediate(commit);
+    }
+    pending.changes.push(change);
+  }
+
+  // The first event of a log holds the whole state the later changes apply to
+  function start(state, type) {
+    commit();
+    pending = { seq: null, time: Date.now(), type, actor: SYSTEM_ACTOR, socketId: null, details: null, changes: [{ op: 'set', path: [], value: clone(state) }] };
+    commit();
+  }
+
+  function flush() {
+    commit();
+    write();
+  }
+
+  function read() {
+    flush();
+    return store.readEvents();
+  }
+
+  return { begin, record, start, flush, read };
+}
+
+module.exports = {
+  SYSTEM_ACTOR,
+  createRecorder,
+  createEventLog,
+  applyChange,
+  applyEvent,
+  rebuild,
+  summarizeEvent,
+  touchesTeam,
+  diffKeys
+};
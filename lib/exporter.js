@@ -0,0 +1,222 @@
+// Everything that leaves the server as a file: tradebooks as CSV or JSON, the whole game as an
+// archive another server can import as a new session, and the printable results report
+// written when the game ends. Exported times are ISO 8601 in UTC.
+
+const ARCHIVE_FORMAT = 'mock-stock-archive';
+const ARCHIVE_VERSION = 1;
+
+// Column header and the trade field it comes from
+const TRADE_COLUMNS = [
+  ['Timestamp', 'timestamp'],
+  ['Team', 'teamName'],
+  ['Member', 'memberName'],
+  ['Action', 'action'],
+  ['Symbol', 'symbol'],
+  ['Quantity', 'quantity'],
+  ['Price', 'price'],
+  ['Total', 'total'],
+  ['Brokerage', 'brokerage'],
+  ['Tax', 'tax'],
+  ['Slippage', 'slippage'],
+  ['Fees', 'fees'],
+  ['Counterparty', 'counterparty'],
+  ['Note', 'note']
+];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Text a spreadsheet would run as a formula gets a leading quote; numbers, negative ones
+// included, are left as numbers
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+// Trades carry their epoch `time`; older saves only have a locale string, parsed as well as it can be
+function isoTime(record) {
+  if (record.time) return new Date(record.time).toISOString();
+  const parsed = Date.parse(record.timestamp);
+  return Number.isNaN(parsed) ? record.timestamp || '' : new Date(parsed).toISOString();
+}
+
+function tradeRow(trade) {
+  return {
+    timestamp: isoTime(trade),
+    teamName: trade.teamName,
+    memberName: trade.memberName || '',
+    action: trade.action,
+    symbol: trade.symbol,
+    quantity: trade.quantity,
+    price: trade.price,
+    total: round2(trade.quantity * trade.price),
+    brokerage: trade.brokerage || 0,
+    tax: trade.tax || 0,
+    slippage: trade.slippage || 0,
+    fees: trade.fees || 0,
+    counterparty: trade.counterparty || 'Market',
+    note: trade.note || ''
+  };
+}
+
+function tradesToCsv(trades) {
+  return toCsv(TRADE_COLUMNS.map(([header]) => header), trades.map(trade => {
+    const row = tradeRow(trade);
+    return TRADE_COLUMNS.map(([, field]) => row[field]);
+  }));
+}
+
+function tradesToJson(trades) {
+  return JSON.stringify(trades.map(tradeRow), null, 2);
+}
+
+// The whole game state, config, instruments, teams, trades, news, messages and price history
+// included, so an import picks up exactly where the export left off
+function createArchive(session, state) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: { id: session.id, name: session.name },
+    state: JSON.parse(JSON.stringify(state))
+  };
+}
+
+// Returns the game state in an archive; throws with a readable message when it is not one
+function readArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) throw new Error('Not a game archive');
+  if (archive.version !== ARCHIVE_VERSION) throw new Error(`Unsupported archive version ${archive.version}`);
+
+  const { state } = archive;
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(state) || !isObject(state.teams) || !isObject(state.stocks) || !isObject(state.gameConfig) || !Array.isArray(state.trades)) {
+    throw new Error('The archive has no game state');
+  }
+  Object.values(state.teams).forEach(team => {
+    if (!isObject(team) || typeof team.id !== 'string' || typeof team.joinCode !== 'string' || !Array.isArray(team.trades)) {
+      throw new Error('The archive has a malformed team');
+    }
+  });
+  return JSON.parse(JSON.stringify(state));
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function money(value) {
+  return `₹${round2(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function table(header, rows, empty) {
+  if (rows.length === 0) return `<p class="muted">${empty}</p>`;
+  return `<table><thead><tr>${header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>
+<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n')}</tbody></table>`;
+}
+
+// One team's statement: where it finished, what it holds at the closing prices and every trade
+function teamStatement(entry, team, metrics, stocks) {
+  const price = symbol => (stocks[symbol] ? stocks[symbol].price : 0);
+  const holdings = Object.entries(team.holdings || {}).filter(([, quantity]) => quantity > 0)
+    .map(([symbol, quantity]) => [escapeHtml(symbol), quantity, money(price(symbol)), money(quantity * price(symbol))]);
+  const shorts = Object.entries(team.shortHoldings || {}).filter(([, quantity]) => quantity > 0)
+    .map(([symbol, quantity]) => [escapeHtml(`${symbol} (short)`), -quantity, money(price(symbol)), money(-quantity * price(symbol))]);
+  const trades = team.trades.map(tradeRow).map(row => [
+    escapeHtml(row.timestamp.replace('T', ' ').replace(/\.\d+Z$/, 'Z')),
+    escapeHtml(row.action),
+    escapeHtml(row.symbol),
+    row.quantity,
+    money(row.price),
+    money(row.total),
+    money(row.fees),
+    escapeHtml(row.counterparty),
+    escapeHtml(row.note)
+  ]);
+
+  return `<section class="statement">
+<h2>#${entry.rank} ${escapeHtml(team.name)}</h2>
+<div class="summary">
+<div><span>Portfolio value</span>${money(entry.portfolioValue)}</div>
+<div><span>Starting balance</span>${money(team.startingBalance)}</div>
+<div><span>Return</span>${percent(metrics.totalReturn)}</div>
+<div><span>Cash</span>${money(team.cash)}</div>
+<div><span>Realised P&amp;L</span>${money(metrics.realisedPnl)}</div>
+<div><span>Unrealised P&amp;L</span>${money(metrics.unrealisedPnl)}</div>
+<div><span>Fees paid</span>${money(team.feesPaid || 0)}</div>
+<div><span>Max drawdown</span>${percent(metrics.maxDrawdown)}</div>
+</div>
+<h3>Closing positions</h3>
+${table(['Symbol', 'Quantity', 'Closing price', 'Value'], [...holdings, ...shorts], 'No open positions')}
+<h3>Trades</h3>
+${table(['Time (UTC)', 'Action', 'Symbol', 'Quantity', 'Price', 'Total', 'Fees', 'Counterparty', 'Note'], trades, 'No trades')}
+</section>`;
+}
+
+// `standings` as visibility.standings returns them; `metricsOf(team)` as analytics computes them
+function renderReport({ sessionName, endedAt, standings, teams, stocks, metricsOf }) {
+  const rankings = standings.map(entry => {
+    const team = teams[entry.id];
+    return [entry.rank, escapeHtml(entry.name), money(entry.portfolioValue), percent(metricsOf(team).totalReturn)];
+  });
+  const prices = Object.values(stocks).map(stock => [escapeHtml(stock.symbol), escapeHtml(stock.name), money(stock.startingPrice), money(stock.price)]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(sessionName)} - Results</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 32px; font-size: 13px; }
+h1 { margin-bottom: 4px; }
+h2 { margin: 0 0 12px; border-bottom: 2px solid #9333ea; padding-bottom: 4px; }
+h3 { margin: 16px 0 6px; font-size: 14px; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+th { background: #f3f4f6; }
+.muted { color: #6b7280; }
+.summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+.summary div { border: 1px solid #e5e7eb; border-radius: 6px; padding: 6px 8px; font-weight: 600; }
+.summary span { display: block; font-weight: 400; color: #6b7280; font-size: 11px; }
+.statement { margin-top: 32px; }
+@media print {
+  body { margin: 12mm; }
+  .statement { page-break-before: always; }
+}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sessionName)}: Final Results</h1>
+<p class="muted">Game ended ${escapeHtml(new Date(endedAt).toISOString())}</p>
+<h2>Final rankings</h2>
+${table(['Rank', 'Team', 'Portfolio value', 'Return'], rankings, 'No teams played')}
+<h3>Closing prices</h3>
+${table(['Symbol', 'Name', 'Starting price', 'Closing price'], prices, 'No instruments')}
+${standings.map(entry => teamStatement(entry, teams[entry.id], metricsOf(teams[entry.id]), stocks)).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  csvField,
+  tradesToCsv,
+  tradesToJson,
+  createArchive,
+  readArchive,
+  renderReport
+};
@@ -0,0 +1,121 @@
+// Futures on the game's instruments. A contract is on one underlying, trades in lots of
+// `lotSize` units at the underlying's price and expires at the end of a chosen trading round.
+// A team's position is a signed number of contracts in `team.futures[contractId]` (negative is
+// short) with the price it was last marked at. Every round end marks it to the underlying's
+// price and pays the difference in cash (variation margin); at expiry it is marked one last
+// time and closed. The initial margin on the position's notional is blocked in
+// `team.marginBlocked` under `future:<contractId>`, so it comes off the available cash the same
+// way short collateral does.
+
+const DEFAULT_INITIAL_MARGIN = 0.1;
+const MAX_CONTRACTS = 100;
+const MAX_ROUND = 1000;
+const MARGIN_PREFIX = 'future:';
+
+function createFutures() {
+  return { contracts: {} };
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function contractId(underlying, expiryRound) {
+  return `${underlying}-F${expiryRound}`;
+}
+
+function marginKey(id) {
+  return `${MARGIN_PREFIX}${id}`;
+}
+
+// Returns the new contract; throws with a readable message when it is invalid. Contracts can
+// be listed for the current round onwards, and the lot size defaults to the underlying's.
+function sanitizeContract(input, futures, stocks, currentRound) {
+  if (!input || typeof input !== 'object') fail('Contract must be an object');
+  const stock = stocks[input.underlying];
+  if (!stock) fail(`Unknown underlying "${input.underlying}"`);
+
+  const firstRound = Math.max(1, currentRound);
+  if (!Number.isInteger(input.expiryRound) || input.expiryRound < firstRound || input.expiryRound > MAX_ROUND) {
+    fail(`Expiry round must be a whole number from ${firstRound} to ${MAX_ROUND}`);
+  }
+  const lotSize = input.lotSize === undefined || input.lotSize === null ? stock.lotSize : input.lotSize;
+  if (!Number.isInteger(lotSize) || lotSize <= 0) fail('Lot size must be a positive whole number');
+  const initialMargin = input.initialMargin === undefined || input.initialMargin === null ? DEFAULT_INITIAL_MARGIN : input.initialMargin;
+  if (typeof initialMargin !== 'number' || !(initialMargin > 0 && initialMargin <= 1)) fail('Initial margin must be above 0 and at most 1');
+
+  const id = contractId(stock.symbol, input.expiryRound);
+  if (futures.contracts[id]) fail(`${id} is already listed`);
+  if (Object.keys(futures.contracts).length >= MAX_CONTRACTS) fail(`At most ${MAX_CONTRACTS} contracts can be listed`);
+
+  return {
+    id,
+    underlying: stock.symbol,
+    expiryRound: input.expiryRound,
+    lotSize,
+    initialMargin,
+    status: 'open',
+    settlementPrice: null
+  };
+}
+
+function getNotional(contract, quantity, price) {
+  return Math.abs(quantity) * contract.lotSize * price;
+}
+
+function getRequiredMargin(contract, quantity, price) {
+  return round2(getNotional(contract, quantity, price) * contract.initialMargin);
+}
+
+// Trades `quantity` contracts at `price`, positive to buy and negative to sell. Returns the new
+// position (null when flat) and the cash realised on the part of the old position it closes.
+// Adding to a position averages the price it is marked from; flipping sides starts afresh.
+function applyTrade(position, contract, quantity, price) {
+  const current = position ? position.quantity : 0;
+  const mark = position ? position.markPrice : price;
+  const next = current + quantity;
+  let realised = 0;
+  let markPrice = mark;
+
+  if (current !== 0 && Math.sign(quantity) !== Math.sign(current)) {
+    const closed = Math.min(Math.abs(quantity), Math.abs(current)) * Math.sign(current);
+    realised = round2(closed * contract.lotSize * (price - mark));
+    if (next !== 0 && Math.sign(next) !== Math.sign(current)) markPrice = price;
+  } else {
+    markPrice = (Math.abs(current) * mark + Math.abs(quantity) * price) / Math.abs(next);
+  }
+
+  return {
+    position: next === 0 ? null : { contractId: contract.id, underlying: contract.underlying, lotSize: contract.lotSize, quantity: next, markPrice },
+    realised
+  };
+}
+
+// Cash owed to (or, when negative, by) the position for a move from its mark to `price`
+function getVariation(position, price) {
+  return round2(position.quantity * position.lotSize * (price - position.markPrice));
+}
+
+// Positions are valued at their variation since the last mark; the rest is already in cash
+function getPositionsValue(team, stocks) {
+  return Object.values(team.futures || {}).reduce((sum, position) => {
+    const stock = stocks[position.underlying];
+    return stock ? sum + getVariation(position, stock.price) : sum;
+  }, 0);
+}
+
+module.exports = {
+  DEFAULT_INITIAL_MARGIN,
+  createFutures,
+  marginKey,
+  sanitizeContract,
+  getNotional,
+  getRequiredMargin,
+  applyTrade,
+  getVariation,
+  getPositionsValue
+};
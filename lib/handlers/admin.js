@@ -0,0 +1,368 @@
+const { v4: uuidv4 } = require('uuid');
+const priceEngine = require('../priceEngine');
+const priceHistory = require('../priceHistory');
+const margin = require('../margin');
+const costs = require('../costs');
+const analytics = require('../analytics');
+const instruments = require('../instruments');
+const negotiation = require('../negotiation');
+const phases = require('../phases');
+const futures = require('../futures');
+const auction = require('../auction');
+const { rejection, validated } = require('../validation');
+const { adminOnly } = require('../auth');
+
+// Socket handlers for running the game: prices and news, phases and the agenda, market switches,
+// margin and cost settings, fund allocations and resetting the platform.
+
+function register(context, socket, on) {
+  const {
+    id, io, apiTokens, createGameConfig, room, gameState, presence, resumeTokens, persistState,
+    advancePhase, enterPhase, circuitsActive, checkCircuitLimit, setStockPrice,
+    schedulePriceEngine, publishNews, publishMarketTip, scheduleScenario, getTeamMarginStatus,
+    scheduleMarginCheck, checkTeamMargin, isPhaseRunning, emitCostSchedule, cancelAllOrders,
+    closeShortPositions, emitTeamUpdate, addTrade, clearGameTimers, syncDeadlineClock,
+    invalidExpiry
+  } = context;
+
+  on('update_stock_price', adminOnly(socket, validated(socket, 'update_stock_price', (data, callback) => {
+    const { symbol, price } = data;
+    const stock = gameState.stocks[symbol];
+    if (!stock) {
+      return callback(rejection('UNKNOWN_SYMBOL'));
+    }
+
+    // A running round holds admins to the band too; otherwise they are setting where it opens
+    if (circuitsActive()) {
+      const circuitCheck = checkCircuitLimit(symbol, price);
+      if (!circuitCheck.valid) {
+        return callback(rejection('CIRCUIT_LIMIT', circuitCheck.message));
+      }
+    } else {
+      stock.referencePrice = instruments.roundToTick(stock, price);
+    }
+
+    setStockPrice(symbol, price);
+    callback({ success: true });
+  })));
+
+  on('broadcast_news', adminOnly(socket, validated(socket, 'broadcast_news', (data) => {
+    publishNews(data.title, data.content);
+  })));
+
+  on('post_market_tip', adminOnly(socket, validated(socket, 'post_market_tip', (data) => {
+    publishMarketTip(data.content);
+  })));
+
+  on('start_phase', adminOnly(socket, validated(socket, 'start_phase', (data, callback) => {
+    const { phase, duration, rounds, tradingRoundTime, breakTime } = data;
+    const config = gameState.gameConfig;
+
+    if (phases.isAgendaRunning(gameState.agenda)) {
+      return callback(rejection('INVALID_TRANSITION', 'The agenda is running; pause, extend or skip instead'));
+    }
+    if (!phases.canTransition(config.phase, phase)) {
+      return callback(rejection('INVALID_TRANSITION', `Cannot start ${phase.replace('_', ' ')} from ${config.phase.replace('_', ' ')}`));
+    }
+
+    if (phase === 'trading') {
+      // Without `rounds` the configured round count stands
+      if (rounds != null) config.totalRounds = rounds;
+      config.tradingRoundTime = tradingRoundTime || duration;
+      config.breakTime = breakTime || 0;
+    } else {
+      config.currentRound = 0;
+      config.totalRounds = 0;
+      config.portfolioAllocationTime = duration;
+    }
+
+    enterPhase(phase, duration, phase === 'trading' ? 1 : undefined);
+    callback({ success: true });
+  })));
+
+  on('pause_game', adminOnly(socket, validated(socket, 'pause_game', (data, callback) => {
+    const config = gameState.gameConfig;
+    if (!phases.isTimed(config.phase) || config.paused) {
+      return callback(rejection('INVALID_TRANSITION', 'Only a running phase can be paused'));
+    }
+
+    config.paused = true;
+    config.pausedReason = data.reason ? data.reason.trim() : null;
+    syncDeadlineClock();
+    io.to(room).emit('phase_change', config);
+    io.to(room).emit('notification', { message: `Game paused${config.pausedReason ? `: ${config.pausedReason}` : ''}`, type: 'info' });
+    persistState();
+    callback({ success: true });
+  })));
+
+  on('resume_game', adminOnly(socket, (callback) => {
+    const config = gameState.gameConfig;
+    if (!config.paused) {
+      return callback(rejection('INVALID_TRANSITION', 'The game is not paused'));
+    }
+
+    config.paused = false;
+    config.pausedReason = null;
+    syncDeadlineClock();
+    io.to(room).emit('phase_change', config);
+    io.to(room).emit('notification', { message: 'Game resumed', type: 'info' });
+    persistState();
+    callback({ success: true });
+  }));
+
+  // Adds time to the current allocation, round, break or results phase
+  on('extend_phase', adminOnly(socket, validated(socket, 'extend_phase', (data, callback) => {
+    const config = gameState.gameConfig;
+    if (!phases.isTimed(config.phase) || config.timeRemaining === 0) {
+      return callback(rejection('INVALID_TRANSITION', 'Only a running phase can be extended'));
+    }
+    if (data.seconds > phases.MAX_EXTENSION) {
+      return callback(rejection('INVALID_AMOUNT', `Extend by at most ${phases.MAX_EXTENSION} seconds at a time`));
+    }
+
+    config.timeRemaining += data.seconds;
+    config.phaseDuration += data.seconds;
+    io.to(room).emit('timer_update', config);
+    io.to(room).emit('notification', { message: `${data.seconds} seconds added to the ${config.phase.replace('_', ' ')}`, type: 'info' });
+    persistState();
+    callback({ success: true, timeRemaining: config.timeRemaining });
+  })));
+
+  // Ends the current round, break or phase now, as if its time had run out
+  on('skip_round', adminOnly(socket, (callback) => {
+    if (!phases.isTimed(gameState.gameConfig.phase)) {
+      return callback(rejection('INVALID_TRANSITION', 'There is nothing running to skip'));
+    }
+
+    advancePhase();
+    callback({ success: true, phase: gameState.gameConfig.phase });
+  }));
+
+  on('get_agenda', adminOnly(socket, (callback) => {
+    callback({ success: true, agenda: gameState.agenda });
+  }));
+
+  on('set_agenda', adminOnly(socket, validated(socket, 'set_agenda', (data, callback) => {
+    if (phases.isAgendaRunning(gameState.agenda)) {
+      return callback(rejection('INVALID_TRANSITION', 'Stop the running agenda before changing it'));
+    }
+    const error = phases.validateAgenda(data.steps);
+    if (error) {
+      return callback(rejection('INVALID_AGENDA', error));
+    }
+
+    gameState.agenda = { steps: phases.normalizeAgenda(data.steps), index: null };
+    io.to(room).emit('agenda_update', gameState.agenda);
+    persistState();
+    callback({ success: true, agenda: gameState.agenda });
+  })));
+
+  on('start_agenda', adminOnly(socket, (callback) => {
+    const { steps } = gameState.agenda;
+    if (steps.length === 0) {
+      return callback(rejection('INVALID_AGENDA', 'Set an agenda first'));
+    }
+    if (gameState.gameConfig.phase !== 'waiting' || phases.isAgendaRunning(gameState.agenda)) {
+      return callback(rejection('INVALID_TRANSITION', 'An agenda starts from the waiting phase'));
+    }
+
+    const config = gameState.gameConfig;
+    config.currentRound = 0;
+    config.totalRounds = phases.agendaRounds(steps);
+    config.breakTime = 0;
+    gameState.agenda.index = -1;
+    advancePhase();
+    callback({ success: true });
+  }));
+
+  // The current phase carries on and then moves on as it would without an agenda
+  on('stop_agenda', adminOnly(socket, (callback) => {
+    if (!phases.isAgendaRunning(gameState.agenda)) {
+      return callback(rejection('INVALID_TRANSITION', 'No agenda is running'));
+    }
+
+    gameState.agenda.index = null;
+    io.to(room).emit('agenda_update', gameState.agenda);
+    persistState();
+    callback({ success: true });
+  }));
+
+  on('toggle_circuit_freeze', adminOnly(socket, (callback) => {
+    gameState.gameConfig.circuitLimitFrozen = !gameState.gameConfig.circuitLimitFrozen;
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, frozen: gameState.gameConfig.circuitLimitFrozen });
+  }));
+
+  on('toggle_market_trading', adminOnly(socket, (callback) => {
+    gameState.gameConfig.marketTradingEnabled = !gameState.gameConfig.marketTradingEnabled;
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, enabled: gameState.gameConfig.marketTradingEnabled });
+  }));
+
+  on('toggle_exchange_mode', adminOnly(socket, (callback) => {
+    gameState.gameConfig.exchangeEnabled = !gameState.gameConfig.exchangeEnabled;
+
+    if (!gameState.gameConfig.exchangeEnabled) {
+      cancelAllOrders('Exchange closed');
+    }
+
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, enabled: gameState.gameConfig.exchangeEnabled });
+  }));
+
+  on('toggle_last_trade_pricing', adminOnly(socket, (callback) => {
+    gameState.gameConfig.lastTradeSetsPrice = !gameState.gameConfig.lastTradeSetsPrice;
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, enabled: gameState.gameConfig.lastTradeSetsPrice });
+  }));
+
+  // Default lifetime of new P2P offers and counter-offers; teams may pick their own per offer
+  on('set_trade_request_expiry', adminOnly(socket, validated(socket, 'set_trade_request_expiry', (data, callback) => {
+    if (!negotiation.isValidExpiry(data.seconds)) {
+      return callback(invalidExpiry());
+    }
+    gameState.gameConfig.tradeRequestExpiry = data.seconds;
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, seconds: data.seconds });
+  })));
+
+  on('get_margin_config', adminOnly(socket, (callback) => {
+    const statuses = {};
+    Object.values(gameState.teams).forEach(team => {
+      statuses[team.id] = getTeamMarginStatus(team);
+    });
+    callback({ success: true, config: gameState.marginConfig, statuses });
+  }));
+
+  on('margin_configure', adminOnly(socket, (update, callback) => {
+    if (!update || typeof update !== 'object') {
+      return callback(rejection('INVALID_PAYLOAD'));
+    }
+
+    try {
+      margin.configure(gameState.marginConfig, update, Object.keys(gameState.stocks));
+    } catch (err) {
+      return callback(rejection('INVALID_PAYLOAD', err.message));
+    }
+
+    scheduleMarginCheck();
+    persistState();
+    callback({ success: true, config: gameState.marginConfig });
+  }));
+
+  on('get_cost_schedule', adminOnly(socket, (callback) => {
+    callback({ success: true, schedule: gameState.costSchedule, pending: gameState.pendingCostSchedule });
+  }));
+
+  on('cost_schedule_configure', adminOnly(socket, (update, callback) => {
+    if (!update || typeof update !== 'object') {
+      return callback(rejection('INVALID_PAYLOAD'));
+    }
+
+    let schedule;
+    try {
+      schedule = costs.configure(gameState.pendingCostSchedule || gameState.costSchedule, update);
+    } catch (err) {
+      return callback(rejection('INVALID_PAYLOAD', err.message));
+    }
+
+    const deferred = isPhaseRunning();
+    if (deferred) {
+      gameState.pendingCostSchedule = schedule;
+    } else {
+      gameState.costSchedule = schedule;
+      gameState.pendingCostSchedule = null;
+    }
+
+    emitCostSchedule();
+    persistState();
+    callback({ success: true, deferred, schedule });
+  }));
+
+  on('toggle_short_freeze', adminOnly(socket, (callback) => {
+    gameState.gameConfig.shortSellingFrozen = !gameState.gameConfig.shortSellingFrozen;
+
+    if (gameState.gameConfig.shortSellingFrozen) {
+      Object.keys(gameState.teams).forEach(teamId => {
+        closeShortPositions(teamId);
+      });
+    }
+
+    io.to(room).emit('config_update', gameState.gameConfig);
+    persistState();
+    callback({ success: true, frozen: gameState.gameConfig.shortSellingFrozen });
+  }));
+
+  on('allocate_funds', adminOnly(socket, validated(socket, 'allocate_funds', (data, callback) => {
+    const { teamId, amount } = data;
+    const team = gameState.teams[teamId];
+
+    if (!team) {
+      return callback(rejection('UNKNOWN_TEAM'));
+    }
+
+    team.cash += amount;
+
+    const trade = {
+      id: uuidv4(),
+      teamId,
+      teamName: team.name,
+      action: 'fund_allocation',
+      symbol: 'CASH',
+      quantity: 1,
+      price: amount,
+      timestamp: new Date().toLocaleString(),
+      note: `Admin allocated ₹${amount.toLocaleString()}`
+    };
+
+    addTrade(team, trade);
+
+    emitTeamUpdate(team);
+    persistState();
+    checkTeamMargin(teamId);
+    callback({ success: true, team });
+  })));
+
+  on('reset_platform', adminOnly(socket, () => {
+    clearGameTimers();
+
+    gameState.teams = {};
+    gameState.memberCredentials = {};
+    presence.clear();
+    gameState.trades = [];
+    gameState.news = [];
+    gameState.marketTips = [];
+    gameState.messages = [];
+    gameState.tradeRequests = {};
+    gameState.orderBooks = {};
+    gameState.priceEngine = priceEngine.createEngineState();
+    schedulePriceEngine();
+    gameState.scenario = null;
+    scheduleScenario();
+    apiTokens.clear(entry => entry.sessionId === id);
+    resumeTokens.clear();
+    gameState.marginConfig = margin.createMarginConfig();
+    gameState.costSchedule = costs.createCostSchedule();
+    gameState.pendingCostSchedule = null;
+    gameState.performance = analytics.createPerformance();
+    gameState.corporateActions = [];
+    gameState.futures = futures.createFutures();
+    gameState.auction = { ...auction.createAuction(), enabled: gameState.auction.enabled, supply: gameState.auction.supply };
+    gameState.agenda = { steps: gameState.agenda.steps, index: null };
+    gameState.gameConfig = createGameConfig();
+    gameState.stocks = instruments.createInstruments(Object.values(gameState.stocks).map(instruments.toDefinition));
+    gameState.priceHistory = priceHistory.createHistory(gameState.stocks);
+
+    persistState();
+    io.to(room).emit('platform_reset');
+  }));
+}
+
+module.exports = {
+  register
+};
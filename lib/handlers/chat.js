@@ -0,0 +1,71 @@
+const { rejection, validated } = require('../validation');
+const { adminOnly, teamOnly } = require('../auth');
+
+// Socket handlers for team chat and the admins' moderation of it.
+
+function register(context, socket, on) {
+  const {
+    io, room, gameState, chatLimiter, persistState, emitTeamUpdate, getTeamMessages, sendMessage,
+    sendAdminMessage, deleteMessage
+  } = context;
+
+  on('admin_send_message', adminOnly(socket, validated(socket, 'admin_send_message', (data, callback) => {
+    callback(sendAdminMessage(data));
+  })));
+
+  on('admin_delete_message', adminOnly(socket, validated(socket, 'delete_message', (data, callback) => {
+    callback(deleteMessage(data.messageId, { reason: data.reason || null }));
+  })));
+
+  // Frozen chat leaves teams only their channel to the admins
+  on('toggle_chat_freeze', adminOnly(socket, (callback) => {
+    gameState.gameConfig.chatFrozen = !gameState.gameConfig.chatFrozen;
+    io.to(room).emit('config_update', gameState.gameConfig);
+    io.to(room).emit('notification', {
+      message: gameState.gameConfig.chatFrozen ? 'Chat is frozen: you can only message the admins' : 'Chat is open again',
+      type: 'info'
+    });
+    persistState();
+    callback({ success: true, frozen: gameState.gameConfig.chatFrozen });
+  }));
+
+  on('mute_team', adminOnly(socket, validated(socket, 'mute_team', (data, callback) => {
+    const team = gameState.teams[data.teamId];
+    if (!team) {
+      return callback(rejection('UNKNOWN_TEAM'));
+    }
+
+    team.chatMuted = data.muted;
+    emitTeamUpdate(team, false);
+    io.to(`team_${team.id}`).emit('notification', {
+      message: data.muted ? 'Your team has been muted: you can only message the admins' : 'Your team can chat again',
+      type: data.muted ? 'warning' : 'info'
+    });
+    persistState();
+    callback({ success: true, teamId: team.id, muted: team.chatMuted });
+  })));
+
+  on('send_message', teamOnly(socket, validated(socket, 'send_message', (data, callback) => {
+    const limit = chatLimiter.hit(socket.id);
+    if (!limit.allowed) {
+      return callback(rejection('RATE_LIMITED', `Too many messages; try again in ${limit.retryAfter}s`));
+    }
+    callback(sendMessage(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('delete_message', teamOnly(socket, validated(socket, 'delete_message', (data, callback) => {
+    callback(deleteMessage(data.messageId, { teamId: socket.data.teamId, memberId: socket.data.memberId }));
+  })));
+
+  on('get_team_messages', () => {
+    if (socket.data.isAdmin) {
+      return socket.emit('all_messages', gameState.messages);
+    }
+
+    socket.emit('team_messages', getTeamMessages(socket.data.teamId));
+  });
+}
+
+module.exports = {
+  register
+};
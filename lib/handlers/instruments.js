@@ -0,0 +1,173 @@
+const persistence = require('../persistence');
+const instruments = require('../instruments');
+const corporateActions = require('../corporateActions');
+const futures = require('../futures');
+const auction = require('../auction');
+const { rejection, validated } = require('../validation');
+const { adminOnly, superAdminOnly } = require('../auth');
+
+// Socket handlers for the market on offer: the instrument universe and its presets, the IPO
+// auction, futures contracts and corporate actions.
+
+function register(context, socket, on) {
+  const {
+    io, room, gameState, persistState, emitFutures, getInstrumentUse, removeInstrument,
+    upsertInstrument, applyInstruments, emitInstruments, getInstrumentPresets,
+    applyCorporateAction, emitAuction
+  } = context;
+
+  on('save_instrument', adminOnly(socket, validated(socket, 'save_instrument', (data, callback) => {
+    const symbol = data.symbol.trim().toUpperCase();
+    let instrument;
+    try {
+      instrument = instruments.sanitizeInstrument(data, gameState.stocks[symbol]);
+    } catch (err) {
+      return callback(rejection('INVALID_INSTRUMENT', err.message));
+    }
+
+    upsertInstrument(instrument);
+    emitInstruments();
+    callback({ success: true, instrument: gameState.stocks[symbol] });
+  })));
+
+  on('remove_instrument', adminOnly(socket, validated(socket, 'remove_instrument', (data, callback) => {
+    const symbol = data.symbol;
+    if (!gameState.stocks[symbol]) {
+      return callback(rejection('UNKNOWN_SYMBOL'));
+    }
+    if (Object.keys(gameState.stocks).length === 1) {
+      return callback(rejection('INSTRUMENT_IN_USE', 'The game needs at least one instrument'));
+    }
+    const use = getInstrumentUse(symbol);
+    if (use) {
+      return callback(rejection('INSTRUMENT_IN_USE', `${symbol} cannot be removed: ${use}`));
+    }
+
+    removeInstrument(symbol);
+    emitInstruments();
+    callback({ success: true });
+  })));
+
+  // `mode: 'replace'` makes the import the whole universe; the default merges it in
+  on('import_instruments', adminOnly(socket, validated(socket, 'import_instruments', (data, callback) => {
+    let list;
+    try {
+      list = instruments.parseImport(data.text, data.format);
+    } catch (err) {
+      return callback(rejection('INVALID_INSTRUMENT', err.message));
+    }
+    callback(applyInstruments(list, data.mode === 'replace'));
+  })));
+
+  on('export_instruments', adminOnly(socket, (format, callback) => {
+    const definitions = Object.values(gameState.stocks).map(instruments.toDefinition);
+
+    if (format === 'csv') {
+      return callback({ success: true, format, text: instruments.toCsv(gameState.stocks) });
+    }
+    callback({ success: true, format: 'json', text: JSON.stringify(definitions, null, 2) });
+  }));
+
+  on('list_instrument_presets', adminOnly(socket, (callback) => {
+    callback({ success: true, presets: getInstrumentPresets() });
+  }));
+
+  // Presets are shared by every session, so only the super-admin may change them
+  on('save_instrument_preset', superAdminOnly(socket, (name, callback) => {
+    if (!persistence.isValidSnapshotName(name) || name === 'default') {
+      return callback(rejection('INVALID_NAME'));
+    }
+
+    persistence.saveInstrumentPreset(name, Object.values(gameState.stocks).map(instruments.toDefinition));
+    callback({ success: true, presets: getInstrumentPresets() });
+  }));
+
+  // Loading a preset replaces the universe, like a replacing import
+  on('load_instrument_preset', adminOnly(socket, (name, callback) => {
+    const list = name === 'default'
+      ? instruments.getDefaultList()
+      : persistence.isValidSnapshotName(name) && persistence.loadInstrumentPreset(name);
+
+    if (!list) {
+      return callback(rejection('NOT_FOUND', 'Preset not found'));
+    }
+    callback(applyInstruments(list, true));
+  }));
+
+  on('delete_instrument_preset', superAdminOnly(socket, (name, callback) => {
+    if (!persistence.isValidSnapshotName(name) || !persistence.deleteInstrumentPreset(name)) {
+      return callback(rejection('NOT_FOUND', 'Preset not found'));
+    }
+
+    callback({ success: true, presets: getInstrumentPresets() });
+  }));
+
+  // The offer is fixed once allocation starts, since teams are bidding against it
+  on('configure_auction', adminOnly(socket, validated(socket, 'configure_auction', (data, callback) => {
+    if (gameState.gameConfig.phase === 'portfolio_allocation') {
+      return callback(rejection('INVALID_AUCTION', 'The auction cannot be changed while allocation is running'));
+    }
+    let setup;
+    try {
+      setup = auction.sanitizeSetup(data, gameState.stocks);
+    } catch (err) {
+      return callback(rejection('INVALID_AUCTION', err.message));
+    }
+
+    gameState.auction = { ...auction.createAuction(), ...setup };
+    emitAuction();
+    persistState();
+    callback({ success: true, auction: gameState.auction });
+  })));
+
+  on('list_future', adminOnly(socket, validated(socket, 'list_future', (data, callback) => {
+    let contract;
+    try {
+      contract = futures.sanitizeContract(data, gameState.futures, gameState.stocks, gameState.gameConfig.currentRound);
+    } catch (err) {
+      return callback(rejection('INVALID_FUTURE', err.message));
+    }
+
+    gameState.futures.contracts[contract.id] = contract;
+    emitFutures();
+    io.to(room).emit('notification', { message: `Futures listed: ${contract.id}, expiring after round ${contract.expiryRound}`, type: 'info' });
+    persistState();
+    callback({ success: true, contract });
+  })));
+
+  // Only contracts nobody holds can be delisted; expired ones can always be cleared away
+  on('delist_future', adminOnly(socket, validated(socket, 'delist_future', (data, callback) => {
+    const contract = gameState.futures.contracts[data.contractId];
+    if (!contract) {
+      return callback(rejection('UNKNOWN_SYMBOL', 'No futures contract with that id'));
+    }
+    if (Object.values(gameState.teams).some(team => team.futures && team.futures[contract.id])) {
+      return callback(rejection('INSTRUMENT_IN_USE', `${contract.id} cannot be delisted: teams hold positions in it`));
+    }
+
+    delete gameState.futures.contracts[contract.id];
+    emitFutures();
+    persistState();
+    callback({ success: true });
+  })));
+
+  on('get_corporate_actions', adminOnly(socket, (callback) => {
+    callback({ success: true, actions: gameState.corporateActions });
+  }));
+
+  on('declare_corporate_action', adminOnly(socket, validated(socket, 'declare_corporate_action', (data, callback) => {
+    let action;
+    try {
+      action = corporateActions.sanitizeAction(data, Object.keys(gameState.stocks));
+    } catch (err) {
+      return callback(rejection('INVALID_PAYLOAD', err.message));
+    }
+
+    applyCorporateAction(action);
+    callback({ success: true, actions: gameState.corporateActions });
+  })));
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,120 @@
+const persistence = require('../persistence');
+const eventLog = require('../eventLog');
+const exporter = require('../exporter');
+const { rejection, validated } = require('../validation');
+const { adminOnly } = require('../auth');
+
+// Socket handlers for keeping and looking back at a game: snapshots, archives, the results
+// report, the audit log and its replays.
+
+function register(context, socket, on) {
+  const {
+    id, name, io, store, room, log, gameState, liveState, replays, autosaver, buildResultsReport,
+    emitGameState, restoreState, seekReplay
+  } = context;
+
+  on('list_snapshots', adminOnly(socket, (callback) => {
+    callback({ success: true, snapshots: store.listSnapshots() });
+  }));
+
+  on('save_snapshot', adminOnly(socket, (name, callback) => {
+    if (!persistence.isValidSnapshotName(name)) {
+      return callback(rejection('INVALID_NAME'));
+    }
+
+    store.saveSnapshot(name, liveState);
+    callback({ success: true, snapshots: store.listSnapshots() });
+  }));
+
+  on('load_snapshot', adminOnly(socket, (name, callback) => {
+    const saved = persistence.isValidSnapshotName(name) ? store.loadSnapshot(name) : null;
+
+    if (!saved) {
+      return callback(rejection('NOT_FOUND', 'Snapshot not found'));
+    }
+
+    restoreState(saved);
+    autosaver.flush();
+
+    emitGameState();
+    io.to(room).emit('notification', { message: `Game restored from snapshot "${name}"`, type: 'info' });
+    callback({ success: true });
+  }));
+
+  on('delete_snapshot', adminOnly(socket, (name, callback) => {
+    if (!persistence.isValidSnapshotName(name) || !store.deleteSnapshot(name)) {
+      return callback(rejection('NOT_FOUND', 'Snapshot not found'));
+    }
+
+    callback({ success: true, snapshots: store.listSnapshots() });
+  }));
+
+  // The whole game, to keep or to import on another server as a new session
+  on('export_archive', adminOnly(socket, (callback) => {
+    callback({ success: true, archive: exporter.createArchive({ id, name }, liveState) });
+  }));
+
+  on('get_results_report', adminOnly(socket, (callback) => {
+    if (gameState.gameConfig.phase !== 'ended') {
+      return callback(rejection('PHASE_CLOSED', 'The results report is ready once the game has ended'));
+    }
+    callback({ success: true, html: buildResultsReport() });
+  }));
+
+  // Newest first, paged with `beforeSeq`; a team filter matches events by or about the team
+  on('get_audit_log', adminOnly(socket, validated(socket, 'get_audit_log', (data, callback) => {
+    const limit = Math.min(data.limit || 100, 500);
+    const matches = log.read().filter(event =>
+      (!data.beforeSeq || event.seq < data.beforeSeq) &&
+      (!data.type || event.type === data.type) &&
+      (!data.teamId || eventLog.touchesTeam(event, data.teamId))
+    );
+
+    const page = matches.slice(-limit).reverse();
+    callback({ success: true, events: page.map(eventLog.summarizeEvent), hasMore: matches.length > limit });
+  })));
+
+  on('replay_open', adminOnly(socket, (callback) => {
+    const replay = { events: log.read(), position: 0, state: undefined };
+    replays.set(socket.id, replay);
+    callback({ success: true, frame: seekReplay(replay, 1) });
+  }));
+
+  // Seeks to the last event at or before `seq` or `time`
+  on('replay_seek', adminOnly(socket, validated(socket, 'replay_seek', (data, callback) => {
+    const replay = replays.get(socket.id);
+    if (!replay) {
+      return callback(rejection('NOT_FOUND', 'Open a replay first'));
+    }
+
+    const position = data.time !== undefined && data.time !== null
+      ? replay.events.filter(event => event.time <= data.time).length
+      : replay.events.filter(event => event.seq <= (data.seq || 0)).length;
+    callback({ success: true, frame: seekReplay(replay, position) });
+  })));
+
+  on('replay_step', adminOnly(socket, validated(socket, 'replay_step', (data, callback) => {
+    const replay = replays.get(socket.id);
+    if (!replay) {
+      return callback(rejection('NOT_FOUND', 'Open a replay first'));
+    }
+
+    callback({ success: true, frame: seekReplay(replay, replay.position + Math.round(data.count)) });
+  })));
+
+  on('replay_close', adminOnly(socket, (callback) => {
+    replays.delete(socket.id);
+    callback({ success: true });
+  }));
+
+  // Rebuilds the state from the whole log and compares it with the live state
+  on('verify_audit_log', adminOnly(socket, (callback) => {
+    const events = log.read();
+    const mismatched = eventLog.diffKeys(eventLog.rebuild(events), liveState);
+    callback({ success: true, events: events.length, consistent: mismatched.length === 0, mismatched });
+  }));
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,116 @@
+const priceEngine = require('../priceEngine');
+const scenario = require('../scenario');
+const { rejection, validated } = require('../validation');
+const { adminOnly } = require('../auth');
+
+// Socket handlers for what moves prices on its own: the price engine and scripted scenarios.
+
+function register(context, socket, on) {
+  const {
+    gameState, persistState, schedulePriceEngine, emitPriceEngineState, logScenarioEvent,
+    fireScenarioEvent, scheduleScenario, emitScenarioState
+  } = context;
+
+  on('get_price_engine', adminOnly(socket, (callback) => {
+    callback({ success: true, engine: gameState.priceEngine, models: priceEngine.MODELS });
+  }));
+
+  on('price_engine_start', adminOnly(socket, (callback) => {
+    gameState.priceEngine.running = true;
+    schedulePriceEngine();
+    emitPriceEngineState();
+    persistState();
+    callback({ success: true, engine: gameState.priceEngine });
+  }));
+
+  on('price_engine_pause', adminOnly(socket, (callback) => {
+    gameState.priceEngine.running = false;
+    schedulePriceEngine();
+    emitPriceEngineState();
+    persistState();
+    callback({ success: true, engine: gameState.priceEngine });
+  }));
+
+  on('price_engine_configure', adminOnly(socket, (update, callback) => {
+    if (!update || typeof update !== 'object') {
+      return callback(rejection('INVALID_PAYLOAD'));
+    }
+
+    try {
+      priceEngine.configure(gameState.priceEngine, update, Object.keys(gameState.stocks));
+    } catch (err) {
+      return callback(rejection('INVALID_PAYLOAD', err.message));
+    }
+
+    schedulePriceEngine();
+    emitPriceEngineState();
+    persistState();
+    callback({ success: true, engine: gameState.priceEngine });
+  }));
+
+  on('list_scenario_files', adminOnly(socket, (callback) => {
+    callback({ success: true, files: scenario.listScenarioFiles() });
+  }));
+
+  // Accepts { file } from scenarios/ or { text, format } pasted by the admin
+  on('load_scenario', adminOnly(socket, validated(socket, 'load_scenario', (data, callback) => {
+    if (!data.file && !data.text) {
+      return callback(rejection('INVALID_SCENARIO', 'Choose a scenario file or paste a scenario'));
+    }
+
+    let loaded;
+    try {
+      const raw = data.file
+        ? scenario.readScenarioFile(data.file)
+        : scenario.parseText(data.text, data.format);
+      loaded = scenario.createScenario(raw, Object.keys(gameState.stocks));
+    } catch (err) {
+      return callback(rejection('INVALID_SCENARIO', err.message));
+    }
+
+    gameState.scenario = loaded;
+    scheduleScenario();
+    emitScenarioState();
+    persistState();
+    callback({ success: true, scenario: loaded });
+  })));
+
+  on('get_scenario', adminOnly(socket, (callback) => {
+    callback({ success: true, scenario: gameState.scenario });
+  }));
+
+  on('scenario_fire', adminOnly(socket, validated(socket, 'scenario_event', (data, callback) => {
+    const event = gameState.scenario && gameState.scenario.events.find(e => e.id === data.eventId);
+    if (!event || event.status !== 'pending') {
+      return callback(rejection('NOT_FOUND', 'No pending scenario event with that id'));
+    }
+
+    fireScenarioEvent(event, 'manual');
+    callback({ success: true, scenario: gameState.scenario });
+  })));
+
+  on('scenario_skip', adminOnly(socket, validated(socket, 'scenario_event', (data, callback) => {
+    const event = gameState.scenario && gameState.scenario.events.find(e => e.id === data.eventId);
+    if (!event || event.status !== 'pending') {
+      return callback(rejection('NOT_FOUND', 'No pending scenario event with that id'));
+    }
+
+    event.status = 'skipped';
+    logScenarioEvent(event, 'skipped', 'manual');
+    emitScenarioState();
+    persistState();
+    callback({ success: true, scenario: gameState.scenario });
+  })));
+
+  on('clear_scenario', adminOnly(socket, (callback) => {
+    gameState.scenario = null;
+    scheduleScenario();
+    emitScenarioState();
+    persistState();
+    callback({ success: true });
+  }));
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,185 @@
+const { v4: uuidv4 } = require('uuid');
+const members = require('../members');
+const visibility = require('../visibility');
+const { rejection, validated } = require('../validation');
+const { hashPassword, verifyPassword, adminOnly } = require('../auth');
+
+// Socket handlers for signing in: admin logins, creating teams, joining or resuming as a team or
+// one of its members, and managing members.
+
+function register(context, socket, on) {
+  const {
+    io, adminPasswordHash, isSuperAdminPassword, adminRoom, gameState, liveState, adminTokens,
+    resumeTokens, persistState, generateJoinCode, getGameStatePayload, broadcastStandings,
+    findTeamByJoinCode, getMember, getTeamMessages, joinAsMember, getManagedTeam, updateMember,
+    signOutMember, removeMember, getPresence, getResumePayload, enterTeam
+  } = context;
+
+  // Accepts the password, or { token } to resume an earlier login after a reconnect
+  on('admin_login', (credentials, callback) => {
+    if (typeof callback !== 'function') callback = () => {};
+    let token = null;
+    let superAdmin = false;
+
+    if (credentials && typeof credentials === 'object') {
+      const entry = adminTokens.verify(credentials.token);
+      if (entry) {
+        token = credentials.token;
+        superAdmin = entry.superAdmin;
+      }
+    } else if (typeof credentials === 'string') {
+      superAdmin = isSuperAdminPassword(credentials);
+      if (superAdmin || verifyPassword(credentials, adminPasswordHash)) {
+        token = adminTokens.issue({ superAdmin });
+      }
+    }
+
+    if (!token) {
+      return callback(rejection('INVALID_CREDENTIALS', 'Invalid password'));
+    }
+
+    socket.data.isAdmin = true;
+    socket.data.isSuperAdmin = superAdmin;
+    socket.data.adminToken = token;
+    socket.join(adminRoom);
+    callback({ success: true, token, superAdmin });
+    socket.emit('game_state', getGameStatePayload());
+    socket.emit('all_messages', gameState.messages);
+    socket.emit('team_presence', getPresence());
+  });
+
+  on('admin_logout', (callback) => {
+    if (socket.data.adminToken) adminTokens.revoke(socket.data.adminToken);
+    socket.data.isAdmin = false;
+    socket.data.isSuperAdmin = false;
+    socket.data.adminToken = null;
+    socket.leave(adminRoom);
+    if (typeof callback === 'function') callback({ success: true });
+  });
+
+  on('create_team', adminOnly(socket, validated(socket, 'create_team', (data, callback) => {
+    const teamId = uuidv4();
+    const joinCode = generateJoinCode();
+
+    const newTeam = {
+      id: teamId,
+      name: data.name,
+      cash: data.startingBalance,
+      startingBalance: data.startingBalance,
+      holdings: {},
+      shortHoldings: {},
+      marginBlocked: {},
+      marginCall: null,
+      futures: {},
+      feesPaid: 0,
+      joinCode: joinCode,
+      members: [],
+      trades: []
+    };
+
+    gameState.teams[teamId] = newTeam;
+    persistState();
+
+    io.to(adminRoom).emit('team_created', newTeam);
+    broadcastStandings();
+    callback({ success: true, team: newTeam });
+  })));
+
+  on('team_join', (joinCode, callback) => {
+    if (typeof callback !== 'function') return;
+    if (typeof joinCode !== 'string') {
+      return callback(rejection('INVALID_PAYLOAD'));
+    }
+
+    const team = findTeamByJoinCode(joinCode);
+
+    if (!team) {
+      return callback(rejection('INVALID_CREDENTIALS', 'Invalid join code'));
+    }
+
+    // Members re-fetch their team with the join code; anyone else needs a team without members
+    const member = socket.data.teamId === team.id ? getMember(team, socket.data.memberId) : null;
+    if (team.members.length > 0 && !member) {
+      return callback(rejection('MEMBER_REQUIRED'));
+    }
+
+    if (socket.data.teamId !== team.id) {
+      enterTeam(socket, team.id, null);
+    }
+    callback({ success: true, team: visibility.ownTeam(team), member, resumeToken: socket.data.resumeToken, seq: liveState.sequence });
+    socket.emit('team_messages', getTeamMessages(team.id));
+  });
+
+  on('member_join', validated(socket, 'member_join', (data, callback) => {
+    const result = joinAsMember(data.joinCode, data.name, data.pin);
+    if (!result.success) {
+      return callback(result);
+    }
+
+    enterTeam(socket, result.team.id, result.member.id);
+    callback({ ...result, resumeToken: socket.data.resumeToken, seq: liveState.sequence });
+    socket.emit('team_messages', getTeamMessages(result.team.id));
+  }));
+
+  // Puts a reloaded or reconnected browser back in its team and sends what it missed since `since`
+  on('team_resume', validated(socket, 'team_resume', (data, callback) => {
+    const entry = resumeTokens.verify(data.token);
+    const team = entry && gameState.teams[entry.teamId];
+    if (!team) {
+      return callback(rejection('INVALID_CREDENTIALS', 'Your session has expired, please join again'));
+    }
+
+    // Guests lose their place once the team has members
+    const member = entry.memberId ? getMember(team, entry.memberId) : null;
+    if (entry.memberId ? !member : team.members.length > 0) {
+      resumeTokens.revoke(data.token);
+      return callback(rejection('MEMBER_REQUIRED'));
+    }
+
+    enterTeam(socket, team.id, entry.memberId, data.token);
+    const since = data.since === undefined || data.since === null ? liveState.sequence : data.since;
+    callback({
+      success: true,
+      team: visibility.ownTeam(team),
+      member,
+      resumeToken: data.token,
+      ...getResumePayload(team, since, data.pricesSince)
+    });
+    socket.emit('team_messages', getTeamMessages(team.id));
+  }));
+
+  on('update_team_member', validated(socket, 'update_team_member', (data, callback) => {
+    const { team, error } = getManagedTeam(socket, data);
+    callback(error || updateMember(team, data));
+  }));
+
+  on('remove_team_member', validated(socket, 'remove_team_member', (data, callback) => {
+    const { team, error } = getManagedTeam(socket, data);
+    callback(error || removeMember(team, data.memberId));
+  }));
+
+  // For members who forgot their PIN; their other sessions are signed out
+  on('reset_member_pin', adminOnly(socket, validated(socket, 'reset_member_pin', (data, callback) => {
+    const team = gameState.teams[data.teamId];
+    const member = getMember(team, data.memberId);
+    if (!member) {
+      return callback(rejection('NOT_FOUND', 'No such member'));
+    }
+    if (!members.isValidPin(data.pin)) {
+      return callback(rejection('INVALID_CREDENTIALS', 'PINs are 4 to 32 characters without spaces'));
+    }
+
+    gameState.memberCredentials[member.id] = hashPassword(data.pin);
+    signOutMember(member.id, 'Your PIN was reset by the admin');
+    persistState();
+    callback({ success: true });
+  })));
+
+  on('get_team_presence', adminOnly(socket, (callback) => {
+    callback({ success: true, presence: getPresence() });
+  }));
+}
+
+module.exports = {
+  register
+};
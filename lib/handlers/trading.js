@@ -0,0 +1,134 @@
+const orderBook = require('../orderBook');
+const priceHistory = require('../priceHistory');
+const auction = require('../auction');
+const exporter = require('../exporter');
+const { rejection, validated } = require('../validation');
+const { teamOnly } = require('../auth');
+
+// Socket handlers for what teams trade and read: market trades, futures, auction bids, P2P offers,
+// exchange orders, order books, price history, performance and tradebooks.
+
+function register(context, socket, on) {
+  const {
+    gameState, liveState, getPriceHistoryPayload, getTeamMetrics, getAllMetrics, getOrderBook,
+    getOpenOrders, executeTrade, tradeFuture, getTeamBids, submitAuctionBid, cancelAuctionBid,
+    sendTradeRequest, counterTradeRequest, respondTradeRequest, placeOrder, cancelOrder,
+    modifyOrder
+  } = context;
+
+  on('execute_trade', teamOnly(socket, validated(socket, 'execute_trade', (data, callback) => {
+    callback(executeTrade(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('trade_future', teamOnly(socket, validated(socket, 'trade_future', (data, callback) => {
+    callback(tradeFuture(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('submit_auction_bid', teamOnly(socket, validated(socket, 'submit_auction_bid', (data, callback) => {
+    callback(submitAuctionBid(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('cancel_auction_bid', teamOnly(socket, validated(socket, 'cancel_auction_bid', (data, callback) => {
+    callback(cancelAuctionBid(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('get_auction', (callback) => {
+    if (typeof callback !== 'function') return;
+    if (socket.data.isAdmin) {
+      return callback({ success: true, auction: gameState.auction });
+    }
+    callback({ success: true, auction: auction.publicView(gameState.auction), bids: socket.data.teamId ? getTeamBids(socket.data.teamId) : [] });
+  });
+
+  on('send_trade_request', teamOnly(socket, validated(socket, 'send_trade_request', (data, callback) => {
+    callback(sendTradeRequest(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('respond_trade_request', teamOnly(socket, validated(socket, 'respond_trade_request', (data, callback) => {
+    callback(respondTradeRequest(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('counter_trade_request', teamOnly(socket, validated(socket, 'counter_trade_request', (data, callback) => {
+    callback(counterTradeRequest(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('place_order', teamOnly(socket, validated(socket, 'place_order', (data, callback) => {
+    callback(placeOrder(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('cancel_order', teamOnly(socket, validated(socket, 'cancel_order', (data, callback) => {
+    callback(cancelOrder(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('modify_order', teamOnly(socket, validated(socket, 'modify_order', (data, callback) => {
+    callback(modifyOrder(socket.data.teamId, data, socket.data.memberId));
+  })));
+
+  on('get_order_book', (symbol, callback) => {
+    if (typeof callback !== 'function') return;
+    if (!gameState.stocks[symbol]) {
+      return callback(rejection('UNKNOWN_SYMBOL'));
+    }
+    callback({ success: true, depth: orderBook.getDepth(getOrderBook(symbol)) });
+  });
+
+  on('get_price_history', validated(socket, 'get_price_history', (data, callback) => {
+    const interval = data.interval || priceHistory.DEFAULT_INTERVAL;
+    if (!gameState.stocks[data.symbol]) {
+      return callback(rejection('UNKNOWN_SYMBOL'));
+    }
+    if (!priceHistory.isValidInterval(interval)) {
+      return callback(rejection('INVALID_AMOUNT', `Candle interval must be between 1 and ${priceHistory.MAX_INTERVAL} seconds`));
+    }
+
+    callback({ success: true, ...getPriceHistoryPayload(data.symbol, interval) });
+  }));
+
+  // Admins get every team's metrics, a team only its own
+  on('get_performance', (callback) => {
+    if (typeof callback !== 'function') return;
+    if (socket.data.isAdmin) {
+      return callback({ success: true, teams: getAllMetrics() });
+    }
+
+    const team = gameState.teams[socket.data.teamId];
+    if (!team) {
+      return callback(rejection('TEAM_REQUIRED'));
+    }
+    callback({ success: true, metrics: getTeamMetrics(team) });
+  });
+
+  on('get_my_orders', teamOnly(socket, (callback) => {
+    callback({ success: true, orders: getOpenOrders(socket.data.teamId) });
+  }));
+
+  // Takes a team id (or null for every trade), or { teamId, format } with format 'csv' or 'json'
+  on('download_tradebook', (options, callback) => {
+    if (typeof callback !== 'function') return;
+    let { teamId = null, format = 'csv' } = options !== null && typeof options === 'object' ? options : { teamId: options };
+    if (!socket.data.isAdmin) {
+      if (!socket.data.teamId) {
+        return callback(rejection('AUTH_REQUIRED'));
+      }
+      teamId = socket.data.teamId;
+    }
+
+    let trades;
+    if (teamId) {
+      const team = liveState.teams[teamId];
+      trades = team ? team.trades : [];
+    } else {
+      trades = liveState.trades;
+    }
+
+    if (format === 'json') {
+      return callback({ success: true, format, text: exporter.tradesToJson(trades) });
+    }
+    const csv = exporter.tradesToCsv(trades);
+    callback({ success: true, format: 'csv', text: csv, csv });
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,237 @@
+// The instrument universe. Each game keeps its instruments in `gameState.stocks`, keyed by
+// symbol; admins edit them one at a time, import and export them as CSV or JSON, and keep
+// named presets. `price` is the live price, `startingPrice` is where a reset puts it back.
+// `referencePrice` is where the current round opened, the centre of the circuit band; a price
+// that reaches either edge halts the instrument (`halt`) for `haltSeconds`.
+
+const { ASSET_CLASSES } = require('./costs');
+const { csvField } = require('./exporter');
+
+const SYMBOL_PATTERN = /^[A-Z0-9_.&-]{1,20}$/;
+const CSV_COLUMNS = ['symbol', 'name', 'assetClass', 'startingPrice', 'lotSize', 'tickSize', 'circuitBand', 'haltSeconds', 'tradable'];
+
+const DEFAULTS = {
+  lotSize: 1,
+  tickSize: 0.01,
+  circuitBand: 0.08,
+  haltSeconds: 60,
+  tradable: true
+};
+
+// symbol, name, starting price, asset class
+const DEFAULT_INSTRUMENTS = [
+  ['TATAMOTORS', 'TATA MOTORS', 400, 'equity'],
+  ['ADANIGREEN', 'ADANI GREEN', 1025, 'equity'],
+  ['ONGC', 'ONGC', 255, 'equity'],
+  ['RELIANCE', 'RELIANCE', 1450, 'equity'],
+  ['ITC', 'ITC', 415, 'equity'],
+  ['HDFCBANK', 'HDFC BANK', 1000, 'equity'],
+  ['ICICIBANK', 'ICICI BANK', 1375, 'equity'],
+  ['ZOMATO', 'ZOMATO', 325, 'equity'],
+  ['TATAELXSI', 'TATA ELXSI', 5540, 'equity'],
+  ['INFOSYS', 'INFOSYS', 1520, 'equity'],
+  ['LNT', 'L&T', 3900, 'equity'],
+  ['GOLD', 'GOLD', 122500, 'commodity'],
+  ['SILVER', 'SILVER', 150000, 'commodity'],
+  ['CRUDEOIL', 'CRUDE OIL', 5425, 'commodity'],
+  ['DOGE', 'DOGE COIN', 17, 'crypto'],
+  ['ETHEREUM', 'ETHEREUM', 345000, 'crypto']
+];
+
+function getDefaultList() {
+  return DEFAULT_INSTRUMENTS.map(([symbol, name, startingPrice, assetClass]) => ({
+    symbol,
+    name,
+    assetClass,
+    startingPrice,
+    ...DEFAULTS
+  }));
+}
+
+const MAX_HALT_SECONDS = 60 * 60;
+
+// A live instrument, priced at its starting price and not halted
+function createStock(instrument) {
+  return { ...instrument, price: instrument.startingPrice, referencePrice: instrument.startingPrice, halt: null };
+}
+
+// Live instruments keyed by symbol
+function createInstruments(list = getDefaultList()) {
+  const stocks = {};
+  list.forEach(instrument => {
+    stocks[instrument.symbol] = createStock(instrument);
+  });
+  return stocks;
+}
+
+function fail(symbol, message) {
+  throw new Error(symbol ? `${symbol}: ${message}` : message);
+}
+
+function readNumber(value, symbol, field, { integer = false, max = Infinity } = {}) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    fail(symbol, `${field} must be a positive ${integer ? 'whole number' : 'number'}${max < Infinity ? ` up to ${max}` : ''}`);
+  }
+  return number;
+}
+
+function readBoolean(value, symbol) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(text)) return true;
+  if (['false', 'no', '0'].includes(text)) return false;
+  fail(symbol, 'tradable must be true or false');
+}
+
+// Fields left out fall back to `existing` (when editing) and then to the defaults. Throws with
+// a message naming the symbol and field on invalid input.
+function sanitizeInstrument(input, existing = null) {
+  if (!input || typeof input !== 'object') fail(null, 'Each instrument must be an object');
+  const merged = { ...DEFAULTS, ...(existing || {}) };
+  Object.entries(input).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '') merged[field] = value;
+  });
+  if (merged.startingPrice === undefined && input.price !== undefined) merged.startingPrice = input.price;
+
+  const symbol = String(merged.symbol || '').trim().toUpperCase();
+  if (!SYMBOL_PATTERN.test(symbol)) fail(null, `Invalid symbol "${merged.symbol || ''}" (up to 20 letters, digits and . _ & -)`);
+
+  const name = String(merged.name || '').trim();
+  if (!name || name.length > 40) fail(symbol, 'name must be 1 to 40 characters');
+  if (!ASSET_CLASSES.includes(merged.assetClass)) fail(symbol, `asset class must be one of ${ASSET_CLASSES.join(', ')}`);
+
+  const instrument = {
+    symbol,
+    name,
+    assetClass: merged.assetClass,
+    startingPrice: readNumber(merged.startingPrice, symbol, 'starting price'),
+    lotSize: readNumber(merged.lotSize, symbol, 'lot size', { integer: true }),
+    tickSize: readNumber(merged.tickSize, symbol, 'tick size'),
+    circuitBand: readNumber(merged.circuitBand, symbol, 'circuit band', { max: 1 }),
+    haltSeconds: readNumber(merged.haltSeconds, symbol, 'halt time', { integer: true, max: MAX_HALT_SECONDS }),
+    tradable: readBoolean(merged.tradable, symbol)
+  };
+  if (!isOnTick(instrument, instrument.startingPrice)) fail(symbol, 'starting price must be a multiple of the tick size');
+  return instrument;
+}
+
+function sanitizeList(list, existingStocks = {}) {
+  if (!Array.isArray(list) || list.length === 0) fail(null, 'Expected a non-empty list of instruments');
+  const seen = new Set();
+  return list.map(input => {
+    const symbol = input && typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : null;
+    const instrument = sanitizeInstrument(input, symbol ? existingStocks[symbol] : null);
+    if (seen.has(instrument.symbol)) fail(instrument.symbol, 'listed more than once');
+    seen.add(instrument.symbol);
+    return instrument;
+  });
+}
+
+// Small tolerance for floating point, so 0.15 is a whole number of 0.05 ticks
+function isMultiple(value, step) {
+  const steps = value / step;
+  return Math.abs(steps - Math.round(steps)) < 1e-6;
+}
+
+function isOnTick(instrument, price) {
+  return isMultiple(price, instrument.tickSize || DEFAULTS.tickSize);
+}
+
+function isWholeLots(instrument, quantity) {
+  return quantity % (instrument.lotSize || DEFAULTS.lotSize) === 0;
+}
+
+function roundToTick(instrument, price) {
+  const tick = instrument.tickSize || DEFAULTS.tickSize;
+  const rounded = Math.max(tick, Math.round(price / tick) * tick);
+  return Math.round(rounded * 1e6) / 1e6;
+}
+
+// The instrument definition without the live price, as exported and saved in presets
+function toDefinition(stock) {
+  return Object.fromEntries(CSV_COLUMNS.map(field => [field, stock[field] === undefined ? DEFAULTS[field] : stock[field]]));
+}
+
+function toCsv(stocks) {
+  const rows = Object.values(stocks).map(stock => {
+    const definition = toDefinition(stock);
+    return CSV_COLUMNS.map(field => csvField(definition[field])).join(',');
+  });
+  return `${CSV_COLUMNS.join(',')}\n${rows.join('\n')}\n`;
+}
+
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  // Undo the quote csvField puts in front of text a spreadsheet would read as a formula
+  return fields.map(value => value.trim().replace(/^'(?=[=+\-@])/, ''));
+}
+
+// The header row names the columns, in any order; `price` is accepted for `startingPrice`
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) fail(null, 'CSV needs a header row and at least one instrument');
+
+  const header = splitCsvLine(lines[0]).map(column => (column === 'price' ? 'startingPrice' : column));
+  if (!header.includes('symbol')) fail(null, 'CSV header must include a symbol column');
+
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    const row = {};
+    header.forEach((column, index) => {
+      if (CSV_COLUMNS.includes(column)) row[column] = values[index];
+    });
+    return row;
+  });
+}
+
+function parseImport(text, format) {
+  if (format === 'csv') return parseCsv(text);
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    fail(null, `Invalid JSON: ${err.message}`);
+  }
+  return Array.isArray(parsed) ? parsed : parsed.instruments;
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  DEFAULTS,
+  getDefaultList,
+  createStock,
+  createInstruments,
+  sanitizeInstrument,
+  sanitizeList,
+  isOnTick,
+  isWholeLots,
+  roundToTick,
+  toDefinition,
+  toCsv,
+  parseImport
+};
@@ -0,0 +1,155 @@
+// Margin accounting for short positions. Short proceeds are credited to cash but blocked,
+// together with the initial margin, in `team.marginBlocked[symbol]`; only the rest of the
+// cash can be spent. A team breaches when its equity (portfolio value) falls below the
+// maintenance margin on the current value of its shorts.
+
+const DEFAULT_MARGIN = {
+  initialMargin: 0.5,
+  maintenanceMargin: 0.3,
+  borrowFeeRate: 0
+};
+
+function createMarginConfig() {
+  return {
+    defaults: { ...DEFAULT_MARGIN },
+    symbols: {},
+    graceSeconds: 30
+  };
+}
+
+function resolveMargin(config, symbol) {
+  return { ...config.defaults, ...(config.symbols[symbol] || {}) };
+}
+
+function getBlockedTotal(team) {
+  return Object.values(team.marginBlocked || {}).reduce((sum, amount) => sum + amount, 0);
+}
+
+function getAvailableCash(team) {
+  return team.cash - getBlockedTotal(team);
+}
+
+function blockForShort(team, symbol, amount) {
+  if (!team.marginBlocked) team.marginBlocked = {};
+  team.marginBlocked[symbol] = (team.marginBlocked[symbol] || 0) + amount;
+}
+
+// Collateral freed by covering `quantity` of a short, pro rata to the open position
+function getCoverRelease(team, symbol, quantity) {
+  const blocked = (team.marginBlocked || {})[symbol] || 0;
+  const position = (team.shortHoldings || {})[symbol] || 0;
+  if (blocked === 0 || position === 0) return 0;
+  return quantity >= position ? blocked : Math.round(blocked * quantity / position * 100) / 100;
+}
+
+// Call before reducing the short position
+function releaseForCover(team, symbol, quantity) {
+  const released = getCoverRelease(team, symbol, quantity);
+  if (released === 0) return 0;
+  team.marginBlocked[symbol] -= released;
+  if (team.marginBlocked[symbol] <= 0) delete team.marginBlocked[symbol];
+  return released;
+}
+
+function getMarginStatus(team, stocks, config, equity) {
+  let shortValue = 0;
+  let requirement = 0;
+
+  Object.entries(team.shortHoldings || {}).forEach(([symbol, qty]) => {
+    const stock = stocks[symbol];
+    if (!stock || qty <= 0) return;
+    const value = qty * stock.price;
+    shortValue += value;
+    requirement += value * resolveMargin(config, symbol).maintenanceMargin;
+  });
+
+  return {
+    equity,
+    shortValue,
+    requirement,
+    blocked: getBlockedTotal(team),
+    availableCash: getAvailableCash(team),
+    breached: shortValue > 0 && equity < requirement
+  };
+}
+
+// Covering a short leaves equity unchanged and lowers the requirement by its maintenance
+// margin, so cover the largest shorts first until the requirement fits inside equity
+function planLiquidation(team, stocks, config, status) {
+  let deficit = status.requirement - status.equity;
+  const plan = [];
+
+  const positions = Object.entries(team.shortHoldings || {})
+    .filter(([symbol, qty]) => stocks[symbol] && qty > 0)
+    .map(([symbol, qty]) => ({ symbol, qty, price: stocks[symbol].price }))
+    .sort((a, b) => b.qty * b.price - a.qty * a.price);
+
+  for (const position of positions) {
+    if (deficit <= 0) break;
+    const perShare = position.price * resolveMargin(config, position.symbol).maintenanceMargin;
+    const quantity = status.equity <= 0 ? position.qty : Math.min(position.qty, Math.ceil(deficit / perShare));
+    plan.push({ symbol: position.symbol, quantity, price: position.price });
+    deficit -= quantity * perShare;
+  }
+
+  return plan;
+}
+
+function sanitizeMargin(input) {
+  const margin = {};
+  if (!input || typeof input !== 'object') return margin;
+
+  Object.keys(DEFAULT_MARGIN).forEach(key => {
+    if (input[key] === undefined) return;
+    if (typeof input[key] !== 'number' || !Number.isFinite(input[key]) || input[key] < 0 || input[key] > 5) {
+      throw new Error(`${key} must be a number between 0 and 5`);
+    }
+    margin[key] = input[key];
+  });
+
+  return margin;
+}
+
+// Applies an admin update; throws with a readable message on invalid input
+function configure(config, update, knownSymbols) {
+  const defaults = update.defaults ? sanitizeMargin(update.defaults) : null;
+  let symbols = null;
+  if (update.symbols) {
+    symbols = {};
+    Object.entries(update.symbols).forEach(([symbol, margin]) => {
+      if (!knownSymbols.includes(symbol)) throw new Error(`Unknown symbol "${symbol}"`);
+      symbols[symbol] = sanitizeMargin(margin);
+    });
+  }
+  if (update.graceSeconds !== undefined) {
+    if (!Number.isInteger(update.graceSeconds) || update.graceSeconds < 0 || update.graceSeconds > 600) {
+      throw new Error('graceSeconds must be a whole number between 0 and 600');
+    }
+  }
+
+  const merged = { ...config.defaults, ...(defaults || {}) };
+  [merged, ...Object.values(symbols || config.symbols).map(margin => ({ ...merged, ...margin }))].forEach(margin => {
+    if (margin.maintenanceMargin > margin.initialMargin) {
+      throw new Error('maintenanceMargin cannot be above initialMargin');
+    }
+  });
+
+  if (defaults) config.defaults = merged;
+  if (symbols) config.symbols = symbols;
+  if (update.graceSeconds !== undefined) config.graceSeconds = update.graceSeconds;
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_MARGIN,
+  createMarginConfig,
+  resolveMargin,
+  getAvailableCash,
+  blockForShort,
+  getCoverRelease,
+  releaseForCover,
+  getMarginStatus,
+  planLiquidation,
+  configure
+};
@@ -0,0 +1,86 @@
+// Team members. A team's join code lets people in; each member then signs in under a name with
+// a personal PIN, so every trade, offer and message can be traced to the person who made it.
+// Captains manage the roster and set per-member limits, traders trade, viewers only watch.
+// Teams without members keep the old behaviour: the join code alone can do everything.
+
+const { v4: uuidv4 } = require('uuid');
+
+const ROLES = ['captain', 'trader', 'viewer'];
+
+const PERMISSIONS = {
+  captain: ['trade', 'message', 'manage'],
+  trader: ['trade', 'message'],
+  viewer: []
+};
+
+const MAX_MEMBERS = 20;
+const NAME_PATTERN = /^[\p{L}\p{N} ._-]{1,24}$/u;
+const PIN_PATTERN = /^\S{4,32}$/;
+
+function createMember(name, role) {
+  return {
+    id: uuidv4(),
+    name,
+    role,
+    limits: { maxTradeValue: null, maxRoundValue: null },
+    usage: { round: 0, value: 0 },
+    joinedAt: Date.now()
+  };
+}
+
+function isValidName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name.trim());
+}
+
+function isValidPin(pin) {
+  return typeof pin === 'string' && PIN_PATTERN.test(pin);
+}
+
+// Names are matched without regard to case or surrounding spaces
+function findByName(team, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return (team.members || []).find(member => member.name.toLowerCase() === wanted) || null;
+}
+
+function can(member, permission) {
+  return PERMISSIONS[member.role].includes(permission);
+}
+
+function roundUsage(member, round) {
+  return member.usage && member.usage.round === round ? member.usage.value : 0;
+}
+
+// Returns a message when `value` would break one of the member's limits, otherwise null
+function checkLimits(member, value, round) {
+  const { maxTradeValue, maxRoundValue } = member.limits || {};
+  if (maxTradeValue && value > maxTradeValue) {
+    return `${member.name} may trade at most ₹${maxTradeValue.toLocaleString()} at a time`;
+  }
+  if (maxRoundValue && roundUsage(member, round) + value > maxRoundValue) {
+    const left = Math.max(0, maxRoundValue - roundUsage(member, round));
+    return `${member.name} has ₹${left.toLocaleString()} of their ₹${maxRoundValue.toLocaleString()} round limit left`;
+  }
+  return null;
+}
+
+function recordUsage(member, value, round) {
+  member.usage = { round, value: Math.round((roundUsage(member, round) + value) * 100) / 100 };
+}
+
+// The fields that attribute a trade, order, offer or message to a member
+function attribution(member) {
+  return member ? { memberId: member.id, memberName: member.name } : {};
+}
+
+module.exports = {
+  ROLES,
+  MAX_MEMBERS,
+  createMember,
+  isValidName,
+  isValidPin,
+  findByName,
+  can,
+  checkLimits,
+  recordUsage,
+  attribution
+};
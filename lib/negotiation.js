@@ -0,0 +1,80 @@
+// Peer-to-peer offers. An offer is one or more legs, each a buy or sell of one symbol at an
+// agreed price, seen from the side of the team that made it, plus an optional cash leg: the
+// `cash` the offering team pays on top, negative when it asks for cash. "10 ITC + ₹5000 for
+// 2 LNT" is a sell leg, a buy leg and ₹5000 of cash. The receiving team accepts, rejects or
+// counters; a counter-offer flips the request round and is kept in the request's history.
+
+const EXPIRY = {
+  default: 20,
+  min: 5,
+  max: 600
+};
+
+const MAX_LEGS = 10;
+const MAX_COUNTERS = 20;
+
+// Older clients send a single leg at the top level of the payload
+function readLegs(data) {
+  if (data.legs !== undefined && data.legs !== null) return data.legs;
+  const { action, symbol, quantity, price } = data;
+  return [{ action, symbol, quantity, price }];
+}
+
+function findDuplicateSymbol(legs) {
+  const seen = new Set();
+  const duplicate = legs.find(leg => {
+    if (seen.has(leg.symbol)) return true;
+    seen.add(leg.symbol);
+    return false;
+  });
+  return duplicate ? duplicate.symbol : null;
+}
+
+// The cash leg of a payload, in whole paise
+function readCash(data) {
+  return data.cash === undefined || data.cash === null ? 0 : Math.round(data.cash * 100) / 100;
+}
+
+// What the offering team pays for the legs and the cash leg before fees; negative when it receives cash
+function netCash(legs, cash = 0) {
+  const total = legs.reduce((sum, leg) => sum + (leg.action === 'buy' ? 1 : -1) * leg.quantity * leg.price, cash);
+  return Math.round(total * 100) / 100;
+}
+
+// The traded value of all legs and the cash leg, whichever way they go
+function grossValue(legs, cash = 0) {
+  return Math.round(legs.reduce((sum, leg) => sum + leg.quantity * leg.price, Math.abs(cash)) * 100) / 100;
+}
+
+// The buying and selling team of one leg of a request
+function sidesOf(request, leg) {
+  return leg.action === 'buy'
+    ? { buyerId: request.fromTeamId, sellerId: request.toTeamId }
+    : { buyerId: request.toTeamId, sellerId: request.fromTeamId };
+}
+
+function isValidExpiry(seconds) {
+  return Number.isInteger(seconds) && seconds >= EXPIRY.min && seconds <= EXPIRY.max;
+}
+
+// Requests saved before baskets carried their single leg at the top level
+function migrateRequest(request) {
+  if (request.legs) return request;
+  const { action, symbol, stockName, quantity, price, ...rest } = request;
+  const legs = [{ action, symbol, stockName, quantity, price }];
+  return { ...rest, legs, cash: 0, netCash: netCash(legs), counters: 0, history: [] };
+}
+
+module.exports = {
+  EXPIRY,
+  MAX_LEGS,
+  MAX_COUNTERS,
+  readLegs,
+  readCash,
+  findDuplicateSymbol,
+  netCash,
+  grossValue,
+  sidesOf,
+  isValidExpiry,
+  migrateRequest
+};
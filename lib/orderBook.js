@@ -0,0 +1,126 @@
+// Price-time priority order book. Books are plain objects so they persist with the game state.
+// Bids are kept best (highest) first and asks best (lowest) first; orders at the same price
+// stay in arrival order, so the head of each side is always the next order to fill.
+
+function createBook(symbol) {
+  return { symbol, bids: [], asks: [] };
+}
+
+function sideOf(book, side) {
+  return side === 'buy' ? book.bids : book.asks;
+}
+
+function isBetter(side, price, otherPrice) {
+  return side === 'buy' ? price > otherPrice : price < otherPrice;
+}
+
+function insertOrder(book, order) {
+  const orders = sideOf(book, order.side);
+  const index = orders.findIndex(resting => isBetter(order.side, order.price, resting.price));
+  if (index === -1) {
+    orders.push(order);
+  } else {
+    orders.splice(index, 0, order);
+  }
+  return order;
+}
+
+function findOrder(book, orderId) {
+  return book.bids.find(order => order.id === orderId) ||
+    book.asks.find(order => order.id === orderId) ||
+    null;
+}
+
+function removeOrder(book, orderId) {
+  for (const orders of [book.bids, book.asks]) {
+    const index = orders.findIndex(order => order.id === orderId);
+    if (index !== -1) return orders.splice(index, 1)[0];
+  }
+  return null;
+}
+
+function crosses(incoming, resting) {
+  if (incoming.type === 'market') return true;
+  return incoming.side === 'buy' ? resting.price <= incoming.price : resting.price >= incoming.price;
+}
+
+// Matches an incoming order against the opposite side, filling at the resting order's price.
+// `settle(resting, incoming, quantity, price)` moves the cash and stock and returns
+// { filled, cancelResting, stop } so the caller decides what a failed settlement means.
+// `priceAllowed(price)` stops the sweep at prices outside the circuit band.
+function matchOrder(book, incoming, { settle, priceAllowed = () => true }) {
+  const opposite = incoming.side === 'buy' ? book.asks : book.bids;
+  const fills = [];
+  const cancelled = [];
+
+  while (incoming.remaining > 0 && opposite.length > 0) {
+    const resting = opposite[0];
+    if (!crosses(incoming, resting) || !priceAllowed(resting.price)) break;
+
+    const quantity = Math.min(incoming.remaining, resting.remaining);
+    const result = settle(resting, incoming, quantity, resting.price);
+
+    if (result.filled > 0) {
+      incoming.remaining -= result.filled;
+      resting.remaining -= result.filled;
+      fills.push({ resting, quantity: result.filled, price: resting.price });
+    }
+
+    if (resting.remaining === 0 || result.cancelResting) {
+      opposite.shift();
+      if (resting.remaining > 0) cancelled.push(resting);
+    }
+
+    if (result.stop) break;
+  }
+
+  return { fills, cancelled };
+}
+
+// The team's own resting order that `incoming` would trade against, or null. A limit order is
+// checked against every order it crosses, since its remainder would rest on the book; a market
+// order only against the orders its sweep would reach before it is filled.
+function findSelfMatch(book, incoming, priceAllowed = () => true) {
+  const opposite = incoming.side === 'buy' ? book.asks : book.bids;
+  let ahead = 0;
+
+  for (const resting of opposite) {
+    if (!crosses(incoming, resting)) return null;
+    if (incoming.type === 'market' && (ahead >= incoming.remaining || !priceAllowed(resting.price))) return null;
+    if (resting.teamId === incoming.teamId) return resting;
+    ahead += resting.remaining;
+  }
+  return null;
+}
+
+function aggregate(orders, levels) {
+  const depth = [];
+  orders.forEach(order => {
+    const last = depth[depth.length - 1];
+    if (last && last.price === order.price) {
+      last.quantity += order.remaining;
+      last.orders++;
+    } else if (depth.length < levels) {
+      depth.push({ price: order.price, quantity: order.remaining, orders: 1 });
+    }
+  });
+  return depth;
+}
+
+function getDepth(book, levels = 10) {
+  return {
+    symbol: book.symbol,
+    bids: aggregate(book.bids, levels),
+    asks: aggregate(book.asks, levels)
+  };
+}
+
+module.exports = {
+  createBook,
+  insertOrder,
+  findOrder,
+  removeOrder,
+  matchOrder,
+  findSelfMatch,
+  getDepth
+};
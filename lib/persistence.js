@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local JSON store for each session's live game state, event log, admin-named snapshots,
+// team resume tokens and the results report of its last finished game
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const SESSION_INDEX_FILE = path.join(DATA_DIR, 'sessions.json');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const PRESETS_DIR = path.join(DATA_DIR, 'instrument-presets');
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+// Write to a temp file first so a crash mid-write never leaves a truncated file behind
+function writeJsonAtomic(file, data) {
+  ensureDir(path.dirname(file));
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data));
+  fs.renameSync(tmpFile, file);
+}
+
+function readJson(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${file}:`, err.message);
+    return null;
+  }
+}
+
+// Every session keeps its live state and snapshots in its own directory. The default
+// session uses DATA_DIR itself, so data written before sessions existed still loads.
+function createStore(dir) {
+  const stateFile = path.join(dir, 'state.json');
+  const eventsFile = path.join(dir, 'events.jsonl');
+  const snapshotDir = path.join(dir, 'snapshots');
+  const reportFile = path.join(dir, 'results.html');
+  const tokensFile = path.join(dir, 'tokens.json');
+
+  function saveState(state) {
+    writeJsonAtomic(stateFile, { savedAt: Date.now(), state });
+  }
+
+  function loadState() {
+    const saved = readJson(stateFile);
+    return saved ? saved.state : null;
+  }
+
+  // Coalesces bursts of changes (every timer tick, every trade) into one write
+  function createAutosaver(getState, delay = 1000) {
+    let pending = null;
+
+    function flush() {
+      if (pending) {
+        clearTimeout(pending);
+        pending = null;
+      }
+      try {
+        saveState(getState());
+      } catch (err) {
+        console.error('Failed to persist game state:', err.message);
+      }
+    }
+
+    function schedule() {
+      if (!pending) pending = setTimeout(flush, delay);
+    }
+
+    function cancel() {
+      if (pending) clearTimeout(pending);
+      pending = null;
+    }
+
+    return { schedule, flush, cancel };
+  }
+
+  // The event log is append-only, one JSON event per line
+  function appendEvents(lines) {
+    ensureDir(dir);
+    fs.appendFileSync(eventsFile, lines.map(line => `${line}\n`).join(''));
+  }
+
+  // A line cut short by a crash mid-append is skipped rather than failing the whole log
+  function readEvents() {
+    if (!fs.existsSync(eventsFile)) return [];
+    const events = [];
+    fs.readFileSync(eventsFile, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`Skipping unreadable line ${index + 1} of ${eventsFile}`);
+      }
+    });
+    return events;
+  }
+
+  function snapshotFile(name) {
+    return path.join(snapshotDir, `${name}.json`);
+  }
+
+  function saveSnapshot(name, state) {
+    writeJsonAtomic(snapshotFile(name), { name, savedAt: Date.now(), state });
+  }
+
+  function loadSnapshot(name) {
+    const saved = readJson(snapshotFile(name));
+    return saved ? saved.state : null;
+  }
+
+  function deleteSnapshot(name) {
+    const file = snapshotFile(name);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  function listSnapshots() {
+    if (!fs.existsSync(snapshotDir)) return [];
+    return fs.readdirSync(snapshotDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const stats = fs.statSync(path.join(snapshotDir, file));
+        return { name: path.basename(file, '.json'), savedAt: Math.round(stats.mtimeMs), size: stats.size };
+      })
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  function saveTokens(tokens) {
+    writeJsonAtomic(tokensFile, tokens);
+  }
+
+  function loadTokens() {
+    return readJson(tokensFile);
+  }
+
+  function saveReport(html) {
+    ensureDir(dir);
+    const tmpFile = `${reportFile}.tmp`;
+    fs.writeFileSync(tmpFile, html);
+    fs.renameSync(tmpFile, reportFile);
+  }
+
+  return { dir, saveState, loadState, createAutosaver, appendEvents, readEvents, saveSnapshot, loadSnapshot, deleteSnapshot, listSnapshots, saveTokens, loadTokens, saveReport };
+}
+
+function isValidSnapshotName(name) {
+  return typeof name === 'string' && SNAPSHOT_NAME_PATTERN.test(name);
+}
+
+function sessionDir(sessionId, isDefault) {
+  return isDefault ? DATA_DIR : path.join(SESSIONS_DIR, sessionId);
+}
+
+function loadSessionIndex() {
+  const saved = readJson(SESSION_INDEX_FILE);
+  return saved ? saved.sessions : [];
+}
+
+function saveSessionIndex(sessions) {
+  writeJsonAtomic(SESSION_INDEX_FILE, { savedAt: Date.now(), sessions });
+}
+
+// API bearer tokens are server-wide, like the session index
+function saveApiTokens(tokens) {
+  writeJsonAtomic(API_TOKENS_FILE, tokens);
+}
+
+function loadApiTokens() {
+  return readJson(API_TOKENS_FILE);
+}
+
+// Instrument presets are shared by every session and named like snapshots
+function presetFile(name) {
+  return path.join(PRESETS_DIR, `${name}.json`);
+}
+
+function saveInstrumentPreset(name, instruments) {
+  writeJsonAtomic(presetFile(name), { name, savedAt: Date.now(), instruments });
+}
+
+function loadInstrumentPreset(name) {
+  const saved = readJson(presetFile(name));
+  return saved ? saved.instruments : null;
+}
+
+function deleteInstrumentPreset(name) {
+  const file = presetFile(name);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+function listInstrumentPresets() {
+  if (!fs.existsSync(PRESETS_DIR)) return [];
+  return fs.readdirSync(PRESETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const saved = readJson(path.join(PRESETS_DIR, file));
+      return { name: path.basename(file, '.json'), savedAt: saved ? saved.savedAt : null, count: saved ? saved.instruments.length : 0 };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  DATA_DIR,
+  createStore,
+  isValidSnapshotName,
+  sessionDir,
+  loadSessionIndex,
+  saveSessionIndex,
+  saveApiTokens,
+  loadApiTokens,
+  saveInstrumentPreset,
+  loadInstrumentPreset,
+  deleteInstrumentPreset,
+  listInstrumentPresets
+};
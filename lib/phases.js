@@ -0,0 +1,114 @@
+// The game's phases and the moves allowed between them. A game waits, optionally runs a
+// portfolio allocation, then trades for a number of rounds, with optional breaks between them
+// in which trading is frozen, and may close with a results phase before it ends. Moving from
+// one round to the next is not a transition: the phase stays 'trading'.
+//
+// An agenda is the whole event planned up front as a list of { phase, duration } steps, one
+// per allocation, round, break or results phase, that the clock then runs through by itself.
+
+const PHASES = ['waiting', 'portfolio_allocation', 'trading', 'break', 'results', 'ended'];
+
+const TRANSITIONS = {
+  waiting: ['portfolio_allocation', 'trading'],
+  portfolio_allocation: ['waiting', 'trading'],
+  trading: ['break', 'results', 'ended'],
+  break: ['trading', 'results', 'ended'],
+  results: ['ended'],
+  ended: []
+};
+
+// Phases that run on the clock, and so can be paused, extended and skipped
+const TIMED = ['portfolio_allocation', 'trading', 'break', 'results'];
+
+const AGENDA_PHASES = TIMED;
+const MAX_AGENDA_STEPS = 50;
+const MAX_DURATION = 24 * 60 * 60;
+const MAX_EXTENSION = 60 * 60;
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function isTimed(phase) {
+  return TIMED.includes(phase);
+}
+
+function createAgenda() {
+  return { steps: [], index: null };
+}
+
+function isAgendaRunning(agenda) {
+  return Boolean(agenda) && agenda.index !== null;
+}
+
+// Where the clock goes when the current phase runs out and no agenda is running:
+// allocation → waiting, round → break (when there is one) → next round, last round → ended
+function nextPhase(config) {
+  const { phase, currentRound, totalRounds, tradingRoundTime, breakTime } = config;
+  if (phase === 'trading' && currentRound < totalRounds && breakTime > 0) {
+    return { phase: 'break', duration: breakTime };
+  }
+  if ((phase === 'trading' && currentRound < totalRounds) || phase === 'break') {
+    return { phase: 'trading', duration: tradingRoundTime, round: currentRound + 1 };
+  }
+  if (phase === 'portfolio_allocation') {
+    return { phase: 'waiting', duration: 0 };
+  }
+  return { phase: 'ended', duration: 0 };
+}
+
+// The step after the current one; trading steps carry their round number
+function nextAgendaStep(agenda) {
+  const index = agenda.index + 1;
+  const step = agenda.steps[index];
+  if (!step) return { phase: 'ended', duration: 0, index: null };
+  const round = agenda.steps.slice(0, index + 1).filter(other => other.phase === 'trading').length;
+  return { ...step, index, round: step.phase === 'trading' ? round : undefined };
+}
+
+function agendaRounds(steps) {
+  return steps.filter(step => step.phase === 'trading').length;
+}
+
+// Returns a message when the steps are not a game the state machine can run, otherwise null
+function validateAgenda(steps) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_AGENDA_STEPS) {
+    return `An agenda has 1 to ${MAX_AGENDA_STEPS} steps`;
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (!step || !AGENDA_PHASES.includes(step.phase)) {
+      return `Step ${i + 1}: phase must be one of ${AGENDA_PHASES.join(', ')}`;
+    }
+    if (!Number.isInteger(step.duration) || step.duration <= 0 || step.duration > MAX_DURATION) {
+      return `Step ${i + 1}: duration must be 1 to ${MAX_DURATION} seconds`;
+    }
+    const previous = i === 0 ? 'waiting' : steps[i - 1].phase;
+    const nextRound = previous === 'trading' && step.phase === 'trading';
+    if (!nextRound && !canTransition(previous, step.phase)) {
+      return `Step ${i + 1}: ${step.phase.replace('_', ' ')} cannot follow ${previous.replace('_', ' ')}`;
+    }
+  }
+  return null;
+}
+
+// Copies only the known fields, so saved agendas hold nothing else
+function normalizeAgenda(steps) {
+  return steps.map(({ phase, duration }) => ({ phase, duration }));
+}
+
+module.exports = {
+  PHASES,
+  TIMED,
+  MAX_EXTENSION,
+  canTransition,
+  isTimed,
+  createAgenda,
+  isAgendaRunning,
+  nextPhase,
+  nextAgendaStep,
+  agendaRounds,
+  validateAgenda,
+  normalizeAgenda
+};
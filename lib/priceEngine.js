@@ -0,0 +1,181 @@
+// Seeded stochastic price models. The engine state is a plain object kept in the game state,
+// including the RNG position, so a restored game continues the same price path.
+
+const MODELS = ['random_walk', 'mean_reversion', 'trend', 'static'];
+
+// Allowed [min, max] per step for each rate in a model
+const RANGES = {
+  volatility: [0, 0.5],
+  drift: [-0.5, 0.5],
+  reversionSpeed: [0, 1],
+  shockProbability: [0, 1],
+  shockSize: [0, 0.5]
+};
+
+const DEFAULT_MODEL = {
+  model: 'random_walk',
+  volatility: 0.01,
+  drift: 0,
+  meanPrice: null,
+  reversionSpeed: 0.1,
+  shockProbability: 0,
+  shockSize: 0.05
+};
+
+function createEngineState(seed = 1) {
+  return {
+    running: false,
+    intervalSeconds: 5,
+    seed,
+    rngState: seed >>> 0,
+    tick: 0,
+    defaults: { ...DEFAULT_MODEL },
+    symbols: {},
+    roundProfiles: {}
+  };
+}
+
+// mulberry32: tiny, fast and good enough for a classroom market; returns [0, 1)
+function nextRandom(state) {
+  state.rngState = (state.rngState + 0x6D2B79F5) >>> 0;
+  let t = state.rngState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function nextGaussian(state) {
+  const u = Math.max(nextRandom(state), Number.EPSILON);
+  const v = nextRandom(state);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Layers: engine defaults < per-symbol settings < round profile defaults < round profile symbol settings
+function resolveModel(state, symbol, round) {
+  const profile = state.roundProfiles[round] || {};
+  return {
+    ...state.defaults,
+    ...(state.symbols[symbol] || {}),
+    ...(profile.defaults || {}),
+    ...((profile.symbols || {})[symbol] || {})
+  };
+}
+
+function nextPrice(state, price, model) {
+  let change = model.volatility * nextGaussian(state);
+
+  if (model.model === 'mean_reversion') {
+    const mean = model.meanPrice || price;
+    change += model.reversionSpeed * (mean - price) / price;
+  } else if (model.model === 'trend') {
+    change += model.drift;
+  }
+
+  if (model.shockProbability > 0 && nextRandom(state) < model.shockProbability) {
+    change += (nextRandom(state) < 0.5 ? -1 : 1) * model.shockSize;
+  }
+
+  return Math.max(0.01, Math.round(price * (1 + change) * 100) / 100);
+}
+
+// Advances every symbol one step and returns the proposed prices keyed by symbol
+function tick(state, stocks, round) {
+  state.tick++;
+  const prices = {};
+
+  stocks.forEach(stock => {
+    const model = resolveModel(state, stock.symbol, round);
+    if (model.model === 'static') return;
+    prices[stock.symbol] = nextPrice(state, stock.price, model);
+  });
+
+  return prices;
+}
+
+function sanitizeModel(input) {
+  const model = {};
+  if (!input || typeof input !== 'object') return model;
+
+  if (input.model !== undefined) {
+    if (!MODELS.includes(input.model)) {
+      throw new Error(`Unknown price model "${input.model}"`);
+    }
+    model.model = input.model;
+  }
+
+  ['volatility', 'drift', 'meanPrice', 'reversionSpeed', 'shockProbability', 'shockSize'].forEach(key => {
+    if (input[key] === undefined) return;
+    if (input[key] === null && key === 'meanPrice') {
+      model.meanPrice = null;
+      return;
+    }
+    if (typeof input[key] !== 'number' || !Number.isFinite(input[key])) {
+      throw new Error(`${key} must be a number`);
+    }
+    model[key] = input[key];
+  });
+
+  Object.entries(RANGES).forEach(([key, [min, max]]) => {
+    if (model[key] !== undefined && (model[key] < min || model[key] > max)) {
+      throw new Error(`${key} must be between ${min} and ${max}`);
+    }
+  });
+  if (model.meanPrice !== undefined && model.meanPrice !== null && model.meanPrice <= 0) {
+    throw new Error('meanPrice must be positive');
+  }
+
+  return model;
+}
+
+function sanitizeSymbolModels(input, knownSymbols) {
+  const symbols = {};
+  Object.entries(input || {}).forEach(([symbol, model]) => {
+    if (!knownSymbols.includes(symbol)) throw new Error(`Unknown symbol "${symbol}"`);
+    symbols[symbol] = sanitizeModel(model);
+  });
+  return symbols;
+}
+
+// Applies an admin update; throws with a readable message on invalid input
+function configure(state, update, knownSymbols) {
+  if (update.intervalSeconds !== undefined) {
+    if (!Number.isInteger(update.intervalSeconds) || update.intervalSeconds < 1 || update.intervalSeconds > 300) {
+      throw new Error('intervalSeconds must be a whole number between 1 and 300');
+    }
+  }
+  if (update.seed !== undefined && !Number.isInteger(update.seed)) {
+    throw new Error('seed must be a whole number');
+  }
+
+  const defaults = update.defaults ? sanitizeModel(update.defaults) : null;
+  const symbols = update.symbols ? sanitizeSymbolModels(update.symbols, knownSymbols) : null;
+  const roundProfiles = {};
+  Object.entries(update.roundProfiles || {}).forEach(([round, profile]) => {
+    if (!/^\d+$/.test(round)) throw new Error('roundProfiles keys must be round numbers');
+    roundProfiles[round] = {
+      defaults: sanitizeModel(profile.defaults),
+      symbols: sanitizeSymbolModels(profile.symbols, knownSymbols)
+    };
+  });
+
+  if (update.intervalSeconds !== undefined) state.intervalSeconds = update.intervalSeconds;
+  if (update.seed !== undefined) {
+    state.seed = update.seed;
+    state.rngState = update.seed >>> 0;
+    state.tick = 0;
+  }
+  if (defaults) state.defaults = { ...state.defaults, ...defaults };
+  if (symbols) state.symbols = symbols;
+  if (update.roundProfiles) state.roundProfiles = roundProfiles;
+
+  return state;
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODEL,
+  createEngineState,
+  resolveModel,
+  tick,
+  configure
+};
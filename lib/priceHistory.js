@@ -0,0 +1,67 @@
+// Every price change per symbol, kept in the game state as { time, price, round } points,
+// plus OHLC aggregation into fixed-width candles for charts and post-game analysis.
+
+const MAX_POINTS = 10000;
+const DEFAULT_INTERVAL = 60;
+const MAX_INTERVAL = 3600;
+
+function createHistory(stocks, round = 0) {
+  const history = {};
+  const time = Date.now();
+  Object.values(stocks).forEach(stock => {
+    history[stock.symbol] = [{ time, price: stock.price, round }];
+  });
+  return history;
+}
+
+// Oldest points are dropped once a symbol passes MAX_POINTS so the saved state stays bounded
+function recordPrice(history, symbol, price, round) {
+  if (!history[symbol]) history[symbol] = [];
+  const point = { time: Date.now(), price, round };
+  history[symbol].push(point);
+  if (history[symbol].length > MAX_POINTS) {
+    history[symbol].splice(0, history[symbol].length - MAX_POINTS);
+  }
+  return point;
+}
+
+function isValidInterval(interval) {
+  return Number.isInteger(interval) && interval >= 1 && interval <= MAX_INTERVAL;
+}
+
+// Buckets points into candles aligned to the interval; empty buckets are skipped
+function buildCandles(points, intervalSeconds = DEFAULT_INTERVAL) {
+  const width = intervalSeconds * 1000;
+  const candles = [];
+
+  points.forEach(point => {
+    const time = Math.floor(point.time / width) * width;
+    const last = candles[candles.length - 1];
+    if (last && last.time === time) {
+      last.high = Math.max(last.high, point.price);
+      last.low = Math.min(last.low, point.price);
+      last.close = point.price;
+      last.round = point.round;
+    } else {
+      candles.push({
+        time,
+        open: point.price,
+        high: point.price,
+        low: point.price,
+        close: point.price,
+        round: point.round
+      });
+    }
+  });
+
+  return candles;
+}
+
+module.exports = {
+  DEFAULT_INTERVAL,
+  MAX_INTERVAL,
+  createHistory,
+  recordPrice,
+  isValidInterval,
+  buildCandles
+};
@@ -0,0 +1,52 @@
+// Fixed-window request counter per key (team, IP, ...). Windows live in memory only;
+// a restart simply gives everyone a fresh allowance.
+
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  function prune(now) {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }
+
+  function describe(entry, now) {
+    return {
+      allowed: entry.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  }
+
+  function hit(key) {
+    const now = Date.now();
+    if (windows.size > 1000) prune(now);
+
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    return describe(entry, now);
+  }
+
+  // The allowance left for `key` without counting a request
+  function peek(key) {
+    const now = Date.now();
+    const entry = windows.get(key);
+    return describe(entry && entry.resetAt > now ? entry : { count: 0, resetAt: now + windowMs }, now);
+  }
+
+  function reset(key) {
+    windows.delete(key);
+  }
+
+  return { hit, peek, reset };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const corporateActions = require('./corporateActions');
+
+// Scripted event timelines: news, tips, price moves and corporate actions keyed to a phase, round and
+// second offset into that phase. Scenario files live in scenarios/ as JSON or YAML.
+const SCENARIO_DIR = process.env.SCENARIO_DIR || path.join(__dirname, '..', 'scenarios');
+const PHASES = ['portfolio_allocation', 'trading'];
+const FILE_PATTERN = /^[A-Za-z0-9_-]+\.(json|ya?ml)$/;
+
+function parseText(text, format) {
+  if (format === 'yaml' || format === 'yml') return yaml.load(text);
+  if (format === 'json') return JSON.parse(text);
+
+  const trimmed = text.trim();
+  return trimmed.startsWith('{') || trimmed.startsWith('[') ? JSON.parse(trimmed) : yaml.load(text);
+}
+
+function fail(index, message) {
+  throw new Error(`Event ${index + 1}: ${message}`);
+}
+
+function normalizePriceMove(move, index, knownSymbols) {
+  const symbols = move.symbols || (move.symbol ? [move.symbol] : []);
+  if (!Array.isArray(symbols) || symbols.length === 0) fail(index, 'price moves need a symbol or symbols');
+  symbols.forEach(symbol => {
+    if (!knownSymbols.includes(symbol)) fail(index, `unknown symbol "${symbol}"`);
+  });
+
+  const hasPrice = move.price !== undefined;
+  const hasPercent = move.percent !== undefined;
+  if (hasPrice === hasPercent) fail(index, 'each price move needs exactly one of price or percent');
+  if (hasPrice && !(typeof move.price === 'number' && move.price > 0)) fail(index, 'price must be a positive number');
+  if (hasPercent && !(typeof move.percent === 'number' && move.percent > -100)) fail(index, 'percent must be a number above -100');
+
+  const over = move.over === undefined ? 0 : move.over;
+  if (!Number.isInteger(over) || over < 0) fail(index, 'over must be a whole number of seconds');
+
+  return {
+    symbols,
+    price: hasPrice ? move.price : null,
+    percent: hasPercent ? move.percent : null,
+    over
+  };
+}
+
+function normalizeEvent(event, index, knownSymbols) {
+  if (!event || typeof event !== 'object') fail(index, 'must be an object');
+  if (!PHASES.includes(event.phase)) fail(index, `phase must be one of ${PHASES.join(', ')}`);
+
+  const round = event.phase === 'trading' ? (event.round === undefined ? 1 : event.round) : 0;
+  if (!Number.isInteger(round) || round < 0) fail(index, 'round must be a whole number');
+
+  if (event.id !== undefined && !/^[A-Za-z0-9_-]{1,64}$/.test(String(event.id))) {
+    fail(index, 'id may only contain letters, numbers, - and _');
+  }
+
+  const at = event.at === undefined ? 0 : event.at;
+  if (!Number.isInteger(at) || at < 0) fail(index, 'at must be a whole number of seconds');
+
+  let news = null;
+  if (event.news) {
+    if (typeof event.news.title !== 'string' || typeof event.news.content !== 'string') {
+      fail(index, 'news needs a title and content');
+    }
+    news = { title: event.news.title, content: event.news.content };
+  }
+
+  if (event.tip !== undefined && typeof event.tip !== 'string') fail(index, 'tip must be text');
+
+  const prices = (event.prices || []).map(move => normalizePriceMove(move, index, knownSymbols));
+  const actions = (event.corporateActions || []).map(action => {
+    try {
+      return corporateActions.sanitizeAction(action, knownSymbols);
+    } catch (err) {
+      return fail(index, err.message);
+    }
+  });
+  if (!news && !event.tip && prices.length === 0 && actions.length === 0) {
+    fail(index, 'needs news, a tip, price moves or corporate actions');
+  }
+
+  return {
+    id: String(event.id || `event-${index + 1}`),
+    label: event.label || (news ? news.title : event.tip ? 'Market tip' : prices.length ? 'Price move' : 'Corporate action'),
+    phase: event.phase,
+    round,
+    at,
+    news,
+    tip: event.tip || null,
+    prices,
+    corporateActions: actions,
+    status: 'pending'
+  };
+}
+
+// Validates a parsed scenario and returns the runner state stored in the game state
+function createScenario(raw, knownSymbols) {
+  const events = Array.isArray(raw) ? raw : raw && raw.events;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Scenario needs a non-empty events list');
+  }
+
+  const normalized = events.map((event, index) => normalizeEvent(event, index, knownSymbols));
+  const ids = new Set();
+  normalized.forEach((event, index) => {
+    if (ids.has(event.id)) fail(index, `duplicate id "${event.id}"`);
+    ids.add(event.id);
+  });
+
+  normalized.sort((a, b) =>
+    PHASES.indexOf(a.phase) - PHASES.indexOf(b.phase) || a.round - b.round || a.at - b.at
+  );
+
+  return {
+    name: (raw && raw.name) || 'Untitled scenario',
+    loadedAt: Date.now(),
+    events: normalized,
+    log: [],
+    activeMoves: []
+  };
+}
+
+function getDueEvents(scenario, phase, round, elapsed) {
+  return scenario.events.filter(event =>
+    event.status === 'pending' &&
+    event.phase === phase &&
+    event.round === round &&
+    event.at <= elapsed
+  );
+}
+
+// Turns one price move into per-symbol targets; a non-zero `over` is stepped once a second
+function planPriceMoves(move, currentPrices) {
+  return move.symbols.map(symbol => {
+    const startPrice = currentPrices[symbol];
+    const targetPrice = move.price !== null
+      ? move.price
+      : Math.round(startPrice * (1 + move.percent / 100) * 100) / 100;
+    return { symbol, startPrice, targetPrice, totalSteps: move.over, step: 0 };
+  });
+}
+
+// Advances spread moves by one second and returns { symbol: price } for this step
+function stepActiveMoves(scenario) {
+  const prices = {};
+  scenario.activeMoves.forEach(move => {
+    move.step++;
+    const progress = move.step / move.totalSteps;
+    prices[move.symbol] = Math.round((move.startPrice + (move.targetPrice - move.startPrice) * progress) * 100) / 100;
+  });
+  scenario.activeMoves = scenario.activeMoves.filter(move => move.step < move.totalSteps);
+  return prices;
+}
+
+function listScenarioFiles() {
+  if (!fs.existsSync(SCENARIO_DIR)) return [];
+  return fs.readdirSync(SCENARIO_DIR).filter(file => FILE_PATTERN.test(file)).sort();
+}
+
+function readScenarioFile(file) {
+  if (!FILE_PATTERN.test(file)) throw new Error('Invalid scenario file name');
+  const fullPath = path.join(SCENARIO_DIR, file);
+  if (!fs.existsSync(fullPath)) throw new Error('Scenario file not found');
+  return parseText(fs.readFileSync(fullPath, 'utf8'), path.extname(file).slice(1));
+}
+
+module.exports = {
+  PHASES,
+  parseText,
+  createScenario,
+  getDueEvents,
+  planPriceMoves,
+  stepActiveMoves,
+  listScenarioFiles,
+  readScenarioFile
+};
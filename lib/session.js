@@ -0,0 +1,2990 @@
+const { v4: uuidv4 } = require('uuid');
+const orderBook = require('./orderBook');
+const priceEngine = require('./priceEngine');
+const scenario = require('./scenario');
+const priceHistory = require('./priceHistory');
+const margin = require('./margin');
+const costs = require('./costs');
+const analytics = require('./analytics');
+const eventLog = require('./eventLog');
+const instruments = require('./instruments');
+const corporateActions = require('./corporateActions');
+const negotiation = require('./negotiation');
+const members = require('./members');
+const visibility = require('./visibility');
+const phases = require('./phases');
+const futures = require('./futures');
+const auction = require('./auction');
+const exporter = require('./exporter');
+const chat = require('./chat');
+const { createRateLimiter } = require('./rateLimit');
+const { ERROR_CODES, rejection, validate } = require('./validation');
+const { hashPassword, verifyPassword, createTokenStore } = require('./auth');
+const teamHandlers = require('./handlers/teams');
+const adminHandlers = require('./handlers/admin');
+const instrumentHandlers = require('./handlers/instruments');
+const scenarioHandlers = require('./handlers/scenario');
+const tradingHandlers = require('./handlers/trading');
+const chatHandlers = require('./handlers/chat');
+const persistenceHandlers = require('./handlers/persistence');
+
+// Socket events are handled by area, one module each in lib/handlers/
+const HANDLERS = [teamHandlers, adminHandlers, instrumentHandlers, scenarioHandlers, tradingHandlers, chatHandlers, persistenceHandlers];
+
+// One game: its stocks, teams, config, timers and admin credentials. All of its broadcasts go
+// to the session's socket.io room, so several games can run side by side on one server.
+
+function createGameConfig() {
+  return {
+    phase: 'waiting',
+    startingBalance: 100000,
+    currentRound: 0,
+    totalRounds: 0,
+    timeRemaining: 0,
+    portfolioAllocationTime: 600,
+    tradingRoundTime: 600,
+    circuitLimitFrozen: false,
+    marketTradingEnabled: false,
+    shortSellingFrozen: false,
+    exchangeEnabled: false,
+    lastTradeSetsPrice: false,
+    tradeRequestExpiry: negotiation.EXPIRY.default,
+    breakTime: 0,
+    phaseDuration: 0,
+    paused: false,
+    pausedReason: null,
+    endedAt: null,
+    chatFrozen: false,
+    deadlinesStoppedAt: null
+  };
+}
+
+function createGameState() {
+  const stocks = instruments.createInstruments();
+  return {
+    teams: {},
+    stocks,
+    trades: [],
+    news: [],
+    marketTips: [],
+    messages: [],
+    tradeRequests: {},
+    memberCredentials: {},
+    orderBooks: {},
+    priceEngine: priceEngine.createEngineState(),
+    scenario: null,
+    priceHistory: priceHistory.createHistory(stocks),
+    marginConfig: margin.createMarginConfig(),
+    costSchedule: costs.createCostSchedule(),
+    pendingCostSchedule: null,
+    performance: analytics.createPerformance(),
+    corporateActions: [],
+    futures: futures.createFutures(),
+    auction: auction.createAuction(),
+    sequence: 0,
+    agenda: phases.createAgenda(),
+    gameConfig: createGameConfig()
+  };
+}
+
+// `store` persists the session (see persistence.createStore). The session's own admin password
+// is checked against `adminPasswordHash`; the super-admin password always works as well.
+// `isJoinCodeTaken` keeps join codes unique across sessions, and `apiTokens` is the server-wide
+// API token store, whose entries carry the session id.
+function createSession({ id, name, io, store, adminPasswordHash, isSuperAdminPassword, isJoinCodeTaken, apiTokens }) {
+  const room = `session:${id}`;
+  const adminRoom = `${room}:admins`;
+  
+  // Every change made through `gameState` is recorded in the session's event log;
+  // `liveState` is the same state unrecorded, for reads too large to go through the proxy
+  const log = eventLog.createEventLog(store);
+  const recorder = eventLog.createRecorder(createGameState(), log.record);
+  const gameState = recorder.state;
+  const liveState = recorder.raw;
+  const replays = new Map();
+  const chatLimiter = createRateLimiter(chat.RATE_LIMIT);
+  // Sockets signed in to a team: socket id -> { teamId, memberId }
+  const presence = new Map();
+
+  let timerInterval = null;
+  let priceEngineInterval = null;
+  let scenarioInterval = null;
+  let requestTimers = {};
+  let marginTimers = {};
+  let haltTimers = {};
+  let marginCheckPending = false;
+
+  const adminTokens = createTokenStore();
+  // Lets a team's browser rejoin after a reload or a dropped connection without the join code
+  const resumeTokens = createTokenStore({ load: store.loadTokens, save: store.saveTokens });
+  const autosaver = store.createAutosaver(() => liveState);
+
+  function persistState() {
+    autosaver.schedule();
+  }
+
+  // Helper Functions
+  function generateJoinCode() {
+    let joinCode;
+    do {
+      joinCode = Math.random().toString(36).substring(2, 8).toUpperCase();
+    } while (isJoinCodeTaken(joinCode));
+    return joinCode;
+  }
+
+  function calculatePortfolioValue(team, stocks = gameState.stocks) {
+    let value = team.cash;
+    
+    Object.entries(team.holdings || {}).forEach(([symbol, qty]) => {
+      const stock = stocks[symbol];
+      if (stock) value += qty * stock.price;
+    });
+    
+    Object.entries(team.shortHoldings || {}).forEach(([symbol, qty]) => {
+      const stock = stocks[symbol];
+      if (stock) value -= qty * stock.price;
+    });
+    
+    // Cash held in escrow for auction bids is still the team's
+    return value + (team.auctionEscrow || 0) + futures.getPositionsValue(team, stocks);
+  }
+
+  function startTimer() {
+    if (timerInterval) clearInterval(timerInterval);
+    
+    timerInterval = setInterval(() => {
+      log.begin('timer_tick');
+      if (gameState.gameConfig.timeRemaining > 0 && !gameState.gameConfig.paused) {
+        gameState.gameConfig.timeRemaining--;
+        io.to(room).emit('timer_update', gameState.gameConfig);
+        persistState();
+        
+        if (getPhaseElapsed() % analytics.SAMPLE_SECONDS === 0) {
+          samplePerformance();
+        }
+        
+        if (gameState.gameConfig.timeRemaining === 0) {
+          advancePhase();
+        }
+      }
+    }, 1000);
+  }
+
+  function stopTimer() {
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = null;
+  }
+
+  // Moves on when the current phase runs out or the admin skips it: to the agenda's next step
+  // when one is running, otherwise as phases.nextPhase says
+  function advancePhase() {
+    const config = gameState.gameConfig;
+    if (config.phase === 'trading') {
+      chargeBorrowFees();
+      settleFutures(contract => contract.expiryRound <= config.currentRound);
+      recordRoundBoundaries(config.currentRound);
+    }
+    
+    if (phases.isAgendaRunning(gameState.agenda)) {
+      const step = phases.nextAgendaStep(gameState.agenda);
+      gameState.agenda.index = step.index;
+      if (step.phase === 'trading') config.tradingRoundTime = step.duration;
+      io.to(room).emit('agenda_update', gameState.agenda);
+      enterPhase(step.phase, step.duration, step.round);
+    } else {
+      const next = phases.nextPhase(config);
+      enterPhase(next.phase, next.duration, next.round);
+    }
+  }
+
+  // Every phase change goes through here; `round` is the trading round being started
+  function enterPhase(phase, duration, round) {
+    const config = gameState.gameConfig;
+    const previous = config.phase;
+    // Cleared while the phase is still allocation, so opening at the clearing price never trips a circuit
+    if (previous === 'portfolio_allocation' && phase !== previous && gameState.auction.enabled) {
+      clearAuction();
+    }
+    config.phase = phase;
+    config.timeRemaining = duration;
+    config.phaseDuration = duration;
+    config.paused = false;
+    config.pausedReason = null;
+    
+    let message;
+    if (phase === 'trading') {
+      config.currentRound = round;
+      applyPendingCostSchedule();
+      // Round 0 is the baseline taken when trading starts
+      if (round === 1) recordRoundBoundaries(0);
+      // The round's circuit bands are measured from where it opens
+      Object.values(gameState.stocks).forEach(stock => {
+        stock.referencePrice = stock.price;
+      });
+      message = `Trading Round ${round} started`;
+    } else if (phase === 'break') {
+      message = `Break: trading is frozen until round ${config.currentRound + 1} starts`;
+    } else if (phase === 'results') {
+      cancelAllOrders('Trading has ended');
+      settleFutures(() => true);
+      message = 'Trading has ended; results are in';
+    } else if (phase === 'ended') {
+      cancelAllOrders('Game ended');
+      settleFutures(() => true);
+      gameState.agenda.index = null;
+      config.endedAt = Date.now();
+      saveResultsReport();
+      message = 'Game ended';
+    } else if (previous === 'portfolio_allocation') {
+      message = 'Portfolio Allocation phase ended';
+    }
+    
+    if (phases.isTimed(phase) && duration > 0) {
+      startTimer();
+    } else {
+      stopTimer();
+    }
+    syncDeadlineClock();
+    io.to(room).emit('phase_change', gameState.gameConfig);
+    if (message) {
+      io.to(room).emit('notification', { message, type: phase === 'ended' ? 'success' : 'info' });
+    }
+    persistState();
+  }
+
+  function buildResultsReport() {
+    return exporter.renderReport({
+      sessionName: name,
+      endedAt: gameState.gameConfig.endedAt || Date.now(),
+      standings: getStandings(),
+      teams: liveState.teams,
+      stocks: liveState.stocks,
+      metricsOf: getTeamMetrics
+    });
+  }
+
+  // Written next to the session's saved state when the game ends, for the record
+  function saveResultsReport() {
+    try {
+      store.saveReport(buildResultsReport());
+    } catch (err) {
+      console.error(`Session "${id}": could not write the results report (${err.message})`);
+    }
+    io.to(adminRoom).emit('results_report_ready');
+  }
+
+  function getCircuitBand(symbol) {
+    const stock = gameState.stocks[symbol];
+    const band = stock.circuitBand || instruments.DEFAULTS.circuitBand;
+    const reference = stock.referencePrice || stock.price;
+    return { lowerLimit: reference * (1 - band), upperLimit: reference * (1 + band) };
+  }
+
+  // Moving prices are held to their bands, and halted at the edges, only while a round trades
+  function circuitsActive() {
+    const { phase, circuitLimitFrozen } = gameState.gameConfig;
+    return phase === 'trading' && !circuitLimitFrozen;
+  }
+
+  function checkCircuitLimit(symbol, proposedPrice) {
+    if (gameState.gameConfig.circuitLimitFrozen) {
+      return { valid: true, message: 'Circuit limit frozen' };
+    }
+    
+    const { lowerLimit, upperLimit } = getCircuitBand(symbol);
+    
+    if (proposedPrice < lowerLimit || proposedPrice > upperLimit) {
+      return { 
+        valid: false, 
+        message: `Price not obeying circuit limit (₹${lowerLimit.toFixed(2)} - ₹${upperLimit.toFixed(2)})` 
+      };
+    }
+    
+    return { valid: true, message: 'Price within circuit limit' };
+  }
+
+  // The nearest price on the tick grid that is still inside the band
+  function clampToCircuit(symbol, price) {
+    if (!circuitsActive()) return price;
+    
+    const tick = gameState.stocks[symbol].tickSize || instruments.DEFAULTS.tickSize;
+    const { lowerLimit, upperLimit } = getCircuitBand(symbol);
+    const highest = Math.floor(upperLimit / tick + 1e-6) * tick;
+    const lowest = Math.ceil(lowerLimit / tick - 1e-6) * tick;
+    return Math.min(highest, Math.max(lowest, price));
+  }
+
+  // 'upper' or 'lower' once the price is within a tick of that edge of its band
+  function circuitReached(symbol, price) {
+    const stock = gameState.stocks[symbol];
+    if (price === stock.referencePrice) return null;
+    
+    const tick = stock.tickSize || instruments.DEFAULTS.tickSize;
+    const { lowerLimit, upperLimit } = getCircuitBand(symbol);
+    if (price + tick > upperLimit + 1e-6) return 'upper';
+    if (price - tick < lowerLimit - 1e-6) return 'lower';
+    return null;
+  }
+
+  function clearHaltTimer(symbol) {
+    if (haltTimers[symbol]) {
+      clearTimeout(haltTimers[symbol]);
+      delete haltTimers[symbol];
+    }
+  }
+
+  function scheduleHaltEnd(symbol) {
+    clearHaltTimer(symbol);
+    haltTimers[symbol] = setTimeout(() => {
+      log.begin('halt_lifted');
+      delete haltTimers[symbol];
+      const stock = gameState.stocks[symbol];
+      if (!stock || !stock.halt) return;
+      
+      stock.halt = null;
+      io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+      io.to(room).emit('notification', { message: `Trading in ${stock.name} has resumed`, type: 'info' });
+      persistState();
+    }, Math.max(0, gameState.stocks[symbol].halt.until - Date.now()));
+  }
+
+  // Stops all trading in the symbol for its cooling-off period; callers emit stocks_update
+  function haltSymbol(symbol, side) {
+    const stock = gameState.stocks[symbol];
+    const seconds = stock.haltSeconds || instruments.DEFAULTS.haltSeconds;
+    const now = Date.now();
+    stock.halt = { side, price: stock.price, since: now, until: now + seconds * 1000 };
+    scheduleHaltEnd(symbol);
+    io.to(room).emit('notification', {
+      message: `${stock.name} hit its ${side} circuit at ₹${stock.price}: trading halted for ${seconds}s`,
+      type: 'error'
+    });
+  }
+
+  // Every price change goes through here so the history has each point exactly once
+  function applyStockPrice(symbol, price) {
+    const stock = gameState.stocks[symbol];
+    price = instruments.roundToTick(stock, price);
+    stock.price = price;
+    const { time, round } = priceHistory.recordPrice(gameState.priceHistory, symbol, price, gameState.gameConfig.currentRound);
+    io.to(room).emit('stock_price_update', { symbol, price, time, round });
+    
+    if (circuitsActive() && !stock.halt) {
+      const side = circuitReached(symbol, price);
+      if (side) haltSymbol(symbol, side);
+    }
+    scheduleMarginCheck();
+  }
+
+  function getPriceHistoryPayload(symbol, interval) {
+    const points = liveState.priceHistory[symbol] || [];
+    return {
+      symbol,
+      interval,
+      points,
+      candles: priceHistory.buildCandles(points, interval)
+    };
+  }
+
+  function setStockPrice(symbol, price) {
+    applyStockPrice(symbol, price);
+    io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+    persistState();
+  }
+
+  // Engine ticks only move prices while a trading round is running
+  function runPriceEngineTick() {
+    log.begin('price_engine_tick');
+    const { phase, currentRound, paused } = gameState.gameConfig;
+    if (phase !== 'trading' || paused) return;
+    
+    // Halted symbols hold their price until trading resumes
+    const moving = Object.values(gameState.stocks).filter(stock => !stock.halt);
+    const prices = priceEngine.tick(gameState.priceEngine, moving, currentRound);
+    Object.entries(prices).forEach(([symbol, price]) => {
+      applyStockPrice(symbol, clampToCircuit(symbol, price));
+    });
+    
+    io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+    persistState();
+  }
+
+  function schedulePriceEngine() {
+    if (priceEngineInterval) clearInterval(priceEngineInterval);
+    priceEngineInterval = null;
+    
+    if (gameState.priceEngine.running) {
+      priceEngineInterval = setInterval(runPriceEngineTick, gameState.priceEngine.intervalSeconds * 1000);
+    }
+  }
+
+  function emitPriceEngineState() {
+    io.to(adminRoom).emit('price_engine_update', gameState.priceEngine);
+  }
+
+  function publishNews(title, content) {
+    const newsItem = {
+      id: uuidv4(),
+      title,
+      content,
+      timestamp: new Date().toLocaleString(),
+      time: Date.now(),
+      round: gameState.gameConfig.currentRound
+    };
+    
+    gameState.news.unshift(newsItem);
+    io.to(room).emit('news_broadcast', newsItem);
+    persistState();
+  }
+
+  function publishMarketTip(content) {
+    const tip = {
+      id: uuidv4(),
+      content,
+      timestamp: new Date().toLocaleString()
+    };
+    
+    gameState.marketTips.unshift(tip);
+    io.to(room).emit('market_tip_posted', tip);
+    persistState();
+  }
+
+  // Seconds since the current phase (or trading round) started
+  function getPhaseElapsed() {
+    const { phaseDuration, timeRemaining } = gameState.gameConfig;
+    return phaseDuration - timeRemaining;
+  }
+
+  function logScenarioEvent(event, action, trigger) {
+    gameState.scenario.log.unshift({
+      eventId: event.id,
+      label: event.label,
+      action,
+      trigger,
+      phase: gameState.gameConfig.phase,
+      round: gameState.gameConfig.currentRound,
+      timestamp: new Date().toLocaleString()
+    });
+  }
+
+  // Scripted price moves stop at the circuit band like engine moves, and halt the symbol there
+  function fireScenarioEvent(event, trigger) {
+    event.status = 'fired';
+    
+    if (event.news) publishNews(event.news.title, event.news.content);
+    if (event.tip) publishMarketTip(event.tip);
+    
+    const currentPrices = {};
+    Object.values(gameState.stocks).forEach(stock => {
+      currentPrices[stock.symbol] = stock.price;
+    });
+    
+    (event.corporateActions || []).forEach(applyCorporateAction);
+    
+    event.prices.forEach(move => {
+      scenario.planPriceMoves(move, currentPrices).forEach(plan => {
+        if (plan.totalSteps === 0) {
+          setStockPrice(plan.symbol, clampToCircuit(plan.symbol, plan.targetPrice));
+        } else {
+          gameState.scenario.activeMoves = gameState.scenario.activeMoves.filter(active => active.symbol !== plan.symbol);
+          gameState.scenario.activeMoves.push(plan);
+        }
+      });
+    });
+    
+    logScenarioEvent(event, 'fired', trigger);
+    emitScenarioState();
+    persistState();
+  }
+
+  function runScenarioTick() {
+    log.begin('scenario_tick');
+    const active = gameState.scenario;
+    if (!active) return;
+    
+    const prices = scenario.stepActiveMoves(active);
+    if (Object.keys(prices).length > 0) {
+      Object.entries(prices).forEach(([symbol, price]) => {
+        if (!gameState.stocks[symbol].halt) applyStockPrice(symbol, clampToCircuit(symbol, price));
+      });
+      io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+      persistState();
+    }
+    
+    const { phase, currentRound, timeRemaining, paused } = gameState.gameConfig;
+    if (!scenario.PHASES.includes(phase) || timeRemaining === 0 || paused) return;
+    
+    const round = phase === 'trading' ? currentRound : 0;
+    scenario.getDueEvents(active, phase, round, getPhaseElapsed()).forEach(event => {
+      fireScenarioEvent(event, 'schedule');
+    });
+  }
+
+  function scheduleScenario() {
+    if (scenarioInterval) clearInterval(scenarioInterval);
+    scenarioInterval = null;
+    
+    if (gameState.scenario) {
+      scenarioInterval = setInterval(runScenarioTick, 1000);
+    }
+  }
+
+  function emitScenarioState() {
+    io.to(adminRoom).emit('scenario_update', gameState.scenario);
+  }
+
+  function getTeamMarginStatus(team) {
+    return margin.getMarginStatus(team, gameState.stocks, gameState.marginConfig, calculatePortfolioValue(team));
+  }
+
+  // Price changes often come in batches (engine ticks, scenarios), so check once per batch
+  function scheduleMarginCheck() {
+    if (marginCheckPending) return;
+    marginCheckPending = true;
+    setImmediate(() => {
+      marginCheckPending = false;
+      log.begin('margin_check');
+      Object.keys(gameState.teams).forEach(checkTeamMargin);
+    });
+  }
+
+  function clearMarginTimer(teamId) {
+    if (marginTimers[teamId]) {
+      clearTimeout(marginTimers[teamId]);
+      delete marginTimers[teamId];
+    }
+  }
+
+  function scheduleMarginDeadline(team) {
+    clearMarginTimer(team.id);
+    if (gameState.gameConfig.deadlinesStoppedAt) return;
+    marginTimers[team.id] = setTimeout(() => {
+      delete marginTimers[team.id];
+      log.begin('margin_deadline');
+      checkTeamMargin(team.id);
+    }, Math.max(0, team.marginCall.deadline - Date.now()));
+  }
+
+  // A breach raises a margin call; still breached when the grace period runs out, the team is liquidated
+  function checkTeamMargin(teamId) {
+    const team = gameState.teams[teamId];
+    if (!team) return;
+    
+    const status = getTeamMarginStatus(team);
+    
+    if (!status.breached) {
+      if (team.marginCall) {
+        team.marginCall = null;
+        clearMarginTimer(teamId);
+        io.to(`team_${teamId}`).emit('notification', { message: 'Margin call resolved', type: 'success' });
+        emitTeamUpdate(team);
+        persistState();
+      }
+      return;
+    }
+    
+    if (!team.marginCall) {
+      const graceSeconds = gameState.marginConfig.graceSeconds;
+      team.marginCall = {
+        issuedAt: Date.now(),
+        deadline: Date.now() + graceSeconds * 1000,
+        requirement: Math.round(status.requirement * 100) / 100,
+        equity: Math.round(status.equity * 100) / 100
+      };
+      io.to(`team_${teamId}`).emit('notification', {
+        message: `Margin call: equity ₹${team.marginCall.equity.toLocaleString()} is below the ₹${team.marginCall.requirement.toLocaleString()} maintenance margin. Cover shorts within ${graceSeconds}s or they will be closed`,
+        type: 'error'
+      });
+      io.to(adminRoom).emit('notification', { message: `Margin call issued to ${team.name}`, type: 'info' });
+      emitTeamUpdate(team);
+      persistState();
+    } else {
+      const requirement = Math.round(status.requirement * 100) / 100;
+      const equity = Math.round(status.equity * 100) / 100;
+      if (requirement !== team.marginCall.requirement || equity !== team.marginCall.equity) {
+        team.marginCall.requirement = requirement;
+        team.marginCall.equity = equity;
+        emitTeamUpdate(team);
+      }
+    }
+    
+    if (!gameState.gameConfig.deadlinesStoppedAt && team.marginCall.deadline <= Date.now()) {
+      liquidateShorts(team, status);
+    } else if (!marginTimers[teamId]) {
+      scheduleMarginDeadline(team);
+    }
+  }
+
+  function liquidateShorts(team, status) {
+    const plan = margin.planLiquidation(team, gameState.stocks, gameState.marginConfig, status);
+    
+    plan.forEach(({ symbol, quantity, price }) => {
+      margin.releaseForCover(team, symbol, quantity);
+      team.cash -= quantity * price;
+      team.shortHoldings[symbol] -= quantity;
+      if (team.shortHoldings[symbol] === 0) delete team.shortHoldings[symbol];
+      
+      const trade = {
+        id: uuidv4(),
+        teamId: team.id,
+        teamName: team.name,
+        action: 'cover_short_forced',
+        symbol,
+        quantity,
+        price,
+        timestamp: new Date().toLocaleString(),
+        note: 'Forced exit after margin call'
+      };
+      
+      addTrade(team, trade);
+      emitTrade(trade);
+    });
+    
+    team.marginCall = null;
+    clearMarginTimer(team.id);
+    io.to(`team_${team.id}`).emit('notification', { message: 'Short positions liquidated after margin call', type: 'error' });
+    io.to(adminRoom).emit('notification', { message: `${team.name} liquidated after margin call`, type: 'info' });
+    emitTeamUpdate(team);
+    persistState();
+  }
+
+  // Charged at the end of every trading round on the closing value of each short
+  function chargeBorrowFees() {
+    Object.values(gameState.teams).forEach(team => {
+      let charged = false;
+      
+      Object.entries(team.shortHoldings || {}).forEach(([symbol, qty]) => {
+        const stock = gameState.stocks[symbol];
+        const rate = margin.resolveMargin(gameState.marginConfig, symbol).borrowFeeRate;
+        const fee = stock ? Math.round(qty * stock.price * rate * 100) / 100 : 0;
+        if (fee <= 0) return;
+        
+        team.cash -= fee;
+        const trade = {
+          id: uuidv4(),
+          teamId: team.id,
+          teamName: team.name,
+          action: 'borrow_fee',
+          symbol: 'CASH',
+          quantity: 1,
+          price: fee,
+          timestamp: new Date().toLocaleString(),
+          note: `Borrow fee ${rate * 100}% on ${qty} ${symbol} short (round ${gameState.gameConfig.currentRound})`
+        };
+        addTrade(team, trade);
+        charged = true;
+      });
+      
+      if (charged) emitTeamUpdate(team);
+    });
+    
+    scheduleMarginCheck();
+    persistState();
+  }
+
+  function emitFutures() {
+    io.to(room).emit('futures_update', Object.values(gameState.futures.contracts));
+  }
+
+  // Marks every open position to its underlying's price and pays the variation in cash, then
+  // closes the positions in contracts that `expires(contract)` says are due. Contracts that
+  // never reached their round (the game ended first) are settled when trading ends.
+  function settleFutures(expires) {
+    const contracts = Object.values(gameState.futures.contracts).filter(contract => contract.status === 'open');
+    if (contracts.length === 0) return;
+    const round = gameState.gameConfig.currentRound;
+    
+    Object.values(gameState.teams).forEach(team => {
+      let changed = false;
+      
+      Object.values(team.futures || {}).forEach(position => {
+        const contract = gameState.futures.contracts[position.contractId];
+        const stock = gameState.stocks[position.underlying];
+        if (!contract || !stock) return;
+        
+        const expiring = expires(contract);
+        const variation = futures.getVariation(position, stock.price);
+        team.cash = Math.round((team.cash + variation) * 100) / 100;
+        if (variation !== 0 || expiring) {
+          addLedgerEntry(team, {
+            action: expiring ? 'future_settlement' : 'variation_margin',
+            symbol: contract.id,
+            quantity: 1,
+            price: variation,
+            note: expiring
+              ? `${contract.id} expired at ₹${stock.price}: ${position.quantity} contract(s) closed`
+              : `${contract.id} marked to ₹${stock.price} after round ${round} (${position.quantity} contract(s))`
+          });
+        }
+        
+        const key = futures.marginKey(contract.id);
+        if (expiring) {
+          delete team.futures[contract.id];
+          delete team.marginBlocked[key];
+        } else {
+          position.markPrice = stock.price;
+          team.marginBlocked[key] = futures.getRequiredMargin(contract, position.quantity, stock.price);
+        }
+        changed = true;
+      });
+      
+      if (changed) emitTeamUpdate(team, false);
+    });
+    
+    contracts.forEach(contract => {
+      const price = gameState.stocks[contract.underlying] ? gameState.stocks[contract.underlying].price : contract.settlementPrice;
+      contract.settlementPrice = price;
+      if (expires(contract)) {
+        contract.status = 'expired';
+        io.to(room).emit('notification', { message: `Futures ${contract.id} expired and settled at ₹${price}`, type: 'info' });
+      }
+    });
+    
+    broadcastStandings();
+    emitFutures();
+    scheduleMarginCheck();
+    persistState();
+  }
+
+  function isPhaseRunning() {
+    const { phase, timeRemaining } = gameState.gameConfig;
+    return (phase === 'portfolio_allocation' || phase === 'trading') && timeRemaining > 0;
+  }
+
+  function emitCostSchedule() {
+    io.to(room).emit('cost_schedule_update', { schedule: gameState.costSchedule, pending: gameState.pendingCostSchedule });
+  }
+
+  // Schedule changes made while a phase is running wait for the next round or phase
+  function applyPendingCostSchedule() {
+    if (!gameState.pendingCostSchedule) return;
+    gameState.costSchedule = gameState.pendingCostSchedule;
+    gameState.pendingCostSchedule = null;
+    emitCostSchedule();
+    io.to(room).emit('notification', { message: 'A new brokerage and tax schedule is now in effect', type: 'info' });
+  }
+
+  function quoteFees(symbol, side, notional) {
+    return costs.quoteTrade(gameState.costSchedule, gameState.stocks[symbol].assetClass, side, notional);
+  }
+
+  // Adds the charges to the team's running total and returns the fee fields for the trade record
+  function recordFees(team, charges) {
+    team.feesPaid = Math.round(((team.feesPaid || 0) + charges.fees) * 100) / 100;
+    return { brokerage: charges.brokerage, tax: charges.tax, slippage: charges.slippage, fees: charges.fees };
+  }
+
+  function getTeamMetrics(team) {
+    const { phase, currentRound, timeRemaining } = gameState.gameConfig;
+    return analytics.computeMetrics(liveState.performance, liveState.teams[team.id], {
+      stocks: liveState.stocks,
+      portfolioValue: calculatePortfolioValue(team),
+      currentRound,
+      roundRunning: phase === 'trading' && timeRemaining > 0
+    });
+  }
+  
+  function getAllMetrics() {
+    return Object.values(gameState.teams).map(getTeamMetrics);
+  }
+  
+  function emitPerformance() {
+    const metrics = getAllMetrics();
+    io.to(adminRoom).emit('performance_update', metrics);
+    broadcastStandings();
+    metrics.forEach(teamMetrics => {
+      io.to(`team_${teamMetrics.teamId}`).emit('team_performance', teamMetrics);
+    });
+  }
+  
+  function samplePerformance() {
+    Object.values(gameState.teams).forEach(team => {
+      analytics.recordSample(gameState.performance, team.id, calculatePortfolioValue(team), gameState.gameConfig.currentRound, analytics.getCapital(team));
+    });
+    emitPerformance();
+  }
+  
+  // Round 0 is the baseline taken when a trading phase starts
+  function recordRoundBoundaries(round) {
+    Object.values(gameState.teams).forEach(team => {
+      analytics.recordRoundBoundary(gameState.performance, team.id, calculatePortfolioValue(team), round, analytics.getCapital(team));
+    });
+    emitPerformance();
+  }
+  
+  function getOrderBook(symbol) {
+    if (!gameState.orderBooks[symbol]) {
+      gameState.orderBooks[symbol] = orderBook.createBook(symbol);
+    }
+    return gameState.orderBooks[symbol];
+  }
+
+  function getOpenOrders(teamId) {
+    return Object.values(gameState.orderBooks)
+      .flatMap(book => [...book.bids, ...book.asks])
+      .filter(order => order.teamId === teamId);
+  }
+
+  // Cash and shares already promised to the team's resting orders
+  function getCommitted(teamId, excludeOrderId) {
+    const committed = { cash: 0, holdings: {} };
+    
+    getOpenOrders(teamId).forEach(order => {
+      if (order.id === excludeOrderId) return;
+      if (order.side === 'buy') {
+        const notional = order.remaining * order.price;
+        committed.cash += notional + quoteFees(order.symbol, 'buy', notional).fees;
+      } else {
+        committed.holdings[order.symbol] = (committed.holdings[order.symbol] || 0) + order.remaining;
+      }
+    });
+    
+    return committed;
+  }
+
+  function checkOrderFunds(team, order, excludeOrderId) {
+    const committed = getCommitted(team.id, excludeOrderId);
+    
+    if (order.side === 'buy') {
+      const notional = order.type === 'limit' ? order.remaining * order.price : 0;
+      if (order.type === 'limit' && notional + quoteFees(order.symbol, 'buy', notional).fees > margin.getAvailableCash(team) - committed.cash) {
+        return rejection('INSUFFICIENT_FUNDS', 'Insufficient funds for this order');
+      }
+    } else {
+      const available = (team.holdings[order.symbol] || 0) - (committed.holdings[order.symbol] || 0);
+      if (order.remaining > available) {
+        return rejection('INSUFFICIENT_HOLDINGS', 'Insufficient holdings for this order');
+      }
+    }
+    
+    return null;
+  }
+
+  function broadcastOrderBook(symbol) {
+    io.to(room).emit('order_book_update', orderBook.getDepth(getOrderBook(symbol)));
+  }
+
+  function emitTeamOrders(teamId) {
+    io.to(`team_${teamId}`).emit('orders_update', getOpenOrders(teamId));
+  }
+
+  function orderAttribution(order) {
+    return order.memberId ? { memberId: order.memberId, memberName: order.memberName } : {};
+  }
+
+  // Moves cash and stock for one fill; a side that cannot pay or deliver in full
+  // is filled as far as it can and then cancelled (resting) or stopped (incoming)
+  function settleOrderFill(resting, incoming, quantity, price) {
+    // Orders that would self-match are refused up front; should a sweep still reach one, it stops there
+    if (resting.teamId === incoming.teamId) {
+      return { filled: 0, stop: true };
+    }
+    
+    const buyOrder = incoming.side === 'buy' ? incoming : resting;
+    const sellOrder = incoming.side === 'buy' ? resting : incoming;
+    const buyerTeam = gameState.teams[buyOrder.teamId];
+    const sellerTeam = gameState.teams[sellOrder.teamId];
+    
+    if (!buyerTeam || !sellerTeam) {
+      return { filled: 0, cancelResting: true };
+    }
+    
+    const deliverable = Math.min(quantity, sellerTeam.holdings[resting.symbol] || 0);
+    const affordable = Math.min(quantity, costs.maxAffordableQuantity(
+      gameState.costSchedule, gameState.stocks[resting.symbol].assetClass, price, margin.getAvailableCash(buyerTeam)
+    ));
+    const filled = Math.min(deliverable, affordable);
+    const shortSide = deliverable < quantity ? sellOrder : affordable < quantity ? buyOrder : null;
+    
+    if (filled > 0) {
+      const symbol = resting.symbol;
+      const totalCost = filled * price;
+      const buyerCharges = quoteFees(symbol, 'buy', totalCost);
+      const sellerCharges = quoteFees(symbol, 'sell', totalCost);
+      
+      buyerTeam.cash -= totalCost + buyerCharges.fees;
+      sellerTeam.cash += totalCost - sellerCharges.fees;
+      buyerTeam.holdings[symbol] = (buyerTeam.holdings[symbol] || 0) + filled;
+      sellerTeam.holdings[symbol] -= filled;
+      if (sellerTeam.holdings[symbol] === 0) delete sellerTeam.holdings[symbol];
+      
+      const buyTrade = {
+        id: uuidv4(),
+        teamId: buyerTeam.id,
+        teamName: buyerTeam.name,
+        action: 'buy',
+        symbol,
+        quantity: filled,
+        price,
+        timestamp: new Date().toLocaleString(),
+        counterparty: sellerTeam.name,
+        orderId: buyOrder.id,
+        ...orderAttribution(buyOrder),
+        ...recordFees(buyerTeam, buyerCharges)
+      };
+      
+      const sellTrade = {
+        id: uuidv4(),
+        teamId: sellerTeam.id,
+        teamName: sellerTeam.name,
+        action: 'sell',
+        symbol,
+        quantity: filled,
+        price,
+        timestamp: new Date().toLocaleString(),
+        counterparty: buyerTeam.name,
+        orderId: sellOrder.id,
+        ...orderAttribution(sellOrder),
+        ...recordFees(sellerTeam, sellerCharges)
+      };
+      
+      addTrade(buyerTeam, buyTrade);
+      addTrade(sellerTeam, sellTrade);
+      
+      emitTrade(buyTrade);
+      emitTrade(sellTrade);
+      emitTeamUpdate(buyerTeam);
+      emitTeamUpdate(sellerTeam);
+    }
+    
+    return {
+      filled,
+      cancelResting: shortSide === resting,
+      stop: shortSide === incoming
+    };
+  }
+
+  // Matches an order against the book, rests any limit remainder and publishes the result
+  function processOrder(order) {
+    const book = getOrderBook(order.symbol);
+    const { fills, cancelled } = orderBook.matchOrder(book, order, {
+      settle: settleOrderFill,
+      priceAllowed: price => checkCircuitLimit(order.symbol, price).valid
+    });
+    
+    if (order.type === 'limit' && order.remaining > 0) {
+      orderBook.insertOrder(book, order);
+    }
+    
+    if (fills.length > 0) {
+      const lastPrice = fills[fills.length - 1].price;
+      gameState.stocks[order.symbol].lastTradedPrice = lastPrice;
+      if (gameState.gameConfig.lastTradeSetsPrice) {
+        setStockPrice(order.symbol, lastPrice);
+      }
+    }
+    
+    cancelled.forEach(resting => {
+      io.to(`team_${resting.teamId}`).emit('notification', {
+        message: `${resting.side.toUpperCase()} order for ${resting.symbol} cancelled: insufficient ${resting.side === 'buy' ? 'funds' : 'holdings'}`,
+        type: 'error'
+      });
+    });
+    
+    const affectedTeams = new Set([order.teamId, ...fills.map(fill => fill.resting.teamId), ...cancelled.map(resting => resting.teamId)]);
+    affectedTeams.forEach(emitTeamOrders);
+    broadcastOrderBook(order.symbol);
+    persistState();
+    
+    return fills;
+  }
+
+  // Cancels every resting order, or only those for `symbol`
+  function cancelAllOrders(reason, symbol = null) {
+    const teamIds = new Set();
+    
+    Object.values(gameState.orderBooks).filter(book => !symbol || book.symbol === symbol).forEach(book => {
+      [...book.bids, ...book.asks].forEach(order => teamIds.add(order.teamId));
+      book.bids = [];
+      book.asks = [];
+      broadcastOrderBook(book.symbol);
+    });
+    
+    teamIds.forEach(teamId => {
+      emitTeamOrders(teamId);
+      io.to(`team_${teamId}`).emit('notification', { message: `Open orders cancelled: ${reason}`, type: 'info' });
+    });
+    persistState();
+  }
+
+  function closeShortPositions(teamId) {
+    const team = gameState.teams[teamId];
+    if (!team || !team.shortHoldings) return;
+    
+    Object.entries(team.shortHoldings).forEach(([symbol, qty]) => {
+      const stock = gameState.stocks[symbol];
+      // Only the short's block; futures keep theirs under `future:` keys
+      if (team.marginBlocked) delete team.marginBlocked[symbol];
+      if (stock && qty > 0) {
+        const totalCost = qty * stock.price;
+        team.cash -= totalCost;
+        
+        const trade = {
+          id: uuidv4(),
+          teamId,
+          teamName: team.name,
+          action: 'cover_short_forced',
+          symbol,
+          quantity: qty,
+          price: stock.price,
+          timestamp: new Date().toLocaleString(),
+          note: 'Forced exit due to short selling freeze'
+        };
+        
+        addTrade(team, trade);
+      }
+    });
+    
+    team.shortHoldings = {};
+    team.marginCall = null;
+    clearMarginTimer(teamId);
+    emitTeamUpdate(team);
+    persistState();
+  }
+
+  // The full state, for admins
+  function getGameStatePayload() {
+    return {
+      session: { id, name },
+      teams: Object.values(liveState.teams),
+      stocks: Object.values(liveState.stocks),
+      trades: liveState.trades,
+      news: liveState.news,
+      marketTips: liveState.marketTips,
+      costSchedule: liveState.costSchedule,
+      futures: Object.values(liveState.futures.contracts),
+      auction: liveState.auction,
+      agenda: liveState.agenda,
+      gameConfig: liveState.gameConfig
+    };
+  }
+  
+  // What everyone else sees: the market plus the standings; a team gets its own portfolio on joining
+  function getPublicStatePayload() {
+    return {
+      session: { id, name },
+      teams: getStandings(),
+      stocks: Object.values(liveState.stocks),
+      news: liveState.news,
+      marketTips: liveState.marketTips,
+      costSchedule: liveState.costSchedule,
+      futures: Object.values(liveState.futures.contracts),
+      auction: auction.publicView(liveState.auction),
+      agenda: liveState.agenda,
+      gameConfig: liveState.gameConfig
+    };
+  }
+  
+  function getStandings() {
+    return visibility.standings(Object.values(liveState.teams), team => calculatePortfolioValue(team, liveState.stocks));
+  }
+  
+  function broadcastStandings() {
+    io.to(room).emit('standings_update', getStandings());
+  }
+  
+  // Admins get the whole team, the team's own room gets it without the join code
+  function emitTeamUpdate(team, standingsChanged = true) {
+    io.to(adminRoom).emit('team_updated', team);
+    io.to(`team_${team.id}`).except(adminRoom).emit('team_updated', visibility.ownTeam(team));
+    if (standingsChanged) broadcastStandings();
+  }
+  
+  // Trades and messages are numbered so a reconnecting team can ask for what came after the last one it saw
+  function nextSeq() {
+    gameState.sequence = (gameState.sequence || 0) + 1;
+    return gameState.sequence;
+  }
+  
+  function addTrade(team, trade) {
+    trade.seq = nextSeq();
+    // `timestamp` is for display; exports use the exact time
+    if (!trade.time) trade.time = Date.now();
+    team.trades.push(trade);
+    gameState.trades.unshift(trade);
+  }
+  
+  function emitTrade(trade) {
+    io.to(adminRoom).to(`team_${trade.teamId}`).emit('trade_executed', trade);
+  }
+  
+  function emitGameState() {
+    io.to(room).except(adminRoom).emit('game_state', getPublicStatePayload());
+    io.to(adminRoom).emit('game_state', getGameStatePayload());
+    Object.values(liveState.teams).forEach(team => {
+      io.to(`team_${team.id}`).except(adminRoom).emit('team_updated', visibility.ownTeam(team));
+    });
+  }
+
+  function scheduleRequestExpiry(request) {
+    const requestId = request.id;
+    if (gameState.gameConfig.deadlinesStoppedAt) return;
+    
+    requestTimers[requestId] = setTimeout(() => {
+      log.begin('trade_request_expired');
+      delete gameState.tradeRequests[requestId];
+      delete requestTimers[requestId];
+      emitToParties(request, 'trade_request_expired', requestId);
+      persistState();
+    }, Math.max(0, request.expiresAt - Date.now()));
+  }
+
+  function clearRequestTimers() {
+    Object.values(requestTimers).forEach(timer => clearTimeout(timer));
+    requestTimers = {};
+  }
+
+  // The round clock and every offer, margin and halt deadline
+  function clearGameTimers() {
+    if (timerInterval) clearInterval(timerInterval);
+    clearRequestTimers();
+    Object.keys(marginTimers).forEach(clearMarginTimer);
+    Object.keys(haltTimers).forEach(clearHaltTimer);
+  }
+
+  // Margin calls and offers run on the game clock: a pause or a break stops their deadlines,
+  // which move back by the stopped time once play resumes. Call after any phase or pause change.
+  function syncDeadlineClock() {
+    const config = gameState.gameConfig;
+    const stopped = config.paused || config.phase === 'break';
+    
+    if (stopped) {
+      if (config.deadlinesStoppedAt) return;
+      config.deadlinesStoppedAt = Date.now();
+      clearRequestTimers();
+      Object.keys(marginTimers).forEach(clearMarginTimer);
+      return;
+    }
+    if (!config.deadlinesStoppedAt) return;
+    
+    const stoppedAt = config.deadlinesStoppedAt;
+    const now = Date.now();
+    config.deadlinesStoppedAt = null;
+    Object.values(gameState.tradeRequests).forEach(request => {
+      request.expiresAt += now - stoppedAt;
+      scheduleRequestExpiry(request);
+      emitToParties(request, 'trade_request_updated', request);
+    });
+    Object.values(gameState.teams).forEach(team => {
+      if (!team.marginCall) return;
+      // A call raised while stopped only moves by the time since it was raised
+      team.marginCall.deadline += now - Math.max(stoppedAt, team.marginCall.issuedAt);
+      scheduleMarginDeadline(team);
+      emitTeamUpdate(team);
+    });
+  }
+
+  function loadStateKeys(saved) {
+    Object.keys(gameState).forEach(key => {
+      if (saved[key] === undefined) return;
+      gameState[key] = key === 'gameConfig'
+        ? { ...gameState.gameConfig, ...saved.gameConfig }
+        : saved[key];
+    });
+  }
+
+  // Replace the live state with a saved one and pick the phase timer up where it stopped
+  function restoreState(saved) {
+    const sequence = gameState.sequence;
+    loadStateKeys(saved);
+    // Never reuse numbers clients may already have seen
+    gameState.sequence = Math.max(sequence, gameState.sequence || 0);
+    resumeState();
+  }
+
+  function resumeState() {
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = null;
+    clearRequestTimers();
+    Object.keys(marginTimers).forEach(clearMarginTimer);
+    Object.keys(haltTimers).forEach(clearHaltTimer);
+    
+    // Older saves carried the admin password in the broadcast config
+    delete gameState.gameConfig.adminPassword;
+    
+    // ...and their instruments had no starting price, lot, tick, band or tradable flag
+    const defaultPrices = Object.fromEntries(instruments.getDefaultList().map(item => [item.symbol, item.startingPrice]));
+    Object.values(gameState.stocks).forEach(stock => {
+      if (stock.startingPrice === undefined) {
+        gameState.stocks[stock.symbol] = { ...instruments.DEFAULTS, startingPrice: defaultPrices[stock.symbol] || stock.price, ...stock };
+      }
+    });
+    
+    // ...and measured circuit bands from the live price, with no halts
+    Object.values(gameState.stocks).forEach(stock => {
+      if (stock.referencePrice === undefined) stock.referencePrice = stock.price;
+      if (stock.halt === undefined) stock.halt = null;
+      if (stock.halt) scheduleHaltEnd(stock.symbol);
+    });
+    
+    // ...and their phases kept no duration of their own
+    if (gameState.gameConfig.phaseDuration === undefined) {
+      const { phase, tradingRoundTime, portfolioAllocationTime } = gameState.gameConfig;
+      gameState.gameConfig.phaseDuration = phase === 'trading' ? tradingRoundTime : portfolioAllocationTime;
+    }
+    
+    // ...and their teams had no members or futures
+    Object.values(gameState.teams).forEach(team => {
+      if (!team.members) team.members = [];
+      if (!team.futures) team.futures = {};
+    });
+    
+    Object.values(gameState.tradeRequests).forEach(request => {
+      if (request.expiresAt <= (gameState.gameConfig.deadlinesStoppedAt || Date.now())) {
+        delete gameState.tradeRequests[request.id];
+      } else {
+        if (!request.legs) gameState.tradeRequests[request.id] = negotiation.migrateRequest(request);
+        scheduleRequestExpiry(gameState.tradeRequests[request.id]);
+      }
+    });
+    
+    const { phase, timeRemaining } = gameState.gameConfig;
+    if (phases.isTimed(phase) && timeRemaining > 0) {
+      startTimer();
+    }
+    
+    schedulePriceEngine();
+    scheduleScenario();
+    Object.values(gameState.teams).forEach(team => {
+      if (team.marginCall) scheduleMarginDeadline(team);
+    });
+  }
+
+  // Loads the session at startup. The event log is the record of truth: the state is rebuilt
+  // from it, and state.json is only used when there is no log yet (or it cannot be replayed),
+  // in which case a new log starts from that state. `initialState` seeds a new session.
+  function open(initialState) {
+    let source = null;
+    const events = initialState ? [] : log.read();
+    
+    if (events.length > 0) {
+      try {
+        const rebuilt = eventLog.rebuild(events);
+        recorder.withoutRecording(() => loadStateKeys(rebuilt));
+        source = 'event log';
+      } catch (err) {
+        console.error(`Session "${id}": could not replay the event log (${err.message}); falling back to the saved state`);
+      }
+    }
+    
+    if (!source) {
+      const saved = initialState || store.loadState();
+      if (saved) {
+        recorder.withoutRecording(() => loadStateKeys(saved));
+        source = initialState ? null : 'saved state';
+      }
+      // An imported game may still be running on this server under the same join codes
+      if (initialState) {
+        Object.values(liveState.teams).forEach(team => {
+          if (isJoinCodeTaken(team.joinCode)) team.joinCode = generateJoinCode();
+        });
+      }
+      log.start(liveState, initialState ? 'session_created' : 'log_started');
+    }
+    
+    log.begin('session_opened');
+    resumeState();
+    log.flush();
+    autosaver.flush();
+    return source;
+  }
+
+  // Why an instrument cannot be removed right now, or null when nothing refers to it
+  function getInstrumentUse(symbol) {
+    if (Object.values(gameState.teams).some(team => team.holdings[symbol] || team.shortHoldings[symbol])) {
+      return 'teams hold positions in it';
+    }
+    if (Object.values(gameState.futures.contracts).some(contract => contract.underlying === symbol && contract.status === 'open')) {
+      return 'futures are listed on it';
+    }
+    if (gameState.auction.bids.some(bid => bid.symbol === symbol)) return 'it has auction bids';
+    const book = gameState.orderBooks[symbol];
+    if (book && book.bids.length + book.asks.length > 0) return 'it has open orders';
+    if (Object.values(gameState.tradeRequests).some(request => request.legs.some(leg => leg.symbol === symbol))) return 'it has pending trade requests';
+    
+    const active = gameState.scenario;
+    const inScenario = active && (
+      active.activeMoves.some(move => move.symbol === symbol) ||
+      active.events.some(event => event.status === 'pending' && (
+        event.prices.some(move => move.symbols.includes(symbol)) ||
+        (event.corporateActions || []).some(action => action.symbol === symbol)
+      ))
+    );
+    return inScenario ? 'the loaded scenario moves its price' : null;
+  }
+
+  function removeInstrument(symbol) {
+    clearHaltTimer(symbol);
+    delete gameState.auction.supply[symbol];
+    delete gameState.stocks[symbol];
+    delete gameState.priceHistory[symbol];
+    delete gameState.orderBooks[symbol];
+    delete gameState.priceEngine.symbols[symbol];
+    Object.values(gameState.priceEngine.roundProfiles).forEach(profile => {
+      if (profile.symbols) delete profile.symbols[symbol];
+    });
+    delete gameState.marginConfig.symbols[symbol];
+  }
+
+  // New instruments start at their starting price; existing ones keep their live price
+  function upsertInstrument(instrument) {
+    const { symbol } = instrument;
+    const existing = gameState.stocks[symbol];
+    
+    if (!existing) {
+      gameState.stocks[symbol] = instruments.createStock(instrument);
+      gameState.priceHistory[symbol] = priceHistory.createHistory({ [symbol]: gameState.stocks[symbol] }, gameState.gameConfig.currentRound)[symbol];
+      return;
+    }
+    
+    Object.assign(existing, instrument);
+    if (!instruments.isOnTick(existing, existing.price)) {
+      applyStockPrice(symbol, existing.price);
+    }
+    if (!existing.tradable) {
+      cancelAllOrders(`${symbol} is no longer tradable`, symbol);
+    }
+  }
+
+  // Validates the whole list before changing anything; `replace` removes instruments left out
+  function applyInstruments(list, replace) {
+    let incoming;
+    try {
+      incoming = instruments.sanitizeList(list, gameState.stocks);
+    } catch (err) {
+      return rejection('INVALID_INSTRUMENT', err.message);
+    }
+    
+    const removed = replace
+      ? Object.keys(gameState.stocks).filter(symbol => !incoming.some(instrument => instrument.symbol === symbol))
+      : [];
+    for (const symbol of removed) {
+      const use = getInstrumentUse(symbol);
+      if (use) {
+        return rejection('INSTRUMENT_IN_USE', `${symbol} cannot be removed: ${use}`);
+      }
+    }
+    
+    removed.forEach(removeInstrument);
+    incoming.forEach(upsertInstrument);
+    emitInstruments();
+    return { success: true, instruments: Object.values(gameState.stocks), imported: incoming.length, removed };
+  }
+
+  function emitInstruments() {
+    io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+    persistState();
+  }
+
+  function getInstrumentPresets() {
+    return [
+      { name: 'default', builtIn: true, count: instruments.getDefaultList().length },
+      ...persistence.listInstrumentPresets()
+    ];
+  }
+
+  function addLedgerEntry(team, entry) {
+    const trade = {
+      id: uuidv4(),
+      teamId: team.id,
+      teamName: team.name,
+      timestamp: new Date().toLocaleString(),
+      ...entry
+    };
+    addTrade(team, trade);
+    emitTrade(trade);
+  }
+
+  // Dividends pay every long holder and charge every short; the price goes ex-dividend
+  function payDividend(action, stock) {
+    const { symbol, amount } = action;
+    const note = `Dividend ₹${amount}/share`;
+    
+    Object.values(gameState.teams).forEach(team => {
+      const held = team.holdings[symbol] || 0;
+      const short = team.shortHoldings[symbol] || 0;
+      if (held > 0) {
+        team.cash = Math.round((team.cash + held * amount) * 100) / 100;
+        addLedgerEntry(team, { action: 'dividend', symbol, quantity: held, price: amount, note });
+      }
+      if (short > 0) {
+        team.cash = Math.round((team.cash - short * amount) * 100) / 100;
+        addLedgerEntry(team, { action: 'dividend_charge', symbol, quantity: short, price: amount, note: `${note} owed on short position` });
+      }
+    });
+    
+    // The band moves with the price, so going ex-dividend cannot trip the circuit
+    stock.referencePrice = Math.max(stock.referencePrice - amount, stock.tickSize);
+    applyStockPrice(symbol, Math.max(stock.price - amount, stock.tickSize));
+  }
+
+  // Splits and bonus issues scale every position, price, resting quote and pending request
+  function adjustShares(action, stock) {
+    const { symbol, factor, type } = action;
+    const price = instruments.roundToTick(stock, stock.price / factor);
+    const note = `${type === 'split' ? 'Split' : 'Bonus issue'} ${action.ratio}`;
+    
+    Object.values(gameState.teams).forEach(team => {
+      [['holdings', false], ['shortHoldings', true]].forEach(([book, isShort]) => {
+        const quantity = team[book][symbol] || 0;
+        if (quantity === 0) return;
+        
+        const adjusted = corporateActions.adjustPosition(quantity, factor, isShort);
+        if (adjusted.quantity > 0) {
+          team[book][symbol] = adjusted.quantity;
+        } else {
+          delete team[book][symbol];
+        }
+        addLedgerEntry(team, {
+          action: type,
+          symbol,
+          quantity: adjusted.quantity - quantity,
+          price: 0,
+          side: isShort ? 'short' : 'long',
+          note: `${note}: ${quantity} → ${adjusted.quantity} ${isShort ? 'short' : 'held'}`
+        });
+        
+        const cashInLieu = Math.round(adjusted.fraction * price * 100) / 100;
+        if (cashInLieu > 0) {
+          team.cash = Math.round((team.cash + cashInLieu) * 100) / 100;
+          addLedgerEntry(team, {
+            action: 'cash_in_lieu',
+            symbol,
+            quantity: 1,
+            price: cashInLieu,
+            side: isShort ? 'short' : 'long',
+            note: `Cash for ${Math.round(adjusted.fraction * 1000) / 1000} fractional share (${note})`
+          });
+        }
+      });
+    });
+    
+    stock.price = price;
+    stock.referencePrice = instruments.roundToTick(stock, stock.referencePrice / factor);
+    if (stock.lastTradedPrice) stock.lastTradedPrice = instruments.roundToTick(stock, stock.lastTradedPrice / factor);
+    gameState.priceHistory[symbol] = (liveState.priceHistory[symbol] || []).map(point => ({
+      ...point,
+      price: Math.round(point.price / factor * 100) / 100
+    }));
+    priceHistory.recordPrice(gameState.priceHistory, symbol, price, gameState.gameConfig.currentRound);
+    
+    // Futures keep their value: more units per contract, each marked at the adjusted price
+    Object.values(gameState.futures.contracts).filter(contract => contract.underlying === symbol).forEach(contract => {
+      contract.lotSize *= factor;
+    });
+    Object.values(gameState.teams).forEach(team => {
+      Object.values(team.futures || {}).filter(position => position.underlying === symbol).forEach(position => {
+        position.lotSize *= factor;
+        position.markPrice /= factor;
+      });
+    });
+    
+    const model = gameState.priceEngine.symbols[symbol];
+    if (model && model.meanPrice) model.meanPrice = Math.round(model.meanPrice / factor * 100) / 100;
+    if (gameState.scenario) {
+      gameState.scenario.activeMoves.filter(move => move.symbol === symbol).forEach(move => {
+        move.startPrice = Math.round(move.startPrice / factor * 100) / 100;
+        move.targetPrice = Math.round(move.targetPrice / factor * 100) / 100;
+      });
+    }
+    
+    // Resting orders are quoted in the old shares, so they are cancelled rather than guessed at
+    cancelAllOrders(`${stock.name} ${note.toLowerCase()}`, symbol);
+    Object.values(gameState.tradeRequests).forEach(request => {
+      const leg = request.legs.find(item => item.symbol === symbol);
+      if (!leg) return;
+      leg.quantity = Math.max(1, Math.round(leg.quantity * factor));
+      leg.price = instruments.roundToTick(stock, leg.price / factor);
+      request.netCash = negotiation.netCash(request.legs, request.cash);
+      emitToParties(request, 'trade_request_updated', request);
+    });
+    
+    io.to(room).emit('stock_price_update', { symbol, price, time: Date.now(), round: gameState.gameConfig.currentRound, adjusted: true });
+  }
+
+  function applyCorporateAction(action) {
+    const stock = gameState.stocks[action.symbol];
+    if (!stock) return;
+    
+    if (action.type === 'dividend') {
+      payDividend(action, stock);
+    } else {
+      adjustShares(action, stock);
+    }
+    
+    const summary = corporateActions.describeAction(action, stock.name);
+    gameState.corporateActions.unshift({ id: uuidv4(), ...action, summary, time: Date.now(), round: gameState.gameConfig.currentRound });
+    
+    Object.values(gameState.teams).forEach(team => emitTeamUpdate(team, false));
+    broadcastStandings();
+    io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+    io.to(adminRoom).emit('corporate_actions_update', gameState.corporateActions);
+    publishNews(`Corporate action: ${stock.name}`, summary);
+    scheduleMarginCheck();
+    persistState();
+  }
+
+  function findTeamByJoinCode(joinCode) {
+    if (typeof joinCode !== 'string') return null;
+    return Object.values(gameState.teams).find(t => t.joinCode === joinCode.toUpperCase()) || null;
+  }
+
+  function getQuote(symbol) {
+    const stock = gameState.stocks[symbol];
+    const { lowerLimit, upperLimit } = getCircuitBand(symbol);
+    return {
+      symbol,
+      name: stock.name,
+      assetClass: stock.assetClass,
+      lotSize: stock.lotSize,
+      tickSize: stock.tickSize,
+      tradable: stock.tradable,
+      price: stock.price,
+      lastTradedPrice: stock.lastTradedPrice || null,
+      referencePrice: stock.referencePrice,
+      lowerLimit: Math.round(lowerLimit * 100) / 100,
+      upperLimit: Math.round(upperLimit * 100) / 100,
+      halt: stock.halt || null
+    };
+  }
+
+  // Quantities come in whole lots and prices on the tick grid. Closing out a whole position
+  // (`position`) is allowed off-lot, since the lot size may have changed since it was opened.
+  function haltRejection(stock, label = '') {
+    const seconds = Math.max(1, Math.ceil((stock.halt.until - Date.now()) / 1000));
+    return rejection('SYMBOL_HALTED', `${label}${stock.symbol} hit its ${stock.halt.side} circuit; trading resumes in ${seconds}s`);
+  }
+
+  function checkInstrumentRules(stock, quantity, price, position = null) {
+    if (!stock.tradable) {
+      return rejection('NOT_TRADABLE');
+    }
+    if (stock.halt) {
+      return haltRejection(stock);
+    }
+    if (quantity !== position && !instruments.isWholeLots(stock, quantity)) {
+      return rejection('INVALID_LOT', `Quantity must be a multiple of the lot size (${stock.lotSize})`);
+    }
+    if (price !== undefined && price !== null && !instruments.isOnTick(stock, price)) {
+      return rejection('INVALID_TICK', `Price must be a multiple of the tick size (₹${stock.tickSize})`);
+    }
+    return null;
+  }
+
+  function getMember(team, memberId) {
+    return ((team && team.members) || []).find(member => member.id === memberId) || null;
+  }
+
+  // Teams with members act through one of them: viewers only watch and traders stay within the
+  // limits their captain set. A team without members keeps the full rights of its join code.
+  function checkMemberAction(team, memberId, permission, value = 0) {
+    if (!team.members || team.members.length === 0) return null;
+    
+    const member = getMember(team, memberId);
+    if (!member) {
+      return rejection('MEMBER_REQUIRED');
+    }
+    if (!members.can(member, permission)) {
+      return rejection('NOT_AUTHORISED', `A ${member.role} cannot do that`);
+    }
+    const limitError = value > 0 ? members.checkLimits(member, value, gameState.gameConfig.currentRound) : null;
+    return limitError ? rejection('MEMBER_LIMIT', limitError) : null;
+  }
+
+  function recordMemberUsage(team, memberId, value) {
+    const member = getMember(team, memberId);
+    if (member) members.recordUsage(member, value, gameState.gameConfig.currentRound);
+  }
+
+  function memberFields(team, memberId) {
+    return members.attribution(getMember(team, memberId));
+  }
+
+  function offerMemberFields(team, memberId) {
+    const member = getMember(team, memberId);
+    return { fromMemberId: member ? member.id : null, fromMemberName: member ? member.name : null };
+  }
+
+  // Team actions: shared by the socket handlers and the HTTP API, each returns the response.
+  // `memberId` is the member acting for the team, null for teams without members
+  function getTeamMessages(teamId) {
+    return gameState.messages.filter(msg => chat.isVisibleTo(msg, teamId)).map(chat.forTeam);
+  }
+
+  function executeTrade(teamId, data, memberId = null) {
+    const { action, symbol, quantity } = data;
+    const team = gameState.teams[teamId];
+    const stock = gameState.stocks[symbol];
+    const { phase, marketTradingEnabled, paused } = gameState.gameConfig;
+    
+    if (!team) {
+      return rejection('UNKNOWN_TEAM');
+    }
+    if (!stock) {
+      return rejection('UNKNOWN_SYMBOL');
+    }
+    
+    // Allocation is buy-only; in the trading phase market trades need the admin toggle
+    if (paused) {
+      return rejection('GAME_PAUSED');
+    } else if (phase === 'portfolio_allocation') {
+      if (gameState.auction.enabled) {
+        return rejection('PHASE_CLOSED', 'Allocation is by sealed-bid auction in this game; submit a bid instead');
+      }
+      if (action !== 'buy') {
+        return rejection('PHASE_CLOSED', 'Only buying is allowed during portfolio allocation');
+      }
+    } else if (phase === 'trading') {
+      if (!marketTradingEnabled) {
+        return rejection('MARKET_DISABLED');
+      }
+    } else {
+      return rejection('PHASE_CLOSED');
+    }
+    
+    const position = action === 'sell' ? team.holdings[symbol] : action === 'cover_short' ? team.shortHoldings[symbol] : null;
+    const ruleError = checkInstrumentRules(stock, quantity, null, position);
+    if (ruleError) {
+      return ruleError;
+    }
+    
+    const memberError = checkMemberAction(team, memberId, 'trade', quantity * stock.price);
+    if (memberError) {
+      return memberError;
+    }
+    
+    // Market trades always fill at the server's price (plus any slippage), whatever the client sent
+    const side = action === 'buy' || action === 'cover_short' ? 'buy' : 'sell';
+    const charges = costs.quoteMarketTrade(gameState.costSchedule, stock.assetClass, side, quantity, stock.price);
+    const price = charges.price;
+    const totalCost = charges.notional;
+    
+    if (action === 'buy') {
+      if (margin.getAvailableCash(team) < totalCost + charges.fees) {
+        return rejection('INSUFFICIENT_FUNDS');
+      }
+      team.cash -= totalCost + charges.fees;
+      team.holdings[symbol] = (team.holdings[symbol] || 0) + quantity;
+      
+    } else if (action === 'sell') {
+      if ((team.holdings[symbol] || 0) < quantity) {
+        return rejection('INSUFFICIENT_HOLDINGS');
+      }
+      team.cash += totalCost - charges.fees;
+      team.holdings[symbol] -= quantity;
+      if (team.holdings[symbol] === 0) delete team.holdings[symbol];
+      
+    } else if (action === 'short_sell') {
+      if (gameState.gameConfig.shortSellingFrozen) {
+        return rejection('SHORT_FROZEN');
+      }
+      // The proceeds stay blocked as collateral alongside the initial margin
+      const initialMargin = Math.round(totalCost * margin.resolveMargin(gameState.marginConfig, symbol).initialMargin * 100) / 100;
+      if (margin.getAvailableCash(team) < initialMargin + charges.fees) {
+        return rejection('INSUFFICIENT_FUNDS', `Initial margin of ₹${initialMargin.toLocaleString()} plus fees exceeds available cash`);
+      }
+      team.cash += totalCost - charges.fees;
+      margin.blockForShort(team, symbol, totalCost + initialMargin);
+      team.shortHoldings[symbol] = (team.shortHoldings[symbol] || 0) + quantity;
+      
+    } else if (action === 'cover_short') {
+      if ((team.shortHoldings[symbol] || 0) < quantity) {
+        return rejection('INSUFFICIENT_HOLDINGS', 'Insufficient short positions');
+      }
+      if (margin.getAvailableCash(team) + margin.getCoverRelease(team, symbol, quantity) < totalCost + charges.fees) {
+        return rejection('INSUFFICIENT_FUNDS', 'Insufficient funds to cover short');
+      }
+      margin.releaseForCover(team, symbol, quantity);
+      team.cash -= totalCost + charges.fees;
+      team.shortHoldings[symbol] -= quantity;
+      if (team.shortHoldings[symbol] === 0) delete team.shortHoldings[symbol];
+    }
+    
+    const trade = {
+      id: uuidv4(),
+      teamId,
+      teamName: team.name,
+      action,
+      symbol,
+      quantity,
+      price,
+      timestamp: new Date().toLocaleString(),
+      ...memberFields(team, memberId),
+      ...recordFees(team, charges)
+    };
+    
+    addTrade(team, trade);
+    recordMemberUsage(team, memberId, totalCost);
+    
+    emitTrade(trade);
+    emitTeamUpdate(team);
+    persistState();
+    if (action === 'short_sell' || action === 'cover_short') checkTeamMargin(teamId);
+    
+    return { success: true, team: visibility.ownTeam(team) };
+  }
+
+  // Futures trade against the market at the underlying's price, like market trades; `quantity`
+  // is in contracts. The initial margin on the resulting position must fit in available cash.
+  function tradeFuture(teamId, data, memberId = null) {
+    const { contractId, side, quantity } = data;
+    const team = gameState.teams[teamId];
+    const contract = gameState.futures.contracts[contractId];
+    const { phase, marketTradingEnabled, paused } = gameState.gameConfig;
+    
+    if (!team) {
+      return rejection('UNKNOWN_TEAM');
+    }
+    if (!contract || contract.status !== 'open') {
+      return rejection('UNKNOWN_SYMBOL', 'No open futures contract with that id');
+    }
+    if (paused) {
+      return rejection('GAME_PAUSED');
+    }
+    if (phase !== 'trading') {
+      return rejection('PHASE_CLOSED');
+    }
+    if (!marketTradingEnabled) {
+      return rejection('MARKET_DISABLED');
+    }
+    
+    const stock = gameState.stocks[contract.underlying];
+    if (!stock.tradable) {
+      return rejection('NOT_TRADABLE');
+    }
+    if (stock.halt) {
+      return haltRejection(stock);
+    }
+    
+    const units = quantity * contract.lotSize;
+    const memberError = checkMemberAction(team, memberId, 'trade', units * stock.price);
+    if (memberError) {
+      return memberError;
+    }
+    
+    const charges = costs.quoteMarketTrade(gameState.costSchedule, stock.assetClass, side, units, stock.price);
+    const price = charges.price;
+    const key = futures.marginKey(contract.id);
+    const { position, realised } = futures.applyTrade(team.futures[contract.id], contract, side === 'buy' ? quantity : -quantity, price);
+    const required = position ? futures.getRequiredMargin(contract, position.quantity, price) : 0;
+    const released = team.marginBlocked[key] || 0;
+    if (margin.getAvailableCash(team) + released + realised - charges.fees < required) {
+      return rejection('INSUFFICIENT_FUNDS', `Initial margin of ₹${required.toLocaleString()} plus fees exceeds available cash`);
+    }
+    
+    team.cash = Math.round((team.cash + realised - charges.fees) * 100) / 100;
+    if (position) {
+      team.futures[contract.id] = position;
+      team.marginBlocked[key] = required;
+    } else {
+      delete team.futures[contract.id];
+      delete team.marginBlocked[key];
+    }
+    
+    const trade = {
+      id: uuidv4(),
+      teamId,
+      teamName: team.name,
+      action: `future_${side}`,
+      symbol: contract.id,
+      quantity: units,
+      price,
+      contracts: quantity,
+      realised,
+      timestamp: new Date().toLocaleString(),
+      note: `${quantity} contract(s) of ${contract.lotSize}${realised !== 0 ? `, realised ₹${realised}` : ''}`,
+      ...memberFields(team, memberId),
+      ...recordFees(team, charges)
+    };
+    
+    addTrade(team, trade);
+    recordMemberUsage(team, memberId, charges.notional);
+    
+    emitTrade(trade);
+    emitTeamUpdate(team);
+    persistState();
+    
+    return { success: true, team: visibility.ownTeam(team) };
+  }
+
+  function getTeamBids(teamId) {
+    return gameState.auction.bids.filter(bid => bid.teamId === teamId);
+  }
+
+  // Bids are sealed: admins see them all, each team only its own
+  function emitAuction(changedTeamId = null) {
+    io.to(adminRoom).emit('auction_update', gameState.auction);
+    if (changedTeamId) {
+      io.to(`team_${changedTeamId}`).except(adminRoom).emit('auction_bids', getTeamBids(changedTeamId));
+    } else {
+      io.to(room).except(adminRoom).emit('auction_update', auction.publicView(gameState.auction));
+    }
+  }
+
+  function checkAuctionOpen() {
+    const { phase, paused, timeRemaining } = gameState.gameConfig;
+    if (!gameState.auction.enabled || phase !== 'portfolio_allocation' || timeRemaining === 0) {
+      return rejection('PHASE_CLOSED', 'The IPO auction is not taking bids');
+    }
+    return paused ? rejection('GAME_PAUSED') : null;
+  }
+
+  // The whole bid value moves from cash into escrow until the auction clears
+  function submitAuctionBid(teamId, data, memberId = null) {
+    const { symbol, price, quantity } = data;
+    const team = gameState.teams[teamId];
+    const stock = gameState.stocks[symbol];
+    
+    const closed = checkAuctionOpen();
+    if (closed) {
+      return closed;
+    }
+    if (!team) {
+      return rejection('UNKNOWN_TEAM');
+    }
+    const supply = gameState.auction.supply[symbol];
+    if (!stock || !supply) {
+      return rejection('UNKNOWN_SYMBOL', `${symbol} is not offered in the auction`);
+    }
+    const ruleError = checkInstrumentRules(stock, quantity, price);
+    if (ruleError) {
+      return ruleError;
+    }
+    if (price < stock.price) {
+      return rejection('INVALID_PRICE', `Bids start at the reserve price of ₹${stock.price}`);
+    }
+    if (quantity > supply) {
+      return rejection('INVALID_QUANTITY', `Only ${supply} ${symbol} are on offer`);
+    }
+    if (getTeamBids(teamId).length >= auction.MAX_BIDS_PER_TEAM) {
+      return rejection('INVALID_QUANTITY', `A team can have at most ${auction.MAX_BIDS_PER_TEAM} bids`);
+    }
+    
+    const escrow = Math.round(price * quantity * 100) / 100;
+    const memberError = checkMemberAction(team, memberId, 'trade', escrow);
+    if (memberError) {
+      return memberError;
+    }
+    if (margin.getAvailableCash(team) < escrow) {
+      return rejection('INSUFFICIENT_FUNDS');
+    }
+    
+    team.cash = Math.round((team.cash - escrow) * 100) / 100;
+    team.auctionEscrow = Math.round(((team.auctionEscrow || 0) + escrow) * 100) / 100;
+    const bid = { id: uuidv4(), teamId, symbol, price, quantity, escrow, time: Date.now(), ...memberFields(team, memberId) };
+    gameState.auction.bids.push(bid);
+    addLedgerEntry(team, { action: 'auction_bid', symbol, quantity, price, note: `Sealed bid; ₹${escrow} held in escrow`, ...memberFields(team, memberId) });
+    recordMemberUsage(team, memberId, escrow);
+    
+    emitTeamUpdate(team);
+    emitAuction(teamId);
+    persistState();
+    return { success: true, bid, bids: getTeamBids(teamId) };
+  }
+
+  function cancelAuctionBid(teamId, data, memberId = null) {
+    const closed = checkAuctionOpen();
+    if (closed) {
+      return closed;
+    }
+    const team = gameState.teams[teamId];
+    const bid = gameState.auction.bids.find(item => item.id === data.bidId && item.teamId === teamId);
+    if (!team || !bid) {
+      return rejection('NOT_FOUND', 'No such bid');
+    }
+    const memberError = checkMemberAction(team, memberId, 'trade');
+    if (memberError) {
+      return memberError;
+    }
+    
+    gameState.auction.bids = gameState.auction.bids.filter(item => item.id !== bid.id);
+    team.cash = Math.round((team.cash + bid.escrow) * 100) / 100;
+    team.auctionEscrow = Math.round((team.auctionEscrow - bid.escrow) * 100) / 100;
+    addLedgerEntry(team, { action: 'auction_refund', symbol: bid.symbol, quantity: 1, price: bid.escrow, note: 'Bid withdrawn', ...memberFields(team, memberId) });
+    
+    emitTeamUpdate(team);
+    emitAuction(teamId);
+    persistState();
+    return { success: true, bids: getTeamBids(teamId) };
+  }
+
+  // Runs when allocation ends: allocates at each instrument's uniform price, refunds the rest
+  // of every bid's escrow and lists the instruments at their clearing prices
+  function clearAuction() {
+    const { results, fills } = auction.clear(liveState.auction, liveState.stocks);
+    const affected = new Set();
+    
+    liveState.auction.bids.forEach(bid => {
+      const team = gameState.teams[bid.teamId];
+      if (!team) return;
+      const { clearingPrice } = results.find(result => result.symbol === bid.symbol);
+      const quantity = fills[bid.id] || 0;
+      const attribution = bid.memberId ? { memberId: bid.memberId, memberName: bid.memberName } : {};
+      
+      team.auctionEscrow = Math.round((team.auctionEscrow - bid.escrow) * 100) / 100;
+      if (quantity > 0) {
+        team.holdings[bid.symbol] = (team.holdings[bid.symbol] || 0) + quantity;
+        addLedgerEntry(team, {
+          action: 'auction_allocation',
+          symbol: bid.symbol,
+          quantity,
+          price: clearingPrice,
+          note: `Allotted ${quantity} of ${bid.quantity} bid at ₹${bid.price}`,
+          ...attribution
+        });
+      }
+      const refund = Math.round((bid.escrow - quantity * clearingPrice) * 100) / 100;
+      if (refund > 0) {
+        team.cash = Math.round((team.cash + refund) * 100) / 100;
+        addLedgerEntry(team, {
+          action: 'auction_refund',
+          symbol: bid.symbol,
+          quantity: 1,
+          price: refund,
+          note: quantity === 0 ? 'Bid not filled' : quantity < bid.quantity ? `${bid.quantity - quantity} not allotted` : `Bid above the ₹${clearingPrice} clearing price`,
+          ...attribution
+        });
+      }
+      affected.add(team.id);
+    });
+    
+    results.forEach(result => {
+      if (result.allocated > 0) applyStockPrice(result.symbol, result.clearingPrice);
+    });
+    gameState.auction.bids = [];
+    gameState.auction.results = { time: Date.now(), instruments: results };
+    
+    affected.forEach(teamId => emitTeamUpdate(gameState.teams[teamId], false));
+    broadcastStandings();
+    io.to(room).emit('stocks_update', Object.values(gameState.stocks));
+    io.to(room).emit('auction_results', gameState.auction.results);
+    emitAuction();
+    io.to(room).emit('notification', { message: 'The IPO auction has cleared; see the results', type: 'success' });
+  }
+
+  // Checks the legs of an offer from `fromTeamId` and resolves its expiry; returns { error } or { legs, cash, expiresIn }
+  function buildOffer(fromTeamId, toTeamId, data, memberId) {
+    const fromTeam = gameState.teams[fromTeamId];
+    const toTeam = gameState.teams[toTeamId];
+    
+    if (gameState.gameConfig.phase !== 'trading') {
+      return { error: rejection('PHASE_CLOSED') };
+    }
+    if (gameState.gameConfig.paused) {
+      return { error: rejection('GAME_PAUSED') };
+    }
+    if (!fromTeam || !toTeam || fromTeamId === toTeamId) {
+      return { error: rejection('UNKNOWN_TEAM') };
+    }
+    
+    const input = negotiation.readLegs(data);
+    const legs = [];
+    for (const leg of input) {
+      const error = validate('trade_request_leg', leg);
+      if (error) {
+        return { error };
+      }
+      
+      const stock = gameState.stocks[leg.symbol];
+      if (!stock) {
+        return { error: rejection('UNKNOWN_SYMBOL', `Unknown stock symbol (${leg.symbol})`) };
+      }
+      const ruleError = checkInstrumentRules(stock, leg.quantity, leg.price);
+      if (ruleError) {
+        return { error: input.length > 1 ? { ...ruleError, error: `${leg.symbol}: ${ruleError.error}` } : ruleError };
+      }
+      const circuitCheck = checkCircuitLimit(leg.symbol, leg.price);
+      if (!circuitCheck.valid) {
+        return { error: rejection('CIRCUIT_LIMIT', input.length > 1 ? `${leg.symbol}: ${circuitCheck.message}` : circuitCheck.message) };
+      }
+      
+      legs.push({ action: leg.action, symbol: leg.symbol, stockName: stock.name, quantity: leg.quantity, price: leg.price });
+    }
+    
+    const duplicate = negotiation.findDuplicateSymbol(legs);
+    if (duplicate) {
+      return { error: rejection('INVALID_PAYLOAD', `${duplicate} appears in more than one leg`) };
+    }
+    
+    const cash = negotiation.readCash(data);
+    const memberError = checkMemberAction(fromTeam, memberId, 'trade', negotiation.grossValue(legs, cash));
+    if (memberError) {
+      return { error: memberError };
+    }
+    
+    const expiresIn = data.expiresIn === undefined || data.expiresIn === null
+      ? gameState.gameConfig.tradeRequestExpiry
+      : data.expiresIn;
+    if (!negotiation.isValidExpiry(expiresIn)) {
+      return { error: invalidExpiry() };
+    }
+    
+    return { legs, cash, expiresIn };
+  }
+
+  function invalidExpiry() {
+    return rejection('INVALID_AMOUNT', `Expiry must be between ${negotiation.EXPIRY.min} and ${negotiation.EXPIRY.max} seconds`);
+  }
+
+  function clearRequestTimer(requestId) {
+    if (requestTimers[requestId]) {
+      clearTimeout(requestTimers[requestId]);
+      delete requestTimers[requestId];
+    }
+  }
+
+  function emitToParties(request, event, payload) {
+    io.to(`team_${request.fromTeamId}`).emit(event, payload);
+    io.to(`team_${request.toTeamId}`).emit(event, payload);
+  }
+
+  function sendTradeRequest(fromTeamId, data, memberId = null) {
+    const { toTeamId } = data;
+    const offer = buildOffer(fromTeamId, toTeamId, data, memberId);
+    if (offer.error) {
+      return offer.error;
+    }
+    
+    const requestId = uuidv4();
+    const request = {
+      id: requestId,
+      fromTeamId,
+      fromTeamName: gameState.teams[fromTeamId].name,
+      ...offerMemberFields(gameState.teams[fromTeamId], memberId),
+      toTeamId,
+      toTeamName: gameState.teams[toTeamId].name,
+      legs: offer.legs,
+      cash: offer.cash,
+      netCash: negotiation.netCash(offer.legs, offer.cash),
+      counters: 0,
+      history: [],
+      timestamp: new Date().toLocaleString(),
+      expiresIn: offer.expiresIn,
+      expiresAt: Date.now() + offer.expiresIn * 1000
+    };
+    
+    gameState.tradeRequests[requestId] = request;
+    persistState();
+    
+    io.to(`team_${fromTeamId}`).emit('trade_request_sent', request);
+    io.to(`team_${toTeamId}`).emit('trade_request_received', request);
+    
+    scheduleRequestExpiry(request);
+    
+    return { success: true, request };
+  }
+
+  // The receiving team answers with its own offer; the request turns round and the previous
+  // offer goes into its history
+  function counterTradeRequest(teamId, data, memberId = null) {
+    const request = gameState.tradeRequests[data.requestId];
+    
+    if (!request) {
+      return rejection('NOT_FOUND', 'Request not found or expired');
+    }
+    if (teamId !== request.toTeamId) {
+      return rejection('NOT_AUTHORISED', 'Only the team an offer was made to can counter it');
+    }
+    if (request.counters >= negotiation.MAX_COUNTERS) {
+      return rejection('NOT_AUTHORISED', `This negotiation has reached ${negotiation.MAX_COUNTERS} counter-offers; accept or reject it`);
+    }
+    
+    const offer = buildOffer(teamId, request.fromTeamId, data, memberId);
+    if (offer.error) {
+      return offer.error;
+    }
+    
+    clearRequestTimer(request.id);
+    request.history.push({
+      fromTeamId: request.fromTeamId,
+      fromTeamName: request.fromTeamName,
+      fromMemberName: request.fromMemberName || null,
+      legs: request.legs,
+      cash: request.cash || 0,
+      netCash: request.netCash,
+      timestamp: request.timestamp
+    });
+    
+    const { fromTeamId, fromTeamName, toTeamId, toTeamName } = request;
+    Object.assign(request, {
+      fromTeamId: toTeamId,
+      fromTeamName: toTeamName,
+      toTeamId: fromTeamId,
+      toTeamName: fromTeamName,
+      ...offerMemberFields(gameState.teams[teamId], memberId),
+      legs: offer.legs,
+      cash: offer.cash,
+      netCash: negotiation.netCash(offer.legs, offer.cash),
+      counters: request.counters + 1,
+      timestamp: new Date().toLocaleString(),
+      expiresIn: offer.expiresIn,
+      expiresAt: Date.now() + offer.expiresIn * 1000
+    });
+    persistState();
+    
+    emitToParties(request, 'trade_request_countered', request);
+    scheduleRequestExpiry(request);
+    
+    return { success: true, request };
+  }
+
+  // Every leg settles or none does: each leg must still be tradable and inside its circuit band,
+  // every seller must hold what it sells and each team must afford its net cash, cash leg
+  // included, after fees
+  function settleTradeRequest(request, acceptingMemberId) {
+    const fromMember = getMember(gameState.teams[request.fromTeamId], request.fromMemberId);
+    const toMember = getMember(gameState.teams[request.toTeamId], acceptingMemberId);
+    const memberOf = team => (team.id === request.fromTeamId ? fromMember : toMember);
+    const legs = request.legs.map(leg => {
+      const value = leg.quantity * leg.price;
+      const { buyerId, sellerId } = negotiation.sidesOf(request, leg);
+      return {
+        ...leg,
+        buyer: gameState.teams[buyerId],
+        seller: gameState.teams[sellerId],
+        buyerCharges: quoteFees(leg.symbol, 'buy', value),
+        sellerCharges: quoteFees(leg.symbol, 'sell', value),
+        value
+      };
+    });
+    const label = leg => (legs.length > 1 ? `${leg.symbol}: ` : '');
+    
+    for (const leg of legs) {
+      if (!gameState.stocks[leg.symbol].tradable) {
+        return rejection('NOT_TRADABLE', `${label(leg)}${ERROR_CODES.NOT_TRADABLE}`);
+      }
+      if (gameState.stocks[leg.symbol].halt) {
+        return haltRejection(gameState.stocks[leg.symbol], label(leg));
+      }
+      const circuitCheck = checkCircuitLimit(leg.symbol, leg.price);
+      if (!circuitCheck.valid) {
+        return rejection('CIRCUIT_LIMIT', `${label(leg)}${circuitCheck.message}`);
+      }
+      if ((leg.seller.holdings[leg.symbol] || 0) < leg.quantity) {
+        return rejection('INSUFFICIENT_HOLDINGS', `${label(leg)}${leg.seller.name} has insufficient holdings`);
+      }
+    }
+    
+    // Sale proceeds count towards the purchases of the same basket
+    const cash = request.cash || 0;
+    const cashChange = { [request.fromTeamId]: -cash, [request.toTeamId]: cash };
+    legs.forEach(leg => {
+      cashChange[leg.buyer.id] = (cashChange[leg.buyer.id] || 0) - leg.value - leg.buyerCharges.fees;
+      cashChange[leg.seller.id] = (cashChange[leg.seller.id] || 0) + leg.value - leg.sellerCharges.fees;
+    });
+    for (const [teamId, change] of Object.entries(cashChange)) {
+      const team = gameState.teams[teamId];
+      if (change < 0 && margin.getAvailableCash(team) < -change) {
+        return rejection('INSUFFICIENT_FUNDS', `${team.name} has insufficient funds`);
+      }
+    }
+    
+    const timestamp = new Date().toLocaleString();
+    const trades = [];
+    legs.forEach((leg, index) => {
+      const { buyer, seller, symbol, quantity, price } = leg;
+      buyer.cash -= leg.value + leg.buyerCharges.fees;
+      seller.cash += leg.value - leg.sellerCharges.fees;
+      
+      buyer.holdings[symbol] = (buyer.holdings[symbol] || 0) + quantity;
+      seller.holdings[symbol] -= quantity;
+      if (seller.holdings[symbol] === 0) delete seller.holdings[symbol];
+      
+      const note = legs.length > 1 ? `Basket leg ${index + 1} of ${legs.length}` : undefined;
+      [[buyer, 'buy', seller, leg.buyerCharges], [seller, 'sell', buyer, leg.sellerCharges]].forEach(([team, action, counterparty, charges]) => {
+        const trade = {
+          id: uuidv4(),
+          teamId: team.id,
+          teamName: team.name,
+          action,
+          symbol,
+          quantity,
+          price,
+          timestamp,
+          counterparty: counterparty.name,
+          ...(note ? { note } : {}),
+          ...members.attribution(memberOf(team)),
+          ...recordFees(team, charges)
+        };
+        addTrade(team, trade);
+        trades.push(trade);
+      });
+    });
+    if (cash !== 0) {
+      const payer = gameState.teams[request.fromTeamId];
+      const payee = gameState.teams[request.toTeamId];
+      payer.cash -= cash;
+      payee.cash += cash;
+      [[payer, -cash, payee], [payee, cash, payer]].forEach(([team, amount, counterparty]) => {
+        const trade = {
+          id: uuidv4(),
+          teamId: team.id,
+          teamName: team.name,
+          action: 'p2p_cash',
+          symbol: 'CASH',
+          quantity: 1,
+          price: amount,
+          timestamp,
+          counterparty: counterparty.name,
+          note: `Cash leg ${amount < 0 ? 'paid to' : 'received from'} ${counterparty.name}`,
+          ...members.attribution(memberOf(team))
+        };
+        addTrade(team, trade);
+        trades.push(trade);
+      });
+    }
+    const value = negotiation.grossValue(request.legs, cash);
+    [fromMember, toMember].forEach(member => {
+      if (member) members.recordUsage(member, value, gameState.gameConfig.currentRound);
+    });
+    persistState();
+    
+    trades.forEach(trade => emitTrade(trade));
+    emitTeamUpdate(gameState.teams[request.fromTeamId]);
+    emitTeamUpdate(gameState.teams[request.toTeamId]);
+    
+    return { success: true };
+  }
+
+  function respondTradeRequest(teamId, data, memberId = null) {
+    const { requestId, accept } = data;
+    const request = gameState.tradeRequests[requestId];
+    
+    if (!request) {
+      return rejection('NOT_FOUND', 'Request not found or expired');
+    }
+    
+    if (accept && gameState.gameConfig.phase !== 'trading') {
+      return rejection('PHASE_CLOSED');
+    }
+    if (accept && gameState.gameConfig.paused) {
+      return rejection('GAME_PAUSED');
+    }
+    
+    // Only the receiving team may accept; the sender may still withdraw its own request
+    if (teamId !== request.toTeamId && !(teamId === request.fromTeamId && !accept)) {
+      return rejection('NOT_AUTHORISED', 'Not authorised to respond to this request');
+    }
+    
+    const memberError = checkMemberAction(gameState.teams[teamId], memberId, 'trade', accept ? negotiation.grossValue(request.legs, request.cash) : 0);
+    if (memberError) {
+      return memberError;
+    }
+    
+    if (!accept) {
+      clearRequestTimer(requestId);
+      delete gameState.tradeRequests[requestId];
+      persistState();
+      emitToParties(request, 'trade_request_cancelled', requestId);
+      return { success: true, message: 'Request cancelled' };
+    }
+    
+    // A request that cannot settle stays open, so it can be accepted once the teams can cover it
+    const result = settleTradeRequest(request, memberId);
+    if (!result.success) {
+      emitToParties(request, 'trade_request_failed', { requestId, error: result.error });
+      return result;
+    }
+    
+    clearRequestTimer(requestId);
+    delete gameState.tradeRequests[requestId];
+    persistState();
+    emitToParties(request, 'trade_request_completed', requestId);
+    
+    return { success: true };
+  }
+
+  // Teams cannot trade with themselves: an order that would fill against one of their own is refused
+  function checkSelfMatch(order) {
+    const own = orderBook.findSelfMatch(getOrderBook(order.symbol), order, price => checkCircuitLimit(order.symbol, price).valid);
+    if (!own) return null;
+    return rejection('SELF_TRADE', `This would trade against your own ${own.side} order at ${own.price}; cancel or change that order first`);
+  }
+
+  function placeOrder(teamId, data, memberId = null) {
+    const { symbol, side, type, price, quantity } = data;
+    const team = gameState.teams[teamId];
+    const stock = gameState.stocks[symbol];
+    
+    if (!gameState.gameConfig.exchangeEnabled || gameState.gameConfig.phase !== 'trading') {
+      return rejection('EXCHANGE_CLOSED');
+    }
+    if (gameState.gameConfig.paused) {
+      return rejection('GAME_PAUSED');
+    }
+    if (!team) {
+      return rejection('UNKNOWN_TEAM');
+    }
+    if (!stock) {
+      return rejection('UNKNOWN_SYMBOL');
+    }
+    const ruleError = checkInstrumentRules(stock, quantity, type === 'limit' ? price : null);
+    if (ruleError) {
+      return ruleError;
+    }
+    if (type === 'limit') {
+      if (price === undefined || price === null) {
+        return rejection('INVALID_PRICE', 'Limit orders need a positive price');
+      }
+      const circuitCheck = checkCircuitLimit(symbol, price);
+      if (!circuitCheck.valid) {
+        return rejection('CIRCUIT_LIMIT', circuitCheck.message);
+      }
+    }
+    
+    const value = quantity * (type === 'limit' ? price : stock.price);
+    const memberError = checkMemberAction(team, memberId, 'trade', value);
+    if (memberError) {
+      return memberError;
+    }
+    
+    const order = {
+      id: uuidv4(),
+      teamId: team.id,
+      teamName: team.name,
+      ...memberFields(team, memberId),
+      symbol,
+      side,
+      type,
+      price: type === 'limit' ? price : null,
+      quantity,
+      remaining: quantity,
+      timestamp: new Date().toLocaleString(),
+      createdAt: Date.now()
+    };
+    
+    const fundsError = checkOrderFunds(team, order);
+    if (fundsError) {
+      return fundsError;
+    }
+    const selfMatchError = checkSelfMatch(order);
+    if (selfMatchError) {
+      return selfMatchError;
+    }
+    
+    const fills = processOrder(order);
+    
+    if (type === 'market' && fills.length === 0) {
+      return rejection('NO_LIQUIDITY');
+    }
+    recordMemberUsage(team, memberId, value);
+    
+    return { success: true, order, fills: fills.map(fill => ({ quantity: fill.quantity, price: fill.price })) };
+  }
+
+  function cancelOrder(teamId, data, memberId = null) {
+    const book = Object.values(gameState.orderBooks).find(b => orderBook.findOrder(b, data.orderId));
+    const order = book && orderBook.findOrder(book, data.orderId);
+    
+    if (!order || order.teamId !== teamId) {
+      return rejection('NOT_FOUND', 'Order not found');
+    }
+    const memberError = checkMemberAction(gameState.teams[teamId], memberId, 'trade');
+    if (memberError) {
+      return memberError;
+    }
+    
+    orderBook.removeOrder(book, order.id);
+    emitTeamOrders(order.teamId);
+    broadcastOrderBook(order.symbol);
+    persistState();
+    return { success: true };
+  }
+
+  // Reducing quantity keeps time priority; a new price or a larger quantity re-queues the order
+  function modifyOrder(teamId, data, memberId = null) {
+    const book = Object.values(gameState.orderBooks).find(b => orderBook.findOrder(b, data.orderId));
+    const order = book && orderBook.findOrder(book, data.orderId);
+    const team = gameState.teams[teamId];
+    
+    if (!gameState.gameConfig.exchangeEnabled || gameState.gameConfig.phase !== 'trading') {
+      return rejection('EXCHANGE_CLOSED');
+    }
+    if (gameState.gameConfig.paused) {
+      return rejection('GAME_PAUSED');
+    }
+    if (!order || !team || order.teamId !== team.id) {
+      return rejection('NOT_FOUND', 'Order not found');
+    }
+    
+    const price = data.price == null ? order.price : data.price;
+    const quantity = data.quantity == null ? order.remaining : data.quantity;
+    
+    const memberError = checkMemberAction(team, memberId, 'trade', quantity * price);
+    if (memberError) {
+      return memberError;
+    }
+    
+    const ruleError = checkInstrumentRules(gameState.stocks[order.symbol], quantity, price, order.remaining);
+    if (ruleError) {
+      return ruleError;
+    }
+    
+    const circuitCheck = checkCircuitLimit(order.symbol, price);
+    if (!circuitCheck.valid) {
+      return rejection('CIRCUIT_LIMIT', circuitCheck.message);
+    }
+    
+    const modified = { ...order, price, remaining: quantity };
+    const fundsError = checkOrderFunds(team, modified, order.id);
+    if (fundsError) {
+      return fundsError;
+    }
+    const selfMatchError = checkSelfMatch(modified);
+    if (selfMatchError) {
+      return selfMatchError;
+    }
+    
+    if (price === order.price && quantity <= order.remaining) {
+      order.quantity -= order.remaining - quantity;
+      order.remaining = quantity;
+      emitTeamOrders(team.id);
+      broadcastOrderBook(order.symbol);
+      persistState();
+      return { success: true, order };
+    }
+    
+    orderBook.removeOrder(book, order.id);
+    modified.quantity = order.quantity - order.remaining + quantity;
+    modified.timestamp = new Date().toLocaleString();
+    modified.createdAt = Date.now();
+    processOrder(modified);
+    
+    return { success: true, order: modified };
+  }
+
+  // `channel` defaults to a direct message to `toTeamId`; see lib/chat.js
+  function sendMessage(fromTeamId, data, memberId = null) {
+    const channel = data.channel || 'direct';
+    const fromTeam = gameState.teams[fromTeamId];
+    const toTeam = channel === 'direct' ? gameState.teams[data.toTeamId] : null;
+    
+    if (!fromTeam || (channel === 'direct' && !toTeam)) {
+      return rejection('UNKNOWN_TEAM', 'Invalid message recipient');
+    }
+    const memberError = checkMemberAction(fromTeam, memberId, 'message');
+    if (memberError) {
+      return memberError;
+    }
+    const blocked = chat.checkCanPost(channel, fromTeam, gameState.gameConfig);
+    if (blocked) {
+      return rejection(...blocked);
+    }
+    
+    return postMessage({
+      channel,
+      fromTeamId,
+      fromTeamName: fromTeam.name,
+      ...memberFields(fromTeam, memberId),
+      toTeamId: toTeam ? toTeam.id : null,
+      toTeamName: toTeam ? toTeam.name : channel === 'admin' ? chat.ADMIN_NAME : 'Everyone',
+      message: data.message
+    });
+  }
+
+  // Admins post announcements on the broadcast channel or write to one team
+  function sendAdminMessage(data) {
+    const toTeam = data.channel === 'admin' ? gameState.teams[data.toTeamId] : null;
+    if (data.channel === 'admin' && !toTeam) {
+      return rejection('UNKNOWN_TEAM', 'Invalid message recipient');
+    }
+    
+    const result = postMessage({
+      channel: data.channel,
+      fromTeamId: null,
+      fromTeamName: chat.ADMIN_NAME,
+      fromAdmin: true,
+      toTeamId: toTeam ? toTeam.id : null,
+      toTeamName: toTeam ? toTeam.name : 'Everyone',
+      message: data.message
+    });
+    const notice = { message: `📢 ${data.message}`, type: 'info' };
+    if (toTeam) {
+      io.to(`team_${toTeam.id}`).emit('notification', { ...notice, message: `✉️ Admin: ${data.message}` });
+    } else {
+      io.to(room).except(adminRoom).emit('notification', notice);
+    }
+    return result;
+  }
+
+  function postMessage(fields) {
+    const message = {
+      id: uuidv4(),
+      ...fields,
+      timestamp: new Date().toLocaleString(),
+      time: Date.now()
+    };
+    
+    message.seq = nextSeq();
+    gameState.messages.unshift(message);
+    persistState();
+    
+    emitToConversation(message, 'new_message');
+    io.to(adminRoom).emit('admin_message', message);
+    return { success: true, message };
+  }
+
+  // Sends `event` with the team view of `message` to every team that can see it
+  function emitToConversation(message, event) {
+    const view = chat.forTeam(message);
+    if (chat.channelOf(message) === 'broadcast') {
+      io.to(room).except(adminRoom).emit(event, view);
+      return;
+    }
+    [message.fromTeamId, message.toTeamId].filter(Boolean).forEach(teamId => {
+      io.to(`team_${teamId}`).except(adminRoom).emit(event, view);
+    });
+  }
+
+  // Admins may delete any message, a team only its own. The text is kept for the admins, along
+  // with who deleted it and why.
+  function deleteMessage(messageId, { teamId = null, memberId = null, reason = null } = {}) {
+    const message = gameState.messages.find(msg => msg.id === messageId);
+    if (!message || message.deleted || (teamId && message.fromTeamId !== teamId)) {
+      return rejection('NOT_FOUND', 'No such message');
+    }
+    const team = teamId ? gameState.teams[teamId] : null;
+    if (team) {
+      const memberError = checkMemberAction(team, memberId, 'message');
+      if (memberError) {
+        return memberError;
+      }
+    }
+    
+    const member = team ? getMember(team, memberId) : null;
+    message.deleted = {
+      at: Date.now(),
+      byAdmin: !team,
+      by: team ? (member ? `${team.name} (${member.name})` : team.name) : chat.ADMIN_NAME,
+      reason
+    };
+    persistState();
+    
+    emitToConversation(message, 'message_deleted');
+    io.to(adminRoom).emit('admin_message_deleted', message);
+    return { success: true, message: team ? chat.forTeam(message) : message };
+  }
+
+  // Signs in as a named member. The first member of a team becomes its captain, new names join
+  // as viewers until a captain promotes them, and known names must give their PIN.
+  function joinAsMember(joinCode, name, pin) {
+    const team = findTeamByJoinCode(joinCode);
+    if (!team) {
+      return rejection('INVALID_CREDENTIALS', 'Invalid join code');
+    }
+    if (!members.isValidName(name)) {
+      return rejection('INVALID_NAME', 'Names are 1 to 24 letters, digits, spaces, dots, dashes or underscores');
+    }
+    if (!members.isValidPin(pin)) {
+      return rejection('INVALID_CREDENTIALS', 'PINs are 4 to 32 characters without spaces');
+    }
+    
+    const existing = members.findByName(team, name);
+    if (existing) {
+      if (!verifyPassword(pin, gameState.memberCredentials[existing.id])) {
+        return rejection('INVALID_CREDENTIALS', 'Wrong PIN');
+      }
+      return { success: true, team: visibility.ownTeam(team), member: existing };
+    }
+    
+    if (team.members.length >= members.MAX_MEMBERS) {
+      return rejection('NOT_AUTHORISED', `Teams are limited to ${members.MAX_MEMBERS} members`);
+    }
+    const member = members.createMember(name.trim(), team.members.length === 0 ? 'captain' : 'viewer');
+    team.members.push(member);
+    gameState.memberCredentials[member.id] = hashPassword(pin);
+    emitTeamUpdate(team);
+    persistState();
+    return { success: true, team: visibility.ownTeam(team), member: getMember(team, member.id) };
+  }
+
+  // For the HTTP API: checks a member's PIN without registering new names
+  function authenticateMember(teamId, name, pin) {
+    const team = gameState.teams[teamId];
+    const member = team ? members.findByName(team, String(name || '')) : null;
+    if (!member || !verifyPassword(pin, gameState.memberCredentials[member.id])) return null;
+    return { id: member.id, name: member.name };
+  }
+
+  // Captains manage their own team, admins any team
+  function getManagedTeam(socket, data) {
+    if (socket.data.isAdmin) {
+      const team = gameState.teams[data.teamId];
+      return team ? { team } : { error: rejection('UNKNOWN_TEAM') };
+    }
+    const team = socket.data.teamId ? gameState.teams[socket.data.teamId] : null;
+    if (!team) {
+      return { error: rejection('TEAM_REQUIRED') };
+    }
+    const captain = getMember(team, socket.data.memberId);
+    if (!captain || !members.can(captain, 'manage')) {
+      return { error: rejection('NOT_AUTHORISED', 'Only a captain can manage members') };
+    }
+    return { team };
+  }
+
+  function isLastCaptain(team, member) {
+    return member.role === 'captain' && team.members.filter(other => other.role === 'captain').length === 1;
+  }
+
+  function updateMember(team, data) {
+    const member = getMember(team, data.memberId);
+    if (!member) {
+      return rejection('NOT_FOUND', 'No such member');
+    }
+    if (data.role && data.role !== member.role && isLastCaptain(team, member)) {
+      return rejection('NOT_AUTHORISED', 'A team needs at least one captain');
+    }
+    
+    if (data.role) member.role = data.role;
+    ['maxTradeValue', 'maxRoundValue'].forEach(field => {
+      if (data[field] !== undefined) member.limits[field] = data[field];
+    });
+    emitTeamUpdate(team);
+    persistState();
+    return { success: true, member };
+  }
+
+  // Signs the member's sockets and API tokens out of the team
+  function signOutMember(memberId, reason) {
+    apiTokens.clear(entry => entry.sessionId === id && entry.memberId === memberId);
+    resumeTokens.clear(entry => entry.memberId === memberId);
+    presence.forEach((entry, socketId) => {
+      if (entry.memberId !== memberId) return;
+      const memberSocket = io.of('/').sockets.get(socketId);
+      if (memberSocket) {
+        leaveTeam(memberSocket);
+        memberSocket.emit('member_signed_out', { reason });
+      }
+    });
+  }
+
+  function removeMember(team, memberId) {
+    const member = getMember(team, memberId);
+    if (!member) {
+      return rejection('NOT_FOUND', 'No such member');
+    }
+    if (isLastCaptain(team, member)) {
+      return rejection('NOT_AUTHORISED', 'A team needs at least one captain');
+    }
+    
+    team.members.splice(team.members.findIndex(other => other.id === memberId), 1);
+    delete gameState.memberCredentials[memberId];
+    signOutMember(memberId, 'You were removed from the team');
+    emitTeamUpdate(team);
+    persistState();
+    return { success: true };
+  }
+
+  function getPresence() {
+    const byTeam = {};
+    presence.forEach(({ teamId, memberId }) => {
+      if (!byTeam[teamId]) byTeam[teamId] = { memberIds: [], guests: 0 };
+      if (!memberId) byTeam[teamId].guests++;
+      else if (!byTeam[teamId].memberIds.includes(memberId)) byTeam[teamId].memberIds.push(memberId);
+    });
+    return byTeam;
+  }
+
+  function emitPresence(teamId) {
+    const all = getPresence();
+    io.to(adminRoom).emit('team_presence', all);
+    if (teamId) io.to(`team_${teamId}`).emit('member_presence', all[teamId] || { memberIds: [], guests: 0 });
+  }
+
+  // A socket resuming with a token keeps it; otherwise it gets a new one
+  // What a team missed while it was away: trades and messages numbered after `since`, price points
+  // after `pricesSince`, and every pending offer with the milliseconds it has left
+  function getResumePayload(team, since, pricesSince) {
+    const now = liveState.gameConfig.deadlinesStoppedAt || Date.now();
+    const withTimeLeft = request => ({ ...request, timeLeft: Math.max(0, request.expiresAt - now) });
+    const requests = Object.values(liveState.tradeRequests);
+    
+    const prices = {};
+    if (pricesSince) {
+      Object.entries(liveState.priceHistory).forEach(([symbol, points]) => {
+        const missed = points.filter(point => point.time > pricesSince);
+        if (missed.length > 0) prices[symbol] = missed;
+      });
+    }
+    
+    return {
+      seq: liveState.sequence,
+      requests: {
+        incoming: requests.filter(request => request.toTeamId === team.id).map(withTimeLeft),
+        outgoing: requests.filter(request => request.fromTeamId === team.id).map(withTimeLeft)
+      },
+      orders: getOpenOrders(team.id),
+      missed: {
+        trades: team.trades.filter(trade => (trade.seq || 0) > since),
+        messages: getTeamMessages(team.id).filter(message => (message.seq || 0) > since),
+        prices
+      }
+    };
+  }
+  
+  function enterTeam(socket, teamId, memberId, resumeToken = null) {
+    if (socket.data.teamId && socket.data.teamId !== teamId) {
+      leaveTeam(socket);
+    }
+    socket.data.teamId = teamId;
+    socket.data.memberId = memberId;
+    socket.data.resumeToken = resumeToken || resumeTokens.issue({ teamId, memberId });
+    socket.join(`team_${teamId}`);
+    presence.set(socket.id, { teamId, memberId });
+    emitPresence(teamId);
+  }
+
+  function leaveTeam(socket) {
+    const teamId = socket.data.teamId;
+    if (!teamId) return;
+    socket.leave(`team_${teamId}`);
+    socket.data.teamId = null;
+    socket.data.memberId = null;
+    presence.delete(socket.id);
+    emitPresence(teamId);
+  }
+
+  // Everything a client of this session can do; the socket stays in the session until it disconnects
+  function describeActor(socket) {
+    if (socket.data.isAdmin) return { role: 'admin', superAdmin: socket.data.isSuperAdmin };
+    const team = socket.data.teamId ? liveState.teams[socket.data.teamId] : null;
+    const member = getMember(team, socket.data.memberId);
+    if (team) return { role: 'team', teamId: team.id, teamName: team.name, ...members.attribution(member) };
+    return { role: 'guest' };
+  }
+
+  // The event's payload, minus anything that works as a credential
+  function auditDetails(event, args) {
+    if (event === 'admin_login' || event === 'team_join' || event === 'member_join') return null;
+    const payload = args.find(arg => typeof arg !== 'function');
+    if (payload === undefined) return null;
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+    const { password, adminPassword, token, joinCode, pin, ...details } = payload;
+    return details;
+  }
+
+  // Replays rebuild the game from the event log next to the live state, one cursor per admin socket
+  function getReplayFrame(replay) {
+    const { events, position, state } = replay;
+    const event = events[position - 1];
+    return {
+      position,
+      total: events.length,
+      first: events.length ? { seq: events[0].seq, time: events[0].time } : null,
+      last: events.length ? { seq: events[events.length - 1].seq, time: events[events.length - 1].time } : null,
+      event: event ? eventLog.summarizeEvent(event) : null,
+      gameConfig: state ? state.gameConfig : null,
+      stocks: state ? Object.values(state.stocks).map(({ symbol, name, price }) => ({ symbol, name, price })) : [],
+      teams: state ? Object.values(state.teams).map(team => ({
+        id: team.id,
+        name: team.name,
+        cash: team.cash,
+        holdings: team.holdings,
+        shortHoldings: team.shortHoldings,
+        feesPaid: team.feesPaid || 0,
+        portfolioValue: calculatePortfolioValue(team, state.stocks)
+      })) : [],
+      trades: state ? state.trades.slice(0, 10) : [],
+      news: state ? state.news.slice(0, 5) : []
+    };
+  }
+
+  function seekReplay(replay, position) {
+    const target = Math.max(1, Math.min(replay.events.length, position));
+    if (target < replay.position) {
+      replay.state = eventLog.rebuild(replay.events, target);
+    } else {
+      for (let i = replay.position; i < target; i++) {
+        replay.state = eventLog.applyEvent(replay.state, replay.events[i]);
+      }
+    }
+    replay.position = target;
+    return getReplayFrame(replay);
+  }
+
+  // The state and helpers the socket handlers in lib/handlers/ take from the session
+  const handlerContext = {
+    id, name, io, store, adminPasswordHash, isSuperAdminPassword, apiTokens, createGameConfig, room,
+    adminRoom, log, gameState, liveState, replays, chatLimiter, presence, adminTokens, resumeTokens,
+    autosaver, persistState, generateJoinCode, advancePhase, enterPhase, buildResultsReport, circuitsActive,
+    checkCircuitLimit, getPriceHistoryPayload, setStockPrice, schedulePriceEngine, emitPriceEngineState,
+    publishNews, publishMarketTip, logScenarioEvent, fireScenarioEvent, scheduleScenario, emitScenarioState,
+    getTeamMarginStatus, scheduleMarginCheck, checkTeamMargin, emitFutures, isPhaseRunning, emitCostSchedule,
+    getTeamMetrics, getAllMetrics, getOrderBook, getOpenOrders, cancelAllOrders, closeShortPositions,
+    getGameStatePayload, broadcastStandings, emitTeamUpdate, addTrade, emitGameState, clearGameTimers,
+    syncDeadlineClock, restoreState, getInstrumentUse, removeInstrument, upsertInstrument, applyInstruments,
+    emitInstruments, getInstrumentPresets, applyCorporateAction, findTeamByJoinCode, getMember,
+    getTeamMessages, executeTrade, tradeFuture, getTeamBids, emitAuction, submitAuctionBid, cancelAuctionBid,
+    invalidExpiry, sendTradeRequest, counterTradeRequest, respondTradeRequest, placeOrder, cancelOrder,
+    modifyOrder, sendMessage, sendAdminMessage, deleteMessage, joinAsMember, getManagedTeam, updateMember,
+    signOutMember, removeMember, getPresence, getResumePayload, enterTeam, seekReplay
+  };
+
+  function registerSocket(socket) {
+    // Every handler runs as one audit-log command, attributed to this socket
+    function on(event, handler) {
+      socket.on(event, (...args) => {
+        log.begin(event, describeActor(socket), socket.id, auditDetails(event, args));
+        handler(...args);
+      });
+    }
+    
+    socket.data.sessionId = id;
+    socket.join(room);
+    socket.emit('game_state', getPublicStatePayload());
+    
+    HANDLERS.forEach(handlers => handlers.register(handlerContext, socket, on));
+    
+    socket.on('disconnect', () => {
+      replays.delete(socket.id);
+      leaveTeam(socket);
+    });
+  }
+
+  // Team actions for the HTTP API, see lib/api.js. Reads return the same data the team view shows.
+  const apiActions = {
+    getStatus: () => ({ success: true, gameConfig: gameState.gameConfig }),
+    getQuotes: () => ({ success: true, quotes: Object.keys(gameState.stocks).map(getQuote) }),
+    getQuote: symbol => (gameState.stocks[symbol] ? { success: true, quote: getQuote(symbol) } : rejection('UNKNOWN_SYMBOL')),
+    listTeams: () => ({ success: true, teams: getStandings() }),
+    getPortfolio: teamId => {
+      const { trades, ...team } = visibility.ownTeam(gameState.teams[teamId]);
+      return { success: true, portfolio: { ...team, portfolioValue: calculatePortfolioValue(team) }, margin: getTeamMarginStatus(team) };
+    },
+    getTrades: teamId => ({ success: true, trades: gameState.teams[teamId].trades }),
+    getPerformance: teamId => ({ success: true, metrics: getTeamMetrics(gameState.teams[teamId]) }),
+    executeTrade,
+    getFutures: () => ({ success: true, contracts: Object.values(gameState.futures.contracts) }),
+    tradeFuture,
+    getAuction: teamId => ({ success: true, auction: auction.publicView(gameState.auction), bids: getTeamBids(teamId) }),
+    submitAuctionBid,
+    cancelAuctionBid,
+    getTradeRequests: teamId => {
+      const requests = Object.values(gameState.tradeRequests);
+      return {
+        success: true,
+        incoming: requests.filter(request => request.toTeamId === teamId),
+        outgoing: requests.filter(request => request.fromTeamId === teamId)
+      };
+    },
+    sendTradeRequest,
+    respondTradeRequest,
+    counterTradeRequest,
+    getOrders: teamId => ({ success: true, orders: getOpenOrders(teamId) }),
+    placeOrder,
+    cancelOrder,
+    getMessages: teamId => ({ success: true, messages: getTeamMessages(teamId) }),
+    sendMessage,
+    deleteMessage: (teamId, data, memberId) => deleteMessage(data.messageId, { teamId, memberId })
+  };
+
+  // API calls that change the game are audit-log commands of the team that made them
+  ['executeTrade', 'tradeFuture', 'submitAuctionBid', 'cancelAuctionBid', 'sendTradeRequest', 'respondTradeRequest', 'counterTradeRequest', 'placeOrder', 'cancelOrder', 'sendMessage', 'deleteMessage'].forEach(action => {
+    const run = apiActions[action];
+    apiActions[action] = (teamId, data, memberId = null) => {
+      const team = liveState.teams[teamId];
+      const actor = { role: 'team', teamId, teamName: team ? team.name : null, ...members.attribution(getMember(team, memberId)), via: 'api' };
+      log.begin(`api:${action}`, actor, null, data);
+      return run(teamId, data, memberId);
+    };
+  });
+
+  // Starting point for a clone: the market setup and rules, optionally the teams with fresh
+  // portfolios, but none of the trades, news or messages
+  function getSetup(includeTeams) {
+    const setup = JSON.parse(JSON.stringify({
+      stocks: gameState.stocks,
+      priceEngine: { ...gameState.priceEngine, running: false },
+      scenario: gameState.scenario,
+      marginConfig: gameState.marginConfig,
+      costSchedule: gameState.pendingCostSchedule || gameState.costSchedule,
+      futures: gameState.futures
+    }));
+    
+    const { phase, currentRound, totalRounds, timeRemaining, phaseDuration, paused, pausedReason, ...settings } = gameState.gameConfig;
+    setup.gameConfig = { ...createGameConfig(), ...settings };
+    setup.auction = { ...auction.createAuction(), enabled: gameState.auction.enabled, supply: JSON.parse(JSON.stringify(gameState.auction.supply)) };
+    setup.agenda = { steps: JSON.parse(JSON.stringify(gameState.agenda.steps)), index: null };
+    setup.priceHistory = priceHistory.createHistory(setup.stocks);
+    setup.futures.contracts = Object.fromEntries(Object.values(setup.futures.contracts)
+      .filter(contract => contract.status === 'open')
+      .map(contract => [contract.id, { ...contract, settlementPrice: null }]));
+    
+    if (setup.scenario) {
+      setup.scenario.events.forEach(event => { event.status = 'pending'; });
+      setup.scenario.log = [];
+      setup.scenario.activeMoves = [];
+    }
+    
+    setup.teams = {};
+    if (includeTeams) {
+      Object.values(gameState.teams).forEach(team => {
+        const teamId = uuidv4();
+        setup.teams[teamId] = {
+          id: teamId,
+          name: team.name,
+          cash: team.startingBalance,
+          startingBalance: team.startingBalance,
+          holdings: {},
+          shortHoldings: {},
+          marginBlocked: {},
+          marginCall: null,
+          futures: {},
+          feesPaid: 0,
+          joinCode: generateJoinCode(),
+          members: [],
+          trades: []
+        };
+      });
+    }
+    
+    return setup;
+  }
+
+  function getSummary() {
+    return {
+      teams: Object.keys(gameState.teams).length,
+      phase: gameState.gameConfig.phase,
+      currentRound: gameState.gameConfig.currentRound,
+      totalRounds: gameState.gameConfig.totalRounds
+    };
+  }
+
+  // Stops every timer and writes the state out; the session is not used afterwards
+  function stop() {
+    if (priceEngineInterval) clearInterval(priceEngineInterval);
+    if (scenarioInterval) clearInterval(scenarioInterval);
+    clearGameTimers();
+    autosaver.flush();
+    log.flush();
+  }
+
+  function flush() {
+    autosaver.flush();
+    log.flush();
+  }
+
+  return {
+    id,
+    name,
+    room,
+    store,
+    gameState,
+    registerSocket,
+    open,
+    flush,
+    stop,
+    findTeamByJoinCode,
+    authenticateMember,
+    getTeam: teamId => gameState.teams[teamId] || null,
+    getPriceHistoryPayload,
+    apiActions,
+    getSetup,
+    getSummary
+  };
+}
+
+module.exports = {
+  createSession
+};
@@ -0,0 +1,319 @@
+// Payload schemas for socket events and the error codes every rejection carries.
+// Handlers reply with { success: false, code, error } so the UI can react to the code
+// and still show the human-readable message.
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'Malformed request',
+  UNKNOWN_ACTION: 'Unknown action',
+  INVALID_QUANTITY: 'Quantity must be a positive whole number',
+  INVALID_PRICE: 'Price must be a positive number',
+  INVALID_AMOUNT: 'Amount must be a non-zero number',
+  INVALID_TEXT: 'Text is missing or too long',
+  INVALID_NAME: 'Name may only contain letters, numbers, - and _',
+  UNKNOWN_SYMBOL: 'Unknown stock symbol',
+  UNKNOWN_TEAM: 'Unknown team',
+  NOT_FOUND: 'Not found',
+  AUTH_REQUIRED: 'Admin authentication required',
+  TEAM_REQUIRED: 'Join a team first',
+  INVALID_CREDENTIALS: 'Invalid credentials',
+  NOT_AUTHORISED: 'Not authorised',
+  PHASE_CLOSED: 'Trading is not open in this phase',
+  MARKET_DISABLED: 'Market trading is disabled',
+  EXCHANGE_CLOSED: 'Exchange is not open',
+  SHORT_FROZEN: 'Short selling is currently frozen',
+  INSUFFICIENT_FUNDS: 'Insufficient funds',
+  INSUFFICIENT_HOLDINGS: 'Insufficient holdings',
+  CIRCUIT_LIMIT: 'Price not obeying circuit limit',
+  NO_LIQUIDITY: 'No matching orders within the circuit limit',
+  SELF_TRADE: 'Order would trade against your own resting order',
+  INVALID_SCENARIO: 'Scenario could not be loaded',
+  INVALID_INSTRUMENT: 'Instrument definition is invalid',
+  INSTRUMENT_IN_USE: 'Instrument is still in use',
+  NOT_TRADABLE: 'This instrument is not tradable right now',
+  SYMBOL_HALTED: 'Trading in this instrument is halted',
+  INVALID_LOT: 'Quantity must be a multiple of the lot size',
+  INVALID_TICK: 'Price must be a multiple of the tick size',
+  MEMBER_REQUIRED: 'This team has members; sign in with your name and PIN',
+  MEMBER_LIMIT: 'Over your trade limit',
+  GAME_PAUSED: 'The game is paused',
+  INVALID_TRANSITION: 'That phase change is not allowed now',
+  INVALID_AGENDA: 'Agenda is invalid',
+  INVALID_FUTURE: 'Futures contract is invalid',
+  INVALID_AUCTION: 'Auction setup is invalid',
+  INVALID_ARCHIVE: 'Game archive is invalid',
+  CHAT_FROZEN: 'Chat is frozen',
+  CHAT_MUTED: 'Your team is muted',
+  RATE_LIMITED: 'Too many requests, slow down'
+};
+
+function rejection(code, error = ERROR_CODES[code]) {
+  return { success: false, code, error };
+}
+
+// Rules return an error code when the value is invalid, otherwise null
+const rules = {
+  oneOf: (values, code = 'UNKNOWN_ACTION') => value => (values.includes(value) ? null : code),
+  positiveInt: (code = 'INVALID_QUANTITY') => value => (Number.isInteger(value) && value > 0 ? null : code),
+  nonNegativeInt: (code = 'INVALID_QUANTITY') => value => (Number.isInteger(value) && value >= 0 ? null : code),
+  positiveNumber: (code = 'INVALID_PRICE') => value => (typeof value === 'number' && Number.isFinite(value) && value > 0 ? null : code),
+  nonZeroNumber: (code = 'INVALID_AMOUNT') => value => (typeof value === 'number' && Number.isFinite(value) && value !== 0 ? null : code),
+  finiteNumber: (code = 'INVALID_AMOUNT') => value => (typeof value === 'number' && Number.isFinite(value) ? null : code),
+  text: (max, code = 'INVALID_TEXT') => value => (typeof value === 'string' && value.trim().length > 0 && value.length <= max ? null : code),
+  id: (code = 'INVALID_PAYLOAD') => value => (typeof value === 'string' && value.length > 0 && value.length <= 64 ? null : code),
+  boolean: () => value => (typeof value === 'boolean' ? null : 'INVALID_PAYLOAD'),
+  list: (max, code = 'INVALID_PAYLOAD') => value => (Array.isArray(value) && value.length > 0 && value.length <= max ? null : code),
+  object: (code = 'INVALID_PAYLOAD') => value => (value !== null && typeof value === 'object' && !Array.isArray(value) ? null : code),
+  optional: rule => value => (value === undefined || value === null ? null : rule(value))
+};
+
+const schemas = {
+  create_team: {
+    name: rules.text(40),
+    startingBalance: rules.positiveNumber('INVALID_AMOUNT')
+  },
+  update_stock_price: {
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    price: rules.positiveNumber()
+  },
+  broadcast_news: {
+    title: rules.text(120),
+    content: rules.text(2000)
+  },
+  post_market_tip: {
+    content: rules.text(1000)
+  },
+  start_phase: {
+    phase: rules.oneOf(['portfolio_allocation', 'trading']),
+    duration: rules.positiveInt('INVALID_AMOUNT'),
+    rounds: rules.optional(rules.nonNegativeInt('INVALID_AMOUNT')),
+    tradingRoundTime: rules.optional(rules.positiveInt('INVALID_AMOUNT')),
+    breakTime: rules.optional(rules.nonNegativeInt('INVALID_AMOUNT'))
+  },
+  pause_game: {
+    reason: rules.optional(rules.text(120))
+  },
+  extend_phase: {
+    seconds: rules.positiveInt('INVALID_AMOUNT')
+  },
+  // Each step is checked against the phase state machine by phases.validateAgenda
+  set_agenda: {
+    steps: rules.list(50, 'INVALID_AGENDA')
+  },
+  allocate_funds: {
+    teamId: rules.id('UNKNOWN_TEAM'),
+    amount: rules.nonZeroNumber()
+  },
+  execute_trade: {
+    action: rules.oneOf(['buy', 'sell', 'short_sell', 'cover_short']),
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    quantity: rules.positiveInt()
+  },
+  trade_future: {
+    contractId: rules.id('UNKNOWN_SYMBOL'),
+    side: rules.oneOf(['buy', 'sell']),
+    quantity: rules.positiveInt()
+  },
+  // A single leg at the top level, or a basket in `legs`; each leg is checked as trade_request_leg
+  send_trade_request: {
+    toTeamId: rules.id('UNKNOWN_TEAM'),
+    legs: rules.optional(rules.list(10)),
+    cash: rules.optional(rules.finiteNumber()),
+    expiresIn: rules.optional(rules.positiveInt('INVALID_AMOUNT'))
+  },
+  trade_request_leg: {
+    action: rules.oneOf(['buy', 'sell']),
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    quantity: rules.positiveInt(),
+    price: rules.positiveNumber()
+  },
+  respond_trade_request: {
+    requestId: rules.id('NOT_FOUND'),
+    accept: rules.boolean()
+  },
+  counter_trade_request: {
+    requestId: rules.id('NOT_FOUND'),
+    legs: rules.list(10),
+    cash: rules.optional(rules.finiteNumber()),
+    expiresIn: rules.optional(rules.positiveInt('INVALID_AMOUNT'))
+  },
+  set_trade_request_expiry: {
+    seconds: rules.positiveInt('INVALID_AMOUNT')
+  },
+  member_join: {
+    joinCode: rules.text(20, 'INVALID_CREDENTIALS'),
+    name: rules.text(24, 'INVALID_NAME'),
+    pin: rules.text(32, 'INVALID_CREDENTIALS')
+  },
+  // `since` is the last trade or message number the client saw, `pricesSince` the time of its last price
+  team_resume: {
+    token: rules.id('INVALID_CREDENTIALS'),
+    since: rules.optional(rules.nonNegativeInt('INVALID_AMOUNT')),
+    pricesSince: rules.optional(rules.nonNegativeInt('INVALID_AMOUNT'))
+  },
+  // A null limit removes it; admins name the team, captains manage their own
+  update_team_member: {
+    teamId: rules.optional(rules.id('UNKNOWN_TEAM')),
+    memberId: rules.id('NOT_FOUND'),
+    role: rules.optional(rules.oneOf(['captain', 'trader', 'viewer'], 'INVALID_PAYLOAD')),
+    maxTradeValue: rules.optional(rules.positiveNumber('INVALID_AMOUNT')),
+    maxRoundValue: rules.optional(rules.positiveNumber('INVALID_AMOUNT'))
+  },
+  remove_team_member: {
+    teamId: rules.optional(rules.id('UNKNOWN_TEAM')),
+    memberId: rules.id('NOT_FOUND')
+  },
+  reset_member_pin: {
+    teamId: rules.id('UNKNOWN_TEAM'),
+    memberId: rules.id('NOT_FOUND'),
+    pin: rules.text(32, 'INVALID_CREDENTIALS')
+  },
+  place_order: {
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    side: rules.oneOf(['buy', 'sell']),
+    type: rules.oneOf(['limit', 'market']),
+    quantity: rules.positiveInt(),
+    price: rules.optional(rules.positiveNumber())
+  },
+  cancel_order: {
+    orderId: rules.id('NOT_FOUND')
+  },
+  modify_order: {
+    orderId: rules.id('NOT_FOUND'),
+    quantity: rules.optional(rules.positiveInt()),
+    price: rules.optional(rules.positiveNumber())
+  },
+  load_scenario: {
+    file: rules.optional(rules.text(80, 'INVALID_NAME')),
+    text: rules.optional(rules.text(200000, 'INVALID_SCENARIO')),
+    format: rules.optional(rules.oneOf(['json', 'yaml'], 'INVALID_SCENARIO'))
+  },
+  scenario_event: {
+    eventId: rules.id('NOT_FOUND')
+  },
+  get_price_history: {
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    interval: rules.optional(rules.positiveInt('INVALID_AMOUNT'))
+  },
+  // Direct messages need `toTeamId`; sendMessage checks it
+  send_message: {
+    channel: rules.optional(rules.oneOf(['broadcast', 'direct', 'admin'], 'INVALID_PAYLOAD')),
+    toTeamId: rules.optional(rules.id('UNKNOWN_TEAM')),
+    message: rules.text(500)
+  },
+  admin_send_message: {
+    channel: rules.oneOf(['broadcast', 'admin'], 'INVALID_PAYLOAD'),
+    toTeamId: rules.optional(rules.id('UNKNOWN_TEAM')),
+    message: rules.text(500)
+  },
+  delete_message: {
+    messageId: rules.id('NOT_FOUND'),
+    reason: rules.optional(rules.text(120))
+  },
+  mute_team: {
+    teamId: rules.id('UNKNOWN_TEAM'),
+    muted: rules.boolean()
+  },
+  create_session: {
+    name: rules.text(60),
+    adminPassword: rules.optional(rules.text(64))
+  },
+  clone_session: {
+    sessionId: rules.id('NOT_FOUND'),
+    name: rules.text(60),
+    adminPassword: rules.optional(rules.text(64)),
+    includeTeams: rules.optional(rules.boolean())
+  },
+  import_session: {
+    name: rules.text(60),
+    adminPassword: rules.optional(rules.text(64)),
+    archive: rules.object('INVALID_ARCHIVE')
+  },
+  archive_session: {
+    sessionId: rules.id('NOT_FOUND')
+  },
+  declare_corporate_action: {
+    type: rules.oneOf(['dividend', 'split', 'bonus'], 'INVALID_PAYLOAD'),
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    amount: rules.optional(rules.positiveNumber('INVALID_AMOUNT')),
+    ratio: rules.optional(rules.text(20, 'INVALID_PAYLOAD'))
+  },
+  submit_auction_bid: {
+    symbol: rules.id('UNKNOWN_SYMBOL'),
+    price: rules.positiveNumber(),
+    quantity: rules.positiveInt()
+  },
+  cancel_auction_bid: {
+    bidId: rules.id('NOT_FOUND')
+  },
+  configure_auction: {
+    enabled: rules.boolean()
+  },
+  list_future: {
+    underlying: rules.id('UNKNOWN_SYMBOL'),
+    expiryRound: rules.positiveInt('INVALID_FUTURE'),
+    lotSize: rules.optional(rules.positiveInt('INVALID_FUTURE')),
+    initialMargin: rules.optional(rules.positiveNumber('INVALID_FUTURE'))
+  },
+  delist_future: {
+    contractId: rules.id('UNKNOWN_SYMBOL')
+  },
+  save_instrument: {
+    symbol: rules.text(20, 'INVALID_INSTRUMENT')
+  },
+  remove_instrument: {
+    symbol: rules.id('UNKNOWN_SYMBOL')
+  },
+  import_instruments: {
+    text: rules.text(200000, 'INVALID_INSTRUMENT'),
+    format: rules.oneOf(['csv', 'json'], 'INVALID_INSTRUMENT'),
+    mode: rules.optional(rules.oneOf(['merge', 'replace'], 'INVALID_INSTRUMENT'))
+  },
+  get_audit_log: {
+    beforeSeq: rules.optional(rules.positiveInt('INVALID_AMOUNT')),
+    limit: rules.optional(rules.positiveInt('INVALID_AMOUNT')),
+    teamId: rules.optional(rules.id()),
+    type: rules.optional(rules.text(64))
+  },
+  replay_seek: {
+    seq: rules.optional(rules.nonNegativeInt('INVALID_AMOUNT')),
+    time: rules.optional(rules.positiveInt('INVALID_AMOUNT'))
+  },
+  replay_step: {
+    count: rules.nonZeroNumber()
+  }
+};
+
+function validate(schemaName, payload) {
+  const schema = schemas[schemaName];
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return rejection('INVALID_PAYLOAD');
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const code = rule(payload[field]);
+    if (code) return rejection(code, `${ERROR_CODES[code]} (${field})`);
+  }
+  return null;
+}
+
+// Wraps a `(payload, callback)` handler; a missing ack callback is replaced with a no-op
+// so a hand-crafted emit cannot crash the handler
+function validated(socket, schemaName, handler) {
+  return (payload, callback) => {
+    const error = validate(schemaName, payload);
+    if (error) {
+      if (typeof callback === 'function') return callback(error);
+      return socket.emit('notification', { message: error.error, code: error.code, type: 'error' });
+    }
+    handler(payload, typeof callback === 'function' ? callback : () => {});
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  rejection,
+  rules,
+  schemas,
+  validate,
+  validated
+};
@@ -0,0 +1,22 @@
+// Who may see what. Admins get the full game state. A team sees its own portfolio, trades and
+// members, and of the other teams only their name, rank and portfolio value. Join codes stay in
+// admin scope: players already know their own, and nobody else should.
+
+// A team as its own members see it
+function ownTeam(team) {
+  const { joinCode, ...rest } = team;
+  return rest;
+}
+
+// Every team's public entry, best portfolio value first; `valueOf(team)` prices a portfolio
+function standings(teams, valueOf) {
+  return teams
+    .map(team => ({ id: team.id, name: team.name, portfolioValue: Math.round(valueOf(team) * 100) / 100 }))
+    .sort((a, b) => b.portfolioValue - a.portfolioValue)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+module.exports = {
+  ownTeam,
+  standings
+};
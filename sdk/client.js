@@ -0,0 +1,97 @@
+// Small Node client for the team HTTP API (docs/API.md). Uses the global fetch, so Node 18+.
+//
+//   const { createClient } = require('./sdk/client');
+//   const client = createClient({ baseUrl: 'http://localhost:3000', joinCode: 'ABC123' });
+//   await client.login();
+//   const { quotes } = await client.quotes();
+
+// Failed calls reject with an Error carrying the API's `code` and the HTTP `status`
+function apiError(status, body) {
+  const error = new Error(body.error || `Request failed with status ${status}`);
+  error.code = body.code || 'HTTP_ERROR';
+  error.status = status;
+  return error;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createClient({ baseUrl = 'http://localhost:3000', joinCode, token, retryRateLimited = true } = {}) {
+  let authToken = token || null;
+
+  async function request(method, path, body, retry = retryRateLimited) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (authToken) {
+      headers.Authorization = `Bearer ${authToken}`;
+    } else if (joinCode) {
+      headers['X-Join-Code'] = joinCode;
+    }
+
+    const res = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await res.json().catch(() => ({}));
+
+    // One retry after the server's Retry-After keeps simple polling loops alive
+    if (res.status === 429 && retry) {
+      await wait(Number(res.headers.get('Retry-After') || 1) * 1000);
+      return request(method, path, body, false);
+    }
+    if (!res.ok || result.success === false) {
+      throw apiError(res.status, result);
+    }
+    return result;
+  }
+
+  // Swaps the join code for a bearer token used on every later call; teams with members also
+  // need the member's name and PIN
+  async function login({ memberName, pin } = {}) {
+    const result = await request('POST', '/token', { joinCode, memberName, pin });
+    authToken = result.token;
+    return result;
+  }
+
+  return {
+    request,
+    login,
+    status: () => request('GET', '/status'),
+    quotes: () => request('GET', '/quotes'),
+    quote: symbol => request('GET', `/quotes/${encodeURIComponent(symbol)}`),
+    teams: () => request('GET', '/teams'),
+    portfolio: () => request('GET', '/portfolio'),
+    trades: () => request('GET', '/trades'),
+    trade: (action, symbol, quantity) => request('POST', '/trades', { action, symbol, quantity }),
+    buy: (symbol, quantity) => request('POST', '/trades', { action: 'buy', symbol, quantity }),
+    sell: (symbol, quantity) => request('POST', '/trades', { action: 'sell', symbol, quantity }),
+    shortSell: (symbol, quantity) => request('POST', '/trades', { action: 'short_sell', symbol, quantity }),
+    coverShort: (symbol, quantity) => request('POST', '/trades', { action: 'cover_short', symbol, quantity }),
+    futures: () => request('GET', '/futures'),
+    tradeFuture: (contractId, side, quantity) => request('POST', '/futures/trades', { contractId, side, quantity }),
+    auction: () => request('GET', '/auction'),
+    bidInAuction: (symbol, price, quantity) => request('POST', '/auction/bids', { symbol, price, quantity }),
+    cancelAuctionBid: bidId => request('DELETE', `/auction/bids/${encodeURIComponent(bidId)}`),
+    tradeRequests: () => request('GET', '/requests'),
+    sendTradeRequest: ({ toTeamId, action, symbol, quantity, price, legs, cash, expiresIn }) =>
+      request('POST', '/requests', { toTeamId, action, symbol, quantity, price, legs, cash, expiresIn }),
+    respondTradeRequest: (requestId, accept) =>
+      request('POST', `/requests/${encodeURIComponent(requestId)}/respond`, { accept }),
+    counterTradeRequest: (requestId, legs, expiresIn, cash) =>
+      request('POST', `/requests/${encodeURIComponent(requestId)}/counter`, { legs, cash, expiresIn }),
+    orders: () => request('GET', '/orders'),
+    placeOrder: ({ symbol, side, type = 'limit', quantity, price }) =>
+      request('POST', '/orders', { symbol, side, type, quantity, price }),
+    cancelOrder: orderId => request('DELETE', `/orders/${encodeURIComponent(orderId)}`),
+    messages: () => request('GET', '/messages'),
+    sendMessage: (toTeamId, message) => request('POST', '/messages', { toTeamId, message }),
+    broadcastMessage: message => request('POST', '/messages', { channel: 'broadcast', message }),
+    messageAdmins: message => request('POST', '/messages', { channel: 'admin', message }),
+    deleteMessage: messageId => request('DELETE', `/messages/${encodeURIComponent(messageId)}`)
+  };
+}
+
+module.exports = {
+  createClient
+};
@@ -0,0 +1,73 @@
+// Example bot: buys a symbol when it trades well below its recent average and sells
+// when it trades well above. Run against a local server with a team's join code:
+//
+//   JOIN_CODE=ABC123 SYMBOL=ITC npm run bot
+//
+// Teams with members also need MEMBER_NAME and PIN.
+
+const { createClient } = require('../client');
+
+const BASE_URL = process.env.API_URL || 'http://localhost:3000';
+const JOIN_CODE = process.env.JOIN_CODE;
+const MEMBER = { memberName: process.env.MEMBER_NAME, pin: process.env.PIN };
+const SYMBOL = process.env.SYMBOL || 'ITC';
+const QUANTITY = Number(process.env.QUANTITY) || 10;
+const POLL_SECONDS = Number(process.env.POLL_SECONDS) || 5;
+const WINDOW = 12;
+const THRESHOLD = 0.01;
+
+if (!JOIN_CODE) {
+  console.error('Set JOIN_CODE to your team join code');
+  process.exit(1);
+}
+
+const client = createClient({ baseUrl: BASE_URL, joinCode: JOIN_CODE });
+const prices = [];
+
+async function step() {
+  const { gameConfig } = await client.status();
+  const { quote } = await client.quote(SYMBOL);
+  prices.push(quote.price);
+  if (prices.length > WINDOW) prices.shift();
+
+  const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  console.log(`${SYMBOL} ₹${quote.price} (avg ₹${average.toFixed(2)}, ${gameConfig.phase})`);
+  if (prices.length < WINDOW || gameConfig.phase !== 'trading') return;
+
+  const { portfolio } = await client.portfolio();
+  const held = portfolio.holdings[SYMBOL] || 0;
+  // Orders come in whole lots; a position smaller than that can only be sold all at once
+  const lotSize = quote.lotSize || 1;
+  const size = Math.max(lotSize, Math.floor(QUANTITY / lotSize) * lotSize);
+
+  if (quote.price < average * (1 - THRESHOLD) && portfolio.cash >= quote.price * size) {
+    await client.buy(SYMBOL, size);
+    console.log(`  bought ${size}`);
+  } else if (quote.price > average * (1 + THRESHOLD) && held > 0) {
+    const quantity = held <= size ? held : size;
+    await client.sell(SYMBOL, quantity);
+    console.log(`  sold ${quantity}`);
+  }
+}
+
+async function run() {
+  const { teamName } = await client.login(MEMBER);
+  console.log(`Trading ${SYMBOL} as ${teamName} every ${POLL_SECONDS}s`);
+
+  for (;;) {
+    try {
+      await step();
+    } catch (err) {
+      // Closed phases and disabled market trading are expected; keep polling.
+      // Tokens do not survive a server restart, so log in again when one is rejected.
+      console.log(`  ${err.code}: ${err.message}`);
+      if (err.code === 'AUTH_REQUIRED') await client.login(MEMBER);
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_SECONDS * 1000));
+  }
+}
+
+run().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analytics = require('../lib/analytics');
+
+const stocks = {};
+
+function teamWith(allocations) {
+  return {
+    id: 'a',
+    name: 'Alpha',
+    startingBalance: 100000,
+    holdings: {},
+    shortHoldings: {},
+    trades: allocations.map(amount => ({ action: 'fund_allocation', symbol: 'CASH', quantity: 1, price: amount }))
+  };
+}
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+function point(value, capital) {
+  return { time: 0, round: 1, value, capital };
+}
+
+test('allocations and deductions count as neither gains nor losses', () => {
+  const team = teamWith([50000, -20000]);
+  const performance = analytics.createPerformance();
+  performance.samples.a = [point(100000, 100000), point(110000, 100000), point(160000, 150000)];
+  performance.rounds.a = [{ ...point(100000, 100000), round: 0 }, point(160000, 150000)];
+
+  const metrics = analytics.computeMetrics(performance, team, { stocks, portfolioValue: 130000, currentRound: 2, roundRunning: true });
+
+  assert.equal(metrics.capital, 130000);
+  assert.equal(round4(metrics.maxDrawdown), 0.0625);
+  assert.deepEqual(metrics.roundReturns.map(({ round, return: value }) => [round, round4(value)]), [
+    [1, 0.1],
+    [2, -0.0625]
+  ]);
+  const mean = (0.1 + 0 - 0.0625) / 3;
+  assert.ok(Math.abs(metrics.sharpe - mean / metrics.volatility) < 1e-12);
+  assert.ok(metrics.volatility > 0.07 && metrics.volatility < 0.09);
+});
+
+test('a team that only receives money has flat returns', () => {
+  const team = teamWith([50000]);
+  const performance = analytics.createPerformance();
+  performance.samples.a = [point(100000, 100000), point(100000, 100000)];
+
+  const metrics = analytics.computeMetrics(performance, team, { stocks, portfolioValue: 150000, currentRound: 1, roundRunning: false });
+
+  assert.equal(metrics.maxDrawdown, 0);
+  assert.equal(metrics.volatility, 0);
+  assert.equal(metrics.totalReturn, 0);
+});
+
+test('samples saved without capital are read as having no flows between them', () => {
+  const performance = analytics.createPerformance();
+  performance.samples.a = [{ value: 100000 }, { value: 90000 }];
+
+  const metrics = analytics.computeMetrics(performance, teamWith([]), { stocks, portfolioValue: 99000, currentRound: 1, roundRunning: false });
+
+  assert.equal(round4(metrics.maxDrawdown), 0.1);
+});
+
+test('each sample records the capital alongside the value', () => {
+  const performance = analytics.createPerformance();
+  analytics.recordSample(performance, 'a', 1000.456, 1, analytics.getCapital(teamWith([250])));
+  analytics.recordRoundBoundary(performance, 'a', 1000, 0, 100000);
+
+  assert.equal(performance.samples.a[0].value, 1000.46);
+  assert.equal(performance.samples.a[0].capital, 100250);
+  assert.equal(performance.rounds.a[0].capital, 100000);
+});
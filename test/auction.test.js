@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auction = require('../lib/auction');
+const { startSession } = require('./helpers');
+
+const stocks = { ITC: { symbol: 'ITC', lotSize: 1 }, GOLD: { symbol: 'GOLD', lotSize: 10 } };
+
+function bid(id, symbol, price, quantity, time) {
+  return { id, teamId: `team-${id}`, symbol, price, quantity, time };
+}
+
+test('an oversubscribed offer clears at the lowest price that sells the supply', () => {
+  const state = {
+    supply: { ITC: 100 },
+    bids: [bid('a', 'ITC', 450, 60, 1), bid('b', 'ITC', 430, 30, 2), bid('c', 'ITC', 420, 50, 3)]
+  };
+  const { results, fills } = auction.clear(state, stocks);
+  assert.deepEqual(results[0], { symbol: 'ITC', supply: 100, bids: 3, clearingPrice: 420, demand: 140, allocated: 100 });
+  assert.deepEqual(fills, { a: 60, b: 30, c: 10 });
+});
+
+test('bids at the clearing price share what is left pro rata in whole lots', () => {
+  const state = {
+    supply: { GOLD: 100 },
+    bids: [bid('a', 'GOLD', 123000, 40, 2), bid('b', 'GOLD', 123000, 80, 1), bid('c', 'GOLD', 122500, 50, 3)]
+  };
+  const { results, fills } = auction.clear(state, stocks);
+  assert.equal(results[0].clearingPrice, 123000);
+  assert.deepEqual(fills, { a: 30, b: 70, c: 0 });
+});
+
+test('an undersubscribed offer fills everyone at the lowest bid', () => {
+  const state = { supply: { ITC: 100 }, bids: [bid('a', 'ITC', 450, 20, 1), bid('b', 'ITC', 425, 30, 2)] };
+  const { results, fills } = auction.clear(state, stocks);
+  assert.equal(results[0].clearingPrice, 425);
+  assert.equal(results[0].allocated, 50);
+  assert.deepEqual(fills, { a: 20, b: 30 });
+});
+
+test('the setup refuses supply that is not whole lots', () => {
+  assert.throws(() => auction.sanitizeSetup({ enabled: true, supply: { GOLD: 15 } }, stocks), /whole number of lots/);
+  assert.throws(() => auction.sanitizeSetup({ enabled: true, supply: {} }, stocks), /at least one instrument/);
+});
+
+test('clearing allots shares at the uniform price and refunds the rest of the escrow', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha', 100000);
+  const beta = await game.team(admin, 'Beta', 100000);
+  await admin.call('configure_auction', { enabled: true, supply: { ITC: 100 } });
+  await admin.call('start_phase', { phase: 'portfolio_allocation', duration: 60 });
+
+  assert.equal((await alpha.socket.call('submit_auction_bid', { symbol: 'ITC', price: 400, quantity: 10 })).code, 'INVALID_PRICE');
+  await alpha.socket.call('submit_auction_bid', { symbol: 'ITC', price: 440, quantity: 80 });
+  await beta.socket.call('submit_auction_bid', { symbol: 'ITC', price: 430, quantity: 40 });
+  assert.equal(alpha.state.cash, 100000 - 440 * 80);
+  assert.equal(alpha.state.auctionEscrow, 440 * 80);
+
+  await admin.call('skip_round');
+
+  assert.equal(game.state.gameConfig.phase, 'waiting');
+  assert.equal(game.state.stocks.ITC.price, 430);
+  assert.equal(alpha.state.holdings.ITC, 80);
+  assert.equal(beta.state.holdings.ITC, 20);
+  assert.equal(alpha.state.cash, 100000 - 430 * 80);
+  assert.equal(beta.state.cash, 100000 - 430 * 20);
+  assert.equal(alpha.state.auctionEscrow, 0);
+  assert.deepEqual(game.state.auction.bids, []);
+});
+
+test('trading opens at the clearing price without tripping its circuit', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  await admin.call('configure_auction', { enabled: true, supply: { ITC: 100 } });
+  await admin.call('start_phase', { phase: 'portfolio_allocation', duration: 60 });
+  await alpha.socket.call('submit_auction_bid', { symbol: 'ITC', price: 540, quantity: 100 });
+
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+
+  const itc = game.state.stocks.ITC;
+  assert.equal(itc.price, 540);
+  assert.equal(itc.referencePrice, 540);
+  assert.equal(itc.halt, null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const eventLog = require('../lib/eventLog');
+const { startSession } = require('./helpers');
+
+async function playSomeGame(game) {
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 2 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+  await beta.socket.call('execute_trade', { action: 'short_sell', symbol: 'ONGC', quantity: 10 });
+  await admin.call('update_stock_price', { symbol: 'ONGC', price: 260 });
+  await admin.call('allocate_funds', { teamId: alpha.id, amount: 5000 });
+  await admin.call('toggle_short_freeze');
+  return { admin, alpha, beta };
+}
+
+test('the event log rebuilds exactly the live state', async (t) => {
+  const game = startSession(t);
+  const { admin } = await playSomeGame(game);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const result = await admin.call('verify_audit_log');
+
+  assert.equal(result.consistent, true, `mismatched: ${result.mismatched.join(', ')}`);
+  assert.ok(result.events >= 8);
+});
+
+test('a restarted session is rebuilt from its event log', async (t) => {
+  const game = startSession(t);
+  const { alpha, beta } = await playSomeGame(game);
+  const before = JSON.parse(JSON.stringify({ alpha: alpha.state, beta: beta.state, stocks: game.state.stocks }));
+
+  await game.restart();
+
+  assert.deepEqual(JSON.parse(JSON.stringify({ alpha: alpha.state, beta: beta.state, stocks: game.state.stocks })), before);
+  const admin = await game.admin();
+  assert.equal((await admin.call('verify_audit_log')).consistent, true);
+});
+
+test('a replay shows the game as it was at any event', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha', 100000);
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const { events } = await admin.call('get_audit_log', {});
+  const trade = events.find(event => event.type === 'execute_trade');
+  assert.equal(trade.actor.teamId, alpha.id);
+  await admin.call('replay_open');
+
+  const beforeTrade = (await admin.call('replay_seek', { seq: trade.seq - 1 })).frame;
+  assert.equal(beforeTrade.teams[0].cash, 100000);
+  assert.deepEqual(beforeTrade.teams[0].holdings, {});
+  const afterTrade = (await admin.call('replay_seek', { seq: trade.seq })).frame;
+  assert.deepEqual(afterTrade.teams[0].holdings, { ITC: 5 });
+  assert.equal(afterTrade.gameConfig.phase, 'trading');
+});
+
+test('recorded changes replay onto a copy of the state', () => {
+  const changes = [];
+  const recorder = eventLog.createRecorder({ teams: {}, trades: [] }, change => changes.push(change));
+
+  recorder.state.teams.a = { cash: 100, holdings: {} };
+  recorder.state.teams.a.holdings.ITC = 5;
+  recorder.state.trades.push({ id: 't1' });
+  delete recorder.state.teams.a.holdings.ITC;
+
+  const rebuilt = changes.reduce(eventLog.applyChange, { teams: {}, trades: [] });
+  assert.deepEqual(rebuilt, recorder.raw);
+});
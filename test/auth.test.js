@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adminOnly, superAdminOnly } = require('../lib/auth');
+const { ADMIN_PASSWORD, startSession } = require('./helpers');
+
+function stubSocket(data = {}) {
+  const socket = { data, emitted: [], emit: (event, payload) => socket.emitted.push({ event, payload }) };
+  return socket;
+}
+
+test('a guarded handler gets its payload and a callback whatever the client sent', () => {
+  const socket = stubSocket({ isAdmin: true });
+  const calls = [];
+  const withPayload = adminOnly(socket, (data, callback) => calls.push([data, typeof callback]));
+  const withoutPayload = adminOnly(socket, (callback) => calls.push([typeof callback]));
+  const ack = () => {};
+
+  withPayload({ symbol: 'ITC' });
+  withPayload();
+  withoutPayload();
+  adminOnly(socket, (callback) => calls.push([callback]))({ stray: true }, ack);
+
+  assert.deepEqual(calls, [[{ symbol: 'ITC' }, 'function'], [undefined, 'function'], ['function'], [ack]]);
+});
+
+test('without an ack, a refusal or a failed reply becomes a notification', () => {
+  const socket = stubSocket({ isAdmin: true, isSuperAdmin: false });
+
+  superAdminOnly(socket, () => assert.fail('ran'))();
+  adminOnly(socket, (callback) => callback({ success: false, code: 'NOT_FOUND', error: 'Gone' }))();
+  adminOnly(socket, (callback) => callback({ success: true }))();
+
+  assert.deepEqual(socket.emitted.map(({ payload }) => payload.code), ['NOT_AUTHORISED', 'NOT_FOUND']);
+  assert.equal(socket.emitted[1].payload.message, 'Gone');
+});
+
+test('an admin login without an ack still signs the socket in', async (t) => {
+  const game = startSession(t);
+  const admin = game.connect();
+
+  admin.send('admin_login', 'wrong');
+  assert.equal(admin.data.isAdmin, undefined);
+  admin.send('admin_login', ADMIN_PASSWORD);
+  assert.equal(admin.data.isAdmin, true);
+  assert.ok(admin.received.some(({ event, payload }) => event === 'game_state' && payload.teams !== undefined));
+});
+
+test('admin events sent without an ack run instead of crashing', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+
+  admin.send('toggle_market_trading');
+  assert.equal(game.state.gameConfig.marketTradingEnabled, true);
+  admin.send('cost_schedule_configure', { slippage: 0.5 });
+  const notice = admin.received.pop().payload;
+  assert.equal(notice.code, 'INVALID_PAYLOAD');
+  assert.match(notice.message, /slippage/);
+});
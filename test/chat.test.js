@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chat = require('../lib/chat');
+const { startSession } = require('./helpers');
+
+test('teams see broadcasts and their own conversations, and only that a message was deleted', () => {
+  const direct = { channel: 'direct', fromTeamId: 'a', toTeamId: 'b', message: 'hi' };
+  assert.equal(chat.isVisibleTo(direct, 'b'), true);
+  assert.equal(chat.isVisibleTo(direct, 'c'), false);
+  assert.equal(chat.isVisibleTo({ channel: 'broadcast', fromTeamId: 'a', message: 'hi' }, 'c'), true);
+  assert.equal(chat.channelOf({ fromTeamId: 'a', toTeamId: 'b' }), 'direct');
+
+  const deleted = { ...direct, deleted: { at: 1, byAdmin: true, by: 'Admin', reason: 'rude' } };
+  assert.deepEqual(chat.forTeam(deleted), { ...direct, message: null, deleted: { byAdmin: true, at: 1 } });
+  assert.equal(chat.forTeam(direct), direct);
+});
+
+test('frozen chat and muted teams can still write to the admins', () => {
+  assert.equal(chat.checkCanPost('direct', {}, { chatFrozen: true })[0], 'CHAT_FROZEN');
+  assert.equal(chat.checkCanPost('broadcast', { chatMuted: true }, {})[0], 'CHAT_MUTED');
+  assert.equal(chat.checkCanPost('admin', { chatMuted: true }, { chatFrozen: true }), null);
+  assert.equal(chat.checkCanPost('direct', {}, {}), null);
+});
+
+async function chattingPair(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  const send = (team, message, channel = 'direct') => team.socket.call('send_message', { channel, toTeamId: beta.id, message });
+  return { game, admin, alpha, beta, send };
+}
+
+test('a socket may send five messages in ten seconds', async (t) => {
+  const { alpha, send } = await chattingPair(t);
+  for (let i = 0; i < chat.RATE_LIMIT.limit; i++) {
+    assert.equal((await send(alpha, `message ${i}`)).success, true);
+  }
+
+  const limited = await send(alpha, 'one too many');
+  assert.equal(limited.code, 'RATE_LIMITED');
+  assert.match(limited.error, /try again in \d+s/);
+});
+
+test('a freeze or a mute stops team chat but not messages to the admins', async (t) => {
+  const { admin, alpha, beta, send } = await chattingPair(t);
+
+  assert.equal((await admin.call('toggle_chat_freeze')).frozen, true);
+  assert.equal((await send(alpha, 'hello')).code, 'CHAT_FROZEN');
+  assert.equal((await send(alpha, 'help', 'admin')).success, true);
+  await admin.call('toggle_chat_freeze');
+
+  await admin.call('mute_team', { teamId: alpha.id, muted: true });
+  assert.equal((await send(alpha, 'hello', 'broadcast')).code, 'CHAT_MUTED');
+  assert.equal((await send(beta, 'hello', 'broadcast')).success, true);
+  await admin.call('mute_team', { teamId: alpha.id, muted: false });
+  assert.equal((await send(alpha, 'hello')).success, true);
+});
+
+test('a deleted message loses its text for teams but not for the admins', async (t) => {
+  const { game, admin, alpha, beta, send } = await chattingPair(t);
+  const { message } = await send(alpha, 'secret tip');
+
+  assert.equal((await beta.socket.call('delete_message', { messageId: message.id })).code, 'NOT_FOUND');
+  const deleted = await admin.call('admin_delete_message', { messageId: message.id, reason: 'insider info' });
+  assert.equal(deleted.message.message, 'secret tip');
+  assert.equal(deleted.message.deleted.reason, 'insider info');
+
+  const toTeams = game.io.sent.filter(({ event }) => event === 'message_deleted');
+  assert.deepEqual(toTeams.map(({ targets }) => targets), [[`team_${alpha.id}`], [`team_${beta.id}`]]);
+  assert.ok(toTeams.every(({ payload }) => payload.message === null && payload.deleted.reason === undefined));
+
+  beta.socket.send('get_team_messages');
+  const history = beta.socket.received.filter(({ event }) => event === 'team_messages').pop().payload;
+  assert.equal(history.find(msg => msg.id === message.id).message, null);
+  assert.equal((await alpha.socket.call('delete_message', { messageId: message.id })).code, 'NOT_FOUND');
+});
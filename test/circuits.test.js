@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startSession } = require('./helpers');
+
+async function tradingGame(t, rounds = 1) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const team = await game.team(admin, 'Alpha');
+  await admin.call('save_instrument', { symbol: 'ITC', circuitBand: 0.05, haltSeconds: 1 });
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds });
+  await admin.call('toggle_market_trading');
+  return { game, admin, team };
+}
+
+test('bands are measured from the reference price the round opened at', async (t) => {
+  const { game, admin } = await tradingGame(t);
+
+  assert.equal(game.state.stocks.ITC.referencePrice, 415);
+  assert.equal((await admin.call('update_stock_price', { symbol: 'ITC', price: 436 })).code, 'CIRCUIT_LIMIT');
+  assert.equal((await admin.call('update_stock_price', { symbol: 'ITC', price: 430 })).success, true);
+  assert.equal(game.state.stocks.ITC.referencePrice, 415);
+  assert.equal(game.state.stocks.ITC.halt, null);
+});
+
+test('reaching an edge of the band halts the symbol until its cooling-off period ends', async (t) => {
+  const { game, admin, team } = await tradingGame(t);
+
+  await admin.call('update_stock_price', { symbol: 'ITC', price: 435.75 });
+
+  const { halt } = game.state.stocks.ITC;
+  assert.equal(halt.side, 'upper');
+  assert.equal(halt.until - halt.since, 1000);
+  assert.equal((await team.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 1 })).code, 'SYMBOL_HALTED');
+  assert.equal((await team.socket.call('execute_trade', { action: 'buy', symbol: 'ONGC', quantity: 1 })).success, true);
+
+  await new Promise(resolve => setTimeout(resolve, 1100));
+
+  assert.equal(game.state.stocks.ITC.halt, null);
+  assert.equal((await team.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 1 })).success, true);
+});
+
+test('the next round moves the reference to where it opens', async (t) => {
+  const { game, admin } = await tradingGame(t, 2);
+  await admin.call('update_stock_price', { symbol: 'ITC', price: 430 });
+
+  await admin.call('skip_round');
+
+  assert.equal(game.state.gameConfig.currentRound, 2);
+  assert.equal(game.state.stocks.ITC.referencePrice, 430);
+  assert.equal((await admin.call('update_stock_price', { symbol: 'ITC', price: 450 })).success, true);
+});
+
+test('between rounds an admin price sets the reference, and a frozen circuit never halts', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  await admin.call('update_stock_price', { symbol: 'ITC', price: 500 });
+  assert.equal(game.state.stocks.ITC.referencePrice, 500);
+
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_circuit_freeze');
+  assert.equal((await admin.call('update_stock_price', { symbol: 'ITC', price: 700 })).success, true);
+  assert.equal(game.state.stocks.ITC.halt, null);
+});
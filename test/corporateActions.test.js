@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const corporateActions = require('../lib/corporateActions');
+const { startSession } = require('./helpers');
+
+test('ratios become the factor the share count changes by', () => {
+  assert.equal(corporateActions.sanitizeAction({ type: 'split', symbol: 'ITC', ratio: '2:1' }, ['ITC']).factor, 2);
+  assert.equal(corporateActions.sanitizeAction({ type: 'split', symbol: 'ITC', ratio: [1, 5] }, ['ITC']).factor, 0.2);
+  assert.equal(corporateActions.sanitizeAction({ type: 'bonus', symbol: 'ITC', ratio: { new: 1, old: 2 } }, ['ITC']).factor, 1.5);
+  assert.throws(() => corporateActions.sanitizeAction({ type: 'split', symbol: 'ITC', ratio: '1:1' }, ['ITC']), /changes nothing/);
+  assert.throws(() => corporateActions.sanitizeAction({ type: 'dividend', symbol: 'ITC', amount: 0 }, ['ITC']), /positive/);
+  assert.throws(() => corporateActions.sanitizeAction({ type: 'split', symbol: 'XYZ', ratio: '2:1' }, ['ITC']), /Unknown symbol/);
+});
+
+test('longs round down and shorts round up, leaving the fraction to be paid in cash', () => {
+  assert.deepEqual(corporateActions.adjustPosition(5, 1.5, false), { quantity: 7, fraction: 0.5 });
+  assert.deepEqual(corporateActions.adjustPosition(5, 1.5, true), { quantity: 8, fraction: 0.5 });
+  assert.deepEqual(corporateActions.adjustPosition(10, 2, false), { quantity: 20, fraction: 0 });
+});
+
+async function tradingGame(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const team = await game.team(admin, 'Alpha');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  return { game, admin, team };
+}
+
+test('a bonus issue scales positions and prices and pays cash in lieu of fractions', async (t) => {
+  const { game, admin, team } = await tradingGame(t);
+  await team.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+  const cash = team.state.cash;
+
+  const result = await admin.call('declare_corporate_action', { type: 'bonus', symbol: 'ITC', ratio: '1:2' });
+
+  assert.equal(result.success, true);
+  const price = 276.67;
+  assert.equal(game.state.stocks.ITC.price, price);
+  assert.equal(game.state.stocks.ITC.referencePrice, price);
+  assert.equal(team.state.holdings.ITC, 7);
+  const cashInLieu = Math.round(0.5 * price * 100) / 100;
+  assert.equal(team.state.cash, Math.round((cash + cashInLieu) * 100) / 100);
+  assert.deepEqual(team.state.trades.slice(-2).map(trade => [trade.action, trade.quantity, trade.price]), [
+    ['bonus', 2, 0],
+    ['cash_in_lieu', 1, cashInLieu]
+  ]);
+});
+
+test('a consolidation rounds a short up and pays it for the extra fraction owed', async (t) => {
+  const { game, admin, team } = await tradingGame(t);
+  await team.socket.call('execute_trade', { action: 'short_sell', symbol: 'ITC', quantity: 3 });
+  const cash = team.state.cash;
+
+  await admin.call('declare_corporate_action', { type: 'split', symbol: 'ITC', ratio: '1:2' });
+
+  assert.equal(game.state.stocks.ITC.price, 830);
+  assert.equal(team.state.shortHoldings.ITC, 2);
+  assert.equal(team.state.cash, cash + 415);
+});
+
+test('a dividend pays longs, charges shorts and takes the amount off the price', async (t) => {
+  const { game, admin, team } = await tradingGame(t);
+  const shorter = await game.team(admin, 'Beta');
+  await team.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 10 });
+  await shorter.socket.call('execute_trade', { action: 'short_sell', symbol: 'ITC', quantity: 4 });
+  const longCash = team.state.cash;
+  const shortCash = shorter.state.cash;
+
+  await admin.call('declare_corporate_action', { type: 'dividend', symbol: 'ITC', amount: 5 });
+
+  assert.equal(team.state.cash, longCash + 50);
+  assert.equal(shorter.state.cash, shortCash - 20);
+  assert.equal(game.state.stocks.ITC.price, 410);
+  assert.equal(game.state.stocks.ITC.halt, null);
+});
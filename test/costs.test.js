@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const costs = require('../lib/costs');
+
+const schedule = costs.createCostSchedule();
+
+function totalCost(quantity, price) {
+  const notional = quantity * price;
+  return notional + costs.quoteTrade(schedule, 'equity', 'buy', notional).fees;
+}
+
+test('fees are flat plus percentage brokerage and a tax by asset class and side', () => {
+  assert.deepEqual(costs.quoteTrade(schedule, 'equity', 'buy', 100000), { brokerage: 50, tax: 100, slippage: 0, fees: 150 });
+  assert.equal(costs.quoteTrade(schedule, 'commodity', 'buy', 100000).tax, 0);
+  assert.equal(costs.quoteTrade(schedule, 'commodity', 'sell', 100000).tax, 10);
+  assert.equal(costs.quoteTrade(schedule, 'crypto', 'sell', 100000).tax, 1000);
+  assert.equal(costs.quoteTrade(schedule, 'unknown', 'sell', 100000).tax, 100);
+  assert.equal(costs.quoteTrade(schedule, 'equity', 'buy', 0).fees, 0);
+});
+
+test('slippage fills market buys above and market sells below the quoted price', () => {
+  const slipping = costs.configure(schedule, { slippage: 0.01 });
+
+  const buy = costs.quoteMarketTrade(slipping, 'equity', 'buy', 10, 415);
+  assert.equal(buy.price, 419.15);
+  assert.equal(buy.notional, 4191.5);
+  assert.equal(buy.slippage, 41.5);
+  assert.equal(buy.fees, costs.quoteTrade(slipping, 'equity', 'buy', 4191.5).fees);
+
+  const sell = costs.quoteMarketTrade(slipping, 'equity', 'sell', 10, 415);
+  assert.equal(sell.price, 410.85);
+  assert.equal(sell.slippage, 41.5);
+});
+
+test('the affordable quantity is the most whose value and fees fit in the cash', () => {
+  const quantity = costs.maxAffordableQuantity(schedule, 'equity', 415, 100000);
+
+  assert.equal(quantity, 240);
+  assert.ok(totalCost(quantity, 415) <= 100000);
+  assert.ok(totalCost(quantity + 1, 415) > 100000);
+  assert.equal(costs.maxAffordableQuantity(schedule, 'equity', 415, 10), 0);
+});
+
+test('a schedule update is checked and returns a new schedule', () => {
+  const updated = costs.configure(schedule, { brokerage: { flat: 0 }, taxes: { crypto: { sell: 0.02 } } });
+  assert.equal(updated.brokerage.flat, 0);
+  assert.equal(updated.brokerage.percent, 0.0003);
+  assert.equal(updated.taxes.crypto.sell, 0.02);
+  assert.equal(schedule.brokerage.flat, 20);
+
+  assert.throws(() => costs.configure(schedule, { slippage: 0.5 }), /slippage must be a number between 0 and 0.1/);
+  assert.throws(() => costs.configure(schedule, { taxes: { bonds: { buy: 0 } } }), /Unknown asset class/);
+  assert.throws(() => costs.configure(schedule, { brokerage: { percent: -1 } }), /brokerage.percent/);
+});
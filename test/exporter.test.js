@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exporter = require('../lib/exporter');
+const instruments = require('../lib/instruments');
+const { startSession } = require('./helpers');
+
+test('fields with commas, quotes or line breaks are quoted, and quotes doubled', () => {
+  assert.equal(exporter.csvField('ITC'), 'ITC');
+  assert.equal(exporter.csvField(415.5), '415.5');
+  assert.equal(exporter.csvField(null), '');
+  assert.equal(exporter.csvField('Bulls, Bears'), '"Bulls, Bears"');
+  assert.equal(exporter.csvField('the "Bulls"'), '"the ""Bulls"""');
+  assert.equal(exporter.csvField('line one\nline two'), '"line one\nline two"');
+  assert.equal(exporter.csvField('a\r\nb'), '"a\r\nb"');
+});
+
+test('text that a spreadsheet would run as a formula is exported as plain text', () => {
+  assert.equal(exporter.csvField('=HYPERLINK("http://evil","x")'), '"\'=HYPERLINK(""http://evil"",""x"")"');
+  assert.equal(exporter.csvField('+1'), "'+1");
+  assert.equal(exporter.csvField('-2+3'), "'-2+3");
+  assert.equal(exporter.csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(exporter.csvField(-5000), '-5000');
+  assert.equal(exporter.csvField('Bulls'), 'Bulls');
+
+  const csv = exporter.tradesToCsv([{ teamName: '=cmd|\' /C calc\'!A0', action: 'buy', symbol: 'ITC', quantity: 1, price: 1 }]);
+  assert.match(csv.split('\n')[1], /^,'=cmd\|/);
+
+  // Instrument lists read their own export back unchanged
+  const [stock] = instruments.getDefaultList();
+  const stocks = { [stock.symbol]: { ...stock, name: '-TATA-' } };
+  assert.equal(instruments.parseImport(instruments.toCsv(stocks), 'csv')[0].name, '-TATA-');
+});
+
+test('a tradebook has one header row and one row per trade, with times in UTC', () => {
+  const csv = exporter.tradesToCsv([{
+    time: Date.UTC(2026, 0, 2, 3, 4, 5),
+    teamName: 'Bulls, Bears & "Co"',
+    action: 'buy',
+    symbol: 'ITC',
+    quantity: 3,
+    price: 415.1,
+    fees: 20.37,
+    note: 'first\nsecond'
+  }]);
+
+  assert.equal(csv, [
+    'Timestamp,Team,Member,Action,Symbol,Quantity,Price,Total,Brokerage,Tax,Slippage,Fees,Counterparty,Note',
+    '2026-01-02T03:04:05.000Z,"Bulls, Bears & ""Co""",,buy,ITC,3,415.1,1245.3,0,0,0,20.37,Market,"first\nsecond"',
+    ''
+  ].join('\n'));
+});
+
+test('anything that is not a game archive is refused with a reason', () => {
+  const archive = exporter.createArchive({ id: 's', name: 'S' }, { teams: {}, stocks: {}, gameConfig: {}, trades: [] });
+
+  assert.throws(() => exporter.readArchive({ ...archive, format: 'zip' }), /Not a game archive/);
+  assert.throws(() => exporter.readArchive({ ...archive, version: 2 }), /Unsupported archive version 2/);
+  assert.throws(() => exporter.readArchive({ ...archive, state: { ...archive.state, trades: null } }), /no game state/);
+  assert.throws(() => exporter.readArchive({ ...archive, state: { ...archive.state, teams: { a: { id: 'a' } } } }), /malformed team/);
+  assert.deepEqual(exporter.readArchive(archive).teams, {});
+});
+
+test('an exported game imports as a session that carries on where it left off', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 2 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+  await admin.call('update_stock_price', { symbol: 'ITC', price: 420 });
+
+  const { archive } = await admin.call('export_archive');
+  const imported = startSession(t, exporter.readArchive(JSON.parse(JSON.stringify(archive))));
+
+  const team = imported.state.teams[alpha.id];
+  assert.deepEqual(team.holdings, alpha.state.holdings);
+  assert.equal(team.cash, alpha.state.cash);
+  assert.deepEqual(team.trades, alpha.state.trades);
+  assert.equal(imported.state.stocks.ITC.price, 420);
+  assert.deepEqual(imported.state.priceHistory.ITC, game.state.priceHistory.ITC);
+  assert.equal(imported.state.gameConfig.totalRounds, 2);
+
+  const rejoined = await imported.connect().call('team_join', team.joinCode);
+  assert.equal(rejoined.team.id, alpha.id);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const futures = require('../lib/futures');
+const { startSession } = require('./helpers');
+
+const contract = { id: 'GOLD-F2', underlying: 'GOLD', lotSize: 10, initialMargin: 0.1 };
+
+test('adding to a position averages its mark and closing part of it realises the move', () => {
+  const opened = futures.applyTrade(null, contract, 2, 100).position;
+  const added = futures.applyTrade(opened, contract, 2, 110).position;
+  assert.equal(added.quantity, 4);
+  assert.equal(added.markPrice, 105);
+
+  const { position, realised } = futures.applyTrade(added, contract, -1, 115);
+  assert.equal(position.quantity, 3);
+  assert.equal(realised, 100);
+});
+
+test('flipping sides starts the mark afresh', () => {
+  const long = futures.applyTrade(null, contract, 1, 100).position;
+  const { position, realised } = futures.applyTrade(long, contract, -3, 90);
+  assert.equal(position.quantity, -2);
+  assert.equal(position.markPrice, 90);
+  assert.equal(realised, -100);
+});
+
+test('variation and initial margin scale with the lot size', () => {
+  const position = { quantity: -2, lotSize: 10, markPrice: 100 };
+  assert.equal(futures.getVariation(position, 104), -80);
+  assert.equal(futures.getRequiredMargin(contract, -2, 100), 200);
+});
+
+async function openGoldFuture(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const team = await game.team(admin, 'Alpha');
+  await admin.call('list_future', { underlying: 'GOLD', expiryRound: 2, initialMargin: 0.1 });
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 2 });
+  await admin.call('toggle_market_trading');
+  const result = await team.socket.call('trade_future', { contractId: 'GOLD-F2', side: 'buy', quantity: 1 });
+  assert.equal(result.success, true);
+  return { game, admin, team };
+}
+
+test('a round end marks open positions to market and pays the variation', async (t) => {
+  const { game, admin, team } = await openGoldFuture(t);
+  const mark = team.state.futures['GOLD-F2'].markPrice;
+  const cash = team.state.cash;
+
+  await admin.call('update_stock_price', { symbol: 'GOLD', price: mark + 1000 });
+  await admin.call('skip_round');
+
+  assert.equal(game.state.gameConfig.currentRound, 2);
+  assert.equal(team.state.cash, cash + 1000);
+  assert.equal(team.state.futures['GOLD-F2'].markPrice, mark + 1000);
+  assert.equal(team.state.marginBlocked['future:GOLD-F2'], futures.getRequiredMargin(game.state.futures.contracts['GOLD-F2'], 1, mark + 1000));
+  const entry = team.state.trades.find(trade => trade.action === 'variation_margin');
+  assert.equal(entry.price, 1000);
+});
+
+test('the expiry round settles the contract and releases its margin', async (t) => {
+  const { game, admin, team } = await openGoldFuture(t);
+  const mark = team.state.futures['GOLD-F2'].markPrice;
+  const cash = team.state.cash;
+
+  await admin.call('update_stock_price', { symbol: 'GOLD', price: mark - 500 });
+  await admin.call('skip_round');
+  await admin.call('update_stock_price', { symbol: 'GOLD', price: mark + 2000 });
+  await admin.call('skip_round');
+
+  assert.equal(game.state.gameConfig.phase, 'ended');
+  assert.equal(team.state.cash, cash - 500 + 2500);
+  assert.deepEqual(team.state.futures, {});
+  assert.equal(team.state.marginBlocked['future:GOLD-F2'], undefined);
+  const settled = game.state.futures.contracts['GOLD-F2'];
+  assert.equal(settled.status, 'expired');
+  assert.equal(settled.settlementPrice, mark + 2000);
+  assert.equal(team.state.trades.find(trade => trade.action === 'future_settlement').price, 2500);
+});
+
+test('forcing shorts closed keeps the futures margin blocked', async (t) => {
+  const { admin, team } = await openGoldFuture(t);
+  const blocked = team.state.marginBlocked['future:GOLD-F2'];
+  await team.socket.call('execute_trade', { action: 'short_sell', symbol: 'ITC', quantity: 10 });
+  assert.ok(team.state.marginBlocked.ITC > 0);
+
+  await admin.call('toggle_short_freeze');
+
+  assert.deepEqual(team.state.shortHoldings, {});
+  assert.deepEqual(team.state.marginBlocked, { 'future:GOLD-F2': blocked });
+});
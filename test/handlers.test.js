@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AREAS = ['teams', 'admin', 'instruments', 'scenario', 'trading', 'chat', 'persistence'];
+
+test('every socket event is handled in exactly one area', () => {
+  const owners = {};
+  AREAS.forEach(area => {
+    const socket = { id: 'socket-1', data: {}, emit() {} };
+    require(`../lib/handlers/${area}`).register({}, socket, event => {
+      assert.equal(owners[event], undefined, `${event} is handled by both ${owners[event]} and ${area}`);
+      owners[event] = area;
+    });
+  });
+
+  assert.equal(owners.team_resume, 'teams');
+  assert.equal(owners.start_phase, 'admin');
+  assert.equal(owners.declare_corporate_action, 'instruments');
+  assert.equal(owners.load_scenario, 'scenario');
+  assert.equal(owners.respond_trade_request, 'trading');
+  assert.equal(owners.mute_team, 'chat');
+  assert.equal(owners.replay_seek, 'persistence');
+});
@@ -0,0 +1,118 @@
+// Runs a session in memory for the behaviour tests. Broadcasts go to a stub socket.io server
+// and every client is a stub socket whose handlers are called directly, so no port is opened.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const persistence = require('../lib/persistence');
+const { createSession } = require('../lib/session');
+const { hashPassword, createTokenStore } = require('../lib/auth');
+
+const ADMIN_PASSWORD = 'test-admin';
+
+function createIo() {
+  const sockets = new Map();
+  const sent = [];
+
+  // Records each broadcast with the rooms it was addressed to
+  function broadcast(targets, excluded) {
+    return {
+      to: (...more) => broadcast([...targets, ...more], excluded),
+      except: (...more) => broadcast(targets, [...excluded, ...more]),
+      emit: (event, payload) => sent.push({ targets, excluded, event, payload })
+    };
+  }
+
+  return {
+    sent,
+    sockets,
+    to: (...targets) => broadcast(targets, []),
+    of: () => ({ sockets })
+  };
+}
+
+function createSocket(session, io) {
+  const handlers = {};
+  const socket = {
+    id: `socket-${io.sockets.size + 1}`,
+    data: {},
+    received: [],
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    emit: (event, payload) => socket.received.push({ event, payload }),
+    join() {},
+    leave() {},
+    // Calls a handler the way a client's emit with an acknowledgement would
+    call: (event, ...args) => new Promise(resolve => handlers[event](...args, resolve)),
+    // ... and without one
+    send: (event, ...args) => handlers[event](...args)
+  };
+  io.sockets.set(socket.id, socket);
+  session.registerSocket(socket);
+  return socket;
+}
+
+// A fresh session with the default instruments, or seeded with `initialState` as an imported
+// archive would be; stopped and removed when the test ends
+function startSession(t, initialState = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-stock-test-'));
+  const io = createIo();
+
+  function open(seed) {
+    const session = createSession({
+      id: 'test',
+      name: 'Test',
+      io,
+      store: persistence.createStore(dir),
+      adminPasswordHash: hashPassword(ADMIN_PASSWORD),
+      isSuperAdminPassword: () => false,
+      isJoinCodeTaken: () => false,
+      apiTokens: createTokenStore()
+    });
+    session.open(seed);
+    return session;
+  }
+
+  let session = open(initialState);
+
+  t.after(async () => {
+    // Lets a pending margin check run before the log is closed
+    await new Promise(resolve => setImmediate(resolve));
+    session.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return {
+    io,
+    get session() {
+      return session;
+    },
+    get state() {
+      return session.gameState;
+    },
+    // Stops the session and opens it again from what it saved, as a server restart would
+    async restart() {
+      await new Promise(resolve => setImmediate(resolve));
+      session.stop();
+      session = open();
+    },
+    connect: () => createSocket(session, io),
+    async admin() {
+      const socket = createSocket(session, io);
+      await socket.call('admin_login', ADMIN_PASSWORD);
+      return socket;
+    },
+    // Creates a team and returns it with a socket joined to it
+    async team(admin, name, startingBalance = 1000000) {
+      const { team } = await admin.call('create_team', { name, startingBalance });
+      const socket = createSocket(session, io);
+      await socket.call('team_join', team.joinCode);
+      return { id: team.id, socket, get state() { return session.gameState.teams[team.id]; } };
+    }
+  };
+}
+
+module.exports = {
+  ADMIN_PASSWORD,
+  startSession
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const margin = require('../lib/margin');
+
+const stocks = { ITC: { symbol: 'ITC', price: 400 }, ONGC: { symbol: 'ONGC', price: 255 } };
+
+function shortTeam(cash, shortHoldings, marginBlocked = {}) {
+  return { cash, holdings: {}, shortHoldings, marginBlocked };
+}
+
+test('short proceeds and margin are blocked, and covering releases them pro rata', () => {
+  const team = shortTeam(100000, { ITC: 100 });
+  margin.blockForShort(team, 'ITC', 40000 * 1.5);
+  assert.equal(margin.getAvailableCash(team), 40000);
+
+  assert.equal(margin.releaseForCover(team, 'ITC', 25), 15000);
+  assert.equal(team.marginBlocked.ITC, 45000);
+  team.shortHoldings.ITC = 75;
+  assert.equal(margin.getCoverRelease(team, 'ITC', 75), 45000);
+  margin.releaseForCover(team, 'ITC', 75);
+  assert.deepEqual(team.marginBlocked, {});
+});
+
+test('a team is in breach when its equity is below the maintenance margin on its shorts', () => {
+  const config = margin.createMarginConfig();
+  const team = shortTeam(0, { ITC: 100 });
+
+  const status = margin.getMarginStatus(team, stocks, config, 10000);
+  assert.equal(status.shortValue, 40000);
+  assert.equal(status.requirement, 12000);
+  assert.equal(status.breached, true);
+  assert.equal(margin.getMarginStatus(team, stocks, config, 12000).breached, false);
+
+  config.symbols.ITC = { maintenanceMargin: 0.2 };
+  assert.equal(margin.getMarginStatus(team, stocks, config, 10000).breached, false);
+  assert.equal(margin.getMarginStatus(shortTeam(0, {}), stocks, config, -5).breached, false);
+});
+
+test('liquidation covers the largest short first, only as far as the deficit needs', () => {
+  const config = margin.createMarginConfig();
+  const team = shortTeam(0, { ITC: 100, ONGC: 50 });
+  const status = margin.getMarginStatus(team, stocks, config, 14000);
+  assert.equal(status.requirement, 15825);
+
+  assert.deepEqual(margin.planLiquidation(team, stocks, config, status), [{ symbol: 'ITC', quantity: 16, price: 400 }]);
+});
+
+test('a team with no equity left has every short covered', () => {
+  const config = margin.createMarginConfig();
+  const team = shortTeam(0, { ITC: 100, ONGC: 50 });
+  const status = margin.getMarginStatus(team, stocks, config, 0);
+
+  assert.deepEqual(margin.planLiquidation(team, stocks, config, status), [
+    { symbol: 'ITC', quantity: 100, price: 400 },
+    { symbol: 'ONGC', quantity: 50, price: 255 }
+  ]);
+});
+
+test('margin settings are checked before any of them apply', () => {
+  const config = margin.createMarginConfig();
+  assert.throws(() => margin.configure(config, { defaults: { maintenanceMargin: 0.6 } }, ['ITC']), /cannot be above initialMargin/);
+  assert.throws(() => margin.configure(config, { symbols: { XYZ: { initialMargin: 1 } } }, ['ITC']), /Unknown symbol/);
+  assert.throws(() => margin.configure(config, { defaults: { initialMargin: -1 } }, ['ITC']), /between 0 and 5/);
+  assert.equal(config.defaults.maintenanceMargin, 0.3);
+
+  margin.configure(config, { symbols: { ITC: { initialMargin: 1, maintenanceMargin: 0.5 } }, graceSeconds: 10 }, ['ITC']);
+  assert.deepEqual(margin.resolveMargin(config, 'ITC'), { initialMargin: 1, maintenanceMargin: 0.5, borrowFeeRate: 0 });
+  assert.equal(config.graceSeconds, 10);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const negotiation = require('../lib/negotiation');
+const { startSession } = require('./helpers');
+
+test('a basket nets its legs into the cash the offering team pays', () => {
+  const legs = [
+    { action: 'sell', symbol: 'ITC', quantity: 10, price: 415 },
+    { action: 'buy', symbol: 'LNT', quantity: 2, price: 3900 }
+  ];
+  assert.equal(negotiation.netCash(legs), 3650);
+  assert.equal(negotiation.netCash(legs, 5000), 8650);
+  assert.equal(negotiation.grossValue(legs, -5000), 16950);
+  assert.equal(negotiation.findDuplicateSymbol([...legs, { action: 'buy', symbol: 'ITC', quantity: 1, price: 415 }]), 'ITC');
+  assert.deepEqual(negotiation.sidesOf({ fromTeamId: 'a', toTeamId: 'b' }, legs[0]), { buyerId: 'b', sellerId: 'a' });
+  assert.deepEqual(negotiation.readLegs({ action: 'buy', symbol: 'ITC', quantity: 1, price: 415 }), [
+    { action: 'buy', symbol: 'ITC', quantity: 1, price: 415 }
+  ]);
+});
+
+test('a request saved with a single leg is read back as a basket of one', () => {
+  const request = negotiation.migrateRequest({ id: 'r1', action: 'sell', symbol: 'ITC', stockName: 'ITC', quantity: 5, price: 400 });
+  assert.deepEqual(request.legs, [{ action: 'sell', symbol: 'ITC', stockName: 'ITC', quantity: 5, price: 400 }]);
+  assert.equal(request.netCash, -2000);
+  assert.deepEqual(request.history, []);
+});
+
+// Alpha holds 10 ITC and Beta 2 LNT, with fees switched off so cash moves by the leg values
+async function tradingPair(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  await admin.call('cost_schedule_configure', { brokerage: { flat: 0, percent: 0 }, taxes: { equity: { buy: 0, sell: 0 } } });
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 10 });
+  await beta.socket.call('execute_trade', { action: 'buy', symbol: 'LNT', quantity: 2 });
+  return { game, admin, alpha, beta };
+}
+
+const basket = [
+  { action: 'sell', symbol: 'ITC', quantity: 10, price: 415 },
+  { action: 'buy', symbol: 'LNT', quantity: 2, price: 3900 }
+];
+
+test('accepting a basket settles every leg at once', async (t) => {
+  const { alpha, beta } = await tradingPair(t);
+  const alphaCash = alpha.state.cash;
+  const betaCash = beta.state.cash;
+
+  const { request } = await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket });
+  assert.equal(request.netCash, 3650);
+  const result = await beta.socket.call('respond_trade_request', { requestId: request.id, accept: true });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(alpha.state.holdings, { LNT: 2 });
+  assert.deepEqual(beta.state.holdings, { ITC: 10 });
+  assert.equal(alpha.state.cash, alphaCash - 3650);
+  assert.equal(beta.state.cash, betaCash + 3650);
+  assert.deepEqual(alpha.state.trades.slice(-2).map(trade => trade.note), ['Basket leg 1 of 2', 'Basket leg 2 of 2']);
+});
+
+test('a counter-offer turns the request round and keeps the earlier offer', async (t) => {
+  const { game, alpha, beta } = await tradingPair(t);
+  const { request } = await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket });
+
+  assert.equal((await alpha.socket.call('counter_trade_request', { requestId: request.id, legs: basket })).code, 'NOT_AUTHORISED');
+  const countered = await beta.socket.call('counter_trade_request', {
+    requestId: request.id,
+    legs: [{ action: 'sell', symbol: 'LNT', quantity: 2, price: 3950 }, { action: 'buy', symbol: 'ITC', quantity: 10, price: 410 }]
+  });
+
+  assert.equal(countered.success, true);
+  const live = game.state.tradeRequests[request.id];
+  assert.equal(live.fromTeamId, beta.id);
+  assert.equal(live.counters, 1);
+  assert.deepEqual(live.history.map(offer => [offer.fromTeamId, offer.netCash]), [[alpha.id, 3650]]);
+  assert.equal(live.cash, 0);
+
+  await alpha.socket.call('respond_trade_request', { requestId: request.id, accept: true });
+  assert.deepEqual(alpha.state.holdings, { LNT: 2 });
+  assert.equal(beta.state.trades.find(trade => trade.symbol === 'ITC' && trade.counterparty === 'Alpha').price, 410);
+});
+
+test('a cash leg moves on top of the legs and is recorded for both teams', async (t) => {
+  const { alpha, beta } = await tradingPair(t);
+  const alphaCash = alpha.state.cash;
+  const betaCash = beta.state.cash;
+
+  const { request } = await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket, cash: 5000 });
+  assert.equal(request.netCash, 8650);
+  assert.equal((await beta.socket.call('respond_trade_request', { requestId: request.id, accept: true })).success, true);
+
+  assert.deepEqual(alpha.state.holdings, { LNT: 2 });
+  assert.equal(alpha.state.cash, alphaCash - 8650);
+  assert.equal(beta.state.cash, betaCash + 8650);
+  assert.deepEqual(alpha.state.trades.filter(trade => trade.action === 'p2p_cash').map(trade => [trade.price, trade.counterparty]), [[-5000, 'Beta']]);
+  assert.deepEqual(beta.state.trades.filter(trade => trade.action === 'p2p_cash').map(trade => [trade.price, trade.counterparty]), [[5000, 'Alpha']]);
+});
+
+test('a cash leg the offering team cannot pay is refused at settlement', async (t) => {
+  const { alpha, beta } = await tradingPair(t);
+  const { request } = await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket, cash: alpha.state.cash });
+
+  const result = await beta.socket.call('respond_trade_request', { requestId: request.id, accept: true });
+  assert.equal(result.code, 'INSUFFICIENT_FUNDS');
+  assert.match(result.error, /^Alpha/);
+});
+
+test('a basket that cannot settle in full moves nothing and stays open', async (t) => {
+  const { game, alpha, beta } = await tradingPair(t);
+  const { request } = await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket });
+  await alpha.socket.call('execute_trade', { action: 'sell', symbol: 'ITC', quantity: 5 });
+  const before = JSON.parse(JSON.stringify([alpha.state, beta.state]));
+
+  const result = await beta.socket.call('respond_trade_request', { requestId: request.id, accept: true });
+
+  assert.equal(result.code, 'INSUFFICIENT_HOLDINGS');
+  assert.match(result.error, /^ITC: Alpha/);
+  assert.deepEqual(JSON.parse(JSON.stringify([alpha.state, beta.state])), before);
+  const failed = game.io.sent.find(({ event }) => event === 'trade_request_failed');
+  assert.deepEqual(failed.payload, { requestId: request.id, error: result.error });
+  assert.ok(game.state.tradeRequests[request.id]);
+
+  // Once Alpha holds the shares again the same request goes through
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+  assert.equal((await beta.socket.call('respond_trade_request', { requestId: request.id, accept: true })).success, true);
+  assert.equal(game.state.tradeRequests[request.id], undefined);
+  assert.deepEqual(beta.state.holdings, { ITC: 10 });
+});
+
+test('offers are checked leg by leg when they are made', async (t) => {
+  const { alpha, beta } = await tradingPair(t);
+  const send = legs => alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs });
+
+  assert.equal((await send([...basket, { action: 'buy', symbol: 'ITC', quantity: 1, price: 415 }])).code, 'INVALID_PAYLOAD');
+  assert.equal((await send([{ action: 'sell', symbol: 'ITC', quantity: 1, price: 1000 }])).code, 'CIRCUIT_LIMIT');
+  assert.equal((await send([{ action: 'sell', symbol: 'XYZ', quantity: 1, price: 10 }])).code, 'UNKNOWN_SYMBOL');
+  assert.equal((await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket, expiresIn: 2 })).code, 'INVALID_AMOUNT');
+  assert.equal((await alpha.socket.call('send_trade_request', { toTeamId: beta.id, legs: basket, cash: '5000' })).code, 'INVALID_AMOUNT');
+});
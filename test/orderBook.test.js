@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderBook = require('../lib/orderBook');
+const { startSession } = require('./helpers');
+
+let nextId = 1;
+
+function order(teamId, side, price, quantity, type = 'limit') {
+  return { id: `o${nextId++}`, teamId, symbol: 'ITC', side, type, price, quantity, remaining: quantity };
+}
+
+function bookWith(...orders) {
+  const book = orderBook.createBook('ITC');
+  orders.forEach(resting => orderBook.insertOrder(book, resting));
+  return book;
+}
+
+// Settles every fill in full
+const fillAll = { settle: (resting, incoming, quantity) => ({ filled: quantity }) };
+
+test('the best price fills first, and orders at one price fill in arrival order', () => {
+  const first = order('a', 'sell', 420, 5);
+  const second = order('b', 'sell', 420, 5);
+  const best = order('c', 'sell', 415, 5);
+  const book = bookWith(first, second, best);
+  assert.deepEqual(book.asks.map(ask => ask.id), [best.id, first.id, second.id]);
+
+  const { fills } = orderBook.matchOrder(book, order('d', 'buy', 420, 8), fillAll);
+
+  assert.deepEqual(fills.map(fill => [fill.resting.id, fill.quantity, fill.price]), [
+    [best.id, 5, 415],
+    [first.id, 3, 420]
+  ]);
+  assert.deepEqual(book.asks.map(ask => [ask.id, ask.remaining]), [[first.id, 2], [second.id, 5]]);
+});
+
+test('a limit order stops at its price and keeps the rest to rest on the book', () => {
+  const book = bookWith(order('a', 'sell', 415, 5), order('b', 'sell', 425, 5));
+  const incoming = order('c', 'buy', 420, 8);
+
+  const { fills } = orderBook.matchOrder(book, incoming, fillAll);
+
+  assert.equal(fills.length, 1);
+  assert.equal(incoming.remaining, 3);
+  assert.equal(book.asks[0].price, 425);
+});
+
+test('a market order sweeps every level it needs', () => {
+  const book = bookWith(order('a', 'buy', 415, 5), order('b', 'buy', 405, 5));
+  const incoming = order('c', 'sell', null, 8, 'market');
+
+  const { fills } = orderBook.matchOrder(book, incoming, fillAll);
+
+  assert.deepEqual(fills.map(fill => fill.price), [415, 405]);
+  assert.equal(incoming.remaining, 0);
+  assert.equal(book.bids[0].remaining, 2);
+});
+
+test('the sweep stops at prices the circuit band does not allow', () => {
+  const book = bookWith(order('a', 'sell', 415, 5), order('b', 'sell', 450, 5));
+  const incoming = order('c', 'buy', null, 10, 'market');
+
+  orderBook.matchOrder(book, incoming, { ...fillAll, priceAllowed: price => price < 440 });
+
+  assert.equal(incoming.remaining, 5);
+  assert.equal(book.asks.length, 1);
+});
+
+test('a resting order that cannot settle is taken off the book', () => {
+  const broke = order('a', 'buy', 420, 5);
+  const book = bookWith(broke, order('b', 'buy', 415, 5));
+
+  const { fills, cancelled } = orderBook.matchOrder(book, order('c', 'sell', 410, 5), {
+    settle: resting => (resting === broke ? { filled: 2, cancelResting: true } : { filled: 3 })
+  });
+
+  assert.deepEqual(fills.map(fill => fill.quantity), [2, 3]);
+  assert.deepEqual(cancelled, [broke]);
+  assert.deepEqual(book.bids.map(bid => bid.remaining), [2]);
+});
+
+test('orders are found and cancelled by id, and depth is summed per price level', () => {
+  const kept = order('a', 'buy', 410, 5);
+  const gone = order('b', 'buy', 410, 3);
+  const book = bookWith(kept, gone, order('c', 'sell', 420, 4));
+
+  assert.equal(orderBook.findOrder(book, gone.id), gone);
+  assert.equal(orderBook.removeOrder(book, gone.id), gone);
+  assert.equal(orderBook.findOrder(book, gone.id), null);
+  assert.equal(orderBook.removeOrder(book, gone.id), null);
+  assert.deepEqual(orderBook.getDepth(bookWith(kept, order('d', 'buy', 410, 2), order('e', 'buy', 400, 1))).bids, [
+    { price: 410, quantity: 7, orders: 2 },
+    { price: 400, quantity: 1, orders: 1 }
+  ]);
+});
+
+test('a team\'s own crossing order is found, and a market order only looks as far as it sweeps', () => {
+  const own = order('a', 'sell', 420, 5);
+  const book = bookWith(order('b', 'sell', 418, 5), own);
+
+  assert.equal(orderBook.findSelfMatch(book, order('a', 'buy', 425, 1)), own);
+  assert.equal(orderBook.findSelfMatch(book, order('a', 'buy', 419, 10)), null);
+  assert.equal(orderBook.findSelfMatch(book, order('a', 'buy', null, 5, 'market')), null);
+  assert.equal(orderBook.findSelfMatch(book, order('a', 'buy', null, 6, 'market')), own);
+  assert.equal(orderBook.findSelfMatch(book, order('a', 'buy', null, 6, 'market'), price => price < 420), null);
+  assert.equal(orderBook.findSelfMatch(book, order('c', 'buy', 425, 10)), null);
+});
+
+// Alpha and Beta hold 20 ITC each, Gamma only cash; fees are off so cash moves by the fill values
+async function exchange(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  const gamma = await game.team(admin, 'Gamma');
+  await admin.call('cost_schedule_configure', { brokerage: { flat: 0, percent: 0 }, taxes: { equity: { buy: 0, sell: 0 } } });
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  await admin.call('toggle_exchange_mode');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 20 });
+  await beta.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 20 });
+  const place = (team, side, quantity, price) => team.socket.call('place_order', {
+    symbol: 'ITC', side, quantity, type: price ? 'limit' : 'market', ...(price ? { price } : {})
+  });
+  const asks = () => game.state.orderBooks.ITC.asks.map(ask => [ask.teamId, ask.price, ask.remaining]);
+  return { game, alpha, beta, gamma, place, asks };
+}
+
+test('orders placed over the socket fill by price, then time, and a limit remainder rests', async (t) => {
+  const { game, alpha, beta, gamma, place, asks } = await exchange(t);
+  await place(alpha, 'sell', 5, 420);
+  await place(beta, 'sell', 5, 420);
+  await place(beta, 'sell', 5, 418);
+  const cash = gamma.state.cash;
+
+  const result = await place(gamma, 'buy', 12, 420);
+
+  assert.deepEqual(result.fills, [{ quantity: 5, price: 418 }, { quantity: 5, price: 420 }, { quantity: 2, price: 420 }]);
+  assert.deepEqual(asks(), [[beta.id, 420, 3]]);
+  assert.equal(gamma.state.holdings.ITC, 12);
+  assert.equal(gamma.state.cash, cash - 5 * 418 - 7 * 420);
+  assert.equal(alpha.state.trades.at(-1).counterparty, 'Gamma');
+
+  const resting = await place(gamma, 'buy', 4, 419);
+  assert.deepEqual(resting.fills, []);
+  assert.deepEqual(game.state.orderBooks.ITC.bids.map(bid => [bid.teamId, bid.remaining]), [[gamma.id, 4]]);
+});
+
+test('a market order sweeps what it can and is refused when nothing matches', async (t) => {
+  const { alpha, beta, gamma, place, asks } = await exchange(t);
+  assert.equal((await place(gamma, 'buy', 5)).code, 'NO_LIQUIDITY');
+
+  await place(alpha, 'sell', 3, 418);
+  await place(beta, 'sell', 3, 425);
+  const result = await place(gamma, 'buy', 5);
+
+  assert.deepEqual(result.fills, [{ quantity: 3, price: 418 }, { quantity: 2, price: 425 }]);
+  assert.deepEqual(asks(), [[beta.id, 425, 1]]);
+});
+
+test('a smaller quantity keeps an order\'s place, a new price re-queues it, and only its team can cancel it', async (t) => {
+  const { alpha, beta, place, asks } = await exchange(t);
+  const { order: first } = await place(alpha, 'sell', 5, 430);
+  const { order: second } = await place(beta, 'sell', 5, 430);
+
+  await alpha.socket.call('modify_order', { orderId: first.id, quantity: 3 });
+  assert.deepEqual(asks(), [[alpha.id, 430, 3], [beta.id, 430, 5]]);
+  await alpha.socket.call('modify_order', { orderId: first.id, quantity: 4 });
+  assert.deepEqual(asks(), [[beta.id, 430, 5], [alpha.id, 430, 4]]);
+  await alpha.socket.call('modify_order', { orderId: first.id, price: 425 });
+  assert.deepEqual(asks(), [[alpha.id, 425, 4], [beta.id, 430, 5]]);
+
+  assert.equal((await alpha.socket.call('cancel_order', { orderId: second.id })).code, 'NOT_FOUND');
+  assert.equal((await beta.socket.call('cancel_order', { orderId: second.id })).success, true);
+  assert.deepEqual(asks(), [[alpha.id, 425, 4]]);
+});
+
+test('an order that would fill against the team\'s own resting order is refused and leaves it alone', async (t) => {
+  const { game, alpha, beta, place, asks } = await exchange(t);
+  await place(beta, 'sell', 5, 418);
+  await place(alpha, 'sell', 5, 420);
+
+  const refused = await place(alpha, 'buy', 5, 425);
+  assert.equal(refused.code, 'SELF_TRADE');
+  assert.match(refused.error, /own sell order at 420/);
+  assert.deepEqual(asks(), [[beta.id, 418, 5], [alpha.id, 420, 5]]);
+  assert.equal((await place(alpha, 'buy', 6)).code, 'SELF_TRADE');
+  assert.ok(!game.io.sent.some(({ event, payload }) => event === 'notification' && /insufficient/.test(payload.message)));
+
+  const { order: bid } = await place(alpha, 'buy', 2, 410);
+  assert.equal((await alpha.socket.call('modify_order', { orderId: bid.id, price: 421 })).code, 'SELF_TRADE');
+  assert.deepEqual((await place(alpha, 'buy', 5)).fills, [{ quantity: 5, price: 418 }]);
+  assert.deepEqual(asks(), [[alpha.id, 420, 5]]);
+});
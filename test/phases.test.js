@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const phases = require('../lib/phases');
+const { startSession } = require('./helpers');
+
+test('the clock runs rounds, then breaks between them, then ends', () => {
+  const config = { phase: 'trading', currentRound: 1, totalRounds: 2, tradingRoundTime: 300, breakTime: 60 };
+  assert.deepEqual(phases.nextPhase(config), { phase: 'break', duration: 60 });
+  assert.deepEqual(phases.nextPhase({ ...config, phase: 'break' }), { phase: 'trading', duration: 300, round: 2 });
+  assert.deepEqual(phases.nextPhase({ ...config, currentRound: 2 }), { phase: 'ended', duration: 0 });
+  assert.deepEqual(phases.nextPhase({ ...config, phase: 'portfolio_allocation' }), { phase: 'waiting', duration: 0 });
+});
+
+test('agendas must follow the phase state machine', () => {
+  const steps = [
+    { phase: 'portfolio_allocation', duration: 120 },
+    { phase: 'trading', duration: 300 },
+    { phase: 'break', duration: 60 },
+    { phase: 'trading', duration: 300 },
+    { phase: 'results', duration: 60 }
+  ];
+  assert.equal(phases.validateAgenda(steps), null);
+  assert.equal(phases.agendaRounds(steps), 2);
+  assert.deepEqual(phases.nextAgendaStep({ steps, index: 2 }), { phase: 'trading', duration: 300, index: 3, round: 2 });
+  assert.match(phases.validateAgenda([{ phase: 'break', duration: 60 }]), /cannot follow waiting/);
+  assert.match(phases.validateAgenda([{ phase: 'trading', duration: 0 }]), /duration/);
+});
+
+async function tradingGame(t, options = {}) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 2, ...options });
+  return { game, admin, alpha, beta };
+}
+
+test('a paused game refuses trades, orders and order changes until it resumes', async (t) => {
+  const { game, admin, alpha } = await tradingGame(t);
+  await admin.call('toggle_market_trading');
+  await admin.call('toggle_exchange_mode');
+  const { order } = await alpha.socket.call('place_order', { symbol: 'ITC', side: 'buy', type: 'limit', price: 400, quantity: 5 });
+
+  await admin.call('pause_game', { reason: 'Lunch' });
+
+  assert.equal(game.state.gameConfig.pausedReason, 'Lunch');
+  assert.equal((await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 1 })).code, 'GAME_PAUSED');
+  assert.equal((await alpha.socket.call('place_order', { symbol: 'ITC', side: 'buy', type: 'limit', price: 400, quantity: 5 })).code, 'GAME_PAUSED');
+  assert.equal((await alpha.socket.call('modify_order', { orderId: order.id, price: 410 })).code, 'GAME_PAUSED');
+
+  await admin.call('resume_game');
+
+  assert.equal((await alpha.socket.call('modify_order', { orderId: order.id, price: 410 })).success, true);
+});
+
+test('order changes are refused outside a trading round', async (t) => {
+  const { admin, alpha } = await tradingGame(t, { breakTime: 30 });
+  await admin.call('toggle_exchange_mode');
+  const { order } = await alpha.socket.call('place_order', { symbol: 'ITC', side: 'buy', type: 'limit', price: 400, quantity: 5 });
+
+  await admin.call('skip_round');
+
+  assert.equal((await alpha.socket.call('modify_order', { orderId: order.id, price: 410 })).code, 'EXCHANGE_CLOSED');
+});
+
+test('offer expiries stop while the game is paused and move back by the pause', async (t) => {
+  const { game, admin, alpha, beta } = await tradingGame(t);
+  const { request } = await alpha.socket.call('send_trade_request', {
+    toTeamId: beta.id,
+    legs: [{ action: 'buy', symbol: 'ITC', quantity: 1, price: 415 }],
+    expiresIn: 30
+  });
+  const expiresAt = request.expiresAt;
+
+  await admin.call('pause_game', {});
+  assert.ok(game.state.gameConfig.deadlinesStoppedAt);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await admin.call('resume_game');
+
+  assert.equal(game.state.gameConfig.deadlinesStoppedAt, null);
+  assert.ok(game.state.tradeRequests[request.id].expiresAt >= expiresAt + 50);
+});
+
+test('a break stops deadlines until the next round starts', async (t) => {
+  const { game, admin } = await tradingGame(t, { breakTime: 30 });
+
+  await admin.call('skip_round');
+  assert.equal(game.state.gameConfig.phase, 'break');
+  assert.ok(game.state.gameConfig.deadlinesStoppedAt);
+
+  await admin.call('skip_round');
+  assert.equal(game.state.gameConfig.phase, 'trading');
+  assert.equal(game.state.gameConfig.deadlinesStoppedAt, null);
+});
+
+test('starting trading without a round count keeps the configured one', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+
+  await admin.call('start_phase', { phase: 'trading', duration: 60 });
+
+  assert.equal(game.state.gameConfig.totalRounds, 0);
+  await admin.call('skip_round');
+  assert.equal(game.state.gameConfig.phase, 'ended');
+});
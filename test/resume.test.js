@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenStore } = require('../lib/auth');
+const { startSession } = require('./helpers');
+
+test('a token stops working once it expires and is dropped from the store', () => {
+  let saved = null;
+  const expired = createTokenStore({ ttl: -1, save: tokens => { saved = tokens; } });
+  const token = expired.issue({ teamId: 'a' });
+
+  assert.equal(expired.verify(token), null);
+  assert.deepEqual(saved, {});
+});
+
+test('tokens saved by one store are loaded by the next', () => {
+  let saved = null;
+  const first = createTokenStore({ save: tokens => { saved = tokens; } });
+  const token = first.issue({ teamId: 'a', memberId: null });
+  const kept = first.issue({ teamId: 'b' });
+  first.revoke(token);
+
+  const second = createTokenStore({ load: () => saved });
+  assert.equal(second.verify(token), null);
+  assert.equal(second.verify(kept).teamId, 'b');
+  assert.equal(second.verify('not-a-token'), null);
+});
+
+async function joinedTeam(t) {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const { resumeToken, seq } = await alpha.socket.call('team_join', alpha.state.joinCode);
+  return { game, admin, alpha, resumeToken, seq };
+}
+
+test('a resumed socket rejoins its team and gets the trades it missed', async (t) => {
+  const { game, admin, alpha, resumeToken, seq } = await joinedTeam(t);
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 });
+
+  const reloaded = game.connect();
+  const resumed = await reloaded.call('team_resume', { token: resumeToken, since: seq });
+
+  assert.equal(resumed.success, true);
+  assert.equal(resumed.team.id, alpha.id);
+  assert.equal(resumed.team.joinCode, undefined);
+  assert.equal(resumed.resumeToken, resumeToken);
+  assert.deepEqual(resumed.missed.trades.map(trade => [trade.symbol, trade.quantity]), [['ITC', 5]]);
+  assert.equal(reloaded.data.teamId, alpha.id);
+
+  // The same token can be used again, from another tab or after the next reload
+  const again = await game.connect().call('team_resume', { token: resumeToken });
+  assert.equal(again.success, true);
+  assert.deepEqual(again.missed.trades, []);
+});
+
+test('resume tokens outlive a restart but not an unknown or forged token', async (t) => {
+  const { game, alpha, resumeToken } = await joinedTeam(t);
+  await game.restart();
+
+  assert.equal((await game.connect().call('team_resume', { token: resumeToken })).team.id, alpha.id);
+  assert.equal((await game.connect().call('team_resume', { token: 'forged' })).code, 'INVALID_CREDENTIALS');
+});
+
+test('a guest token is revoked once the team has members', async (t) => {
+  const { game, resumeToken, alpha } = await joinedTeam(t);
+  const captain = game.connect();
+  assert.equal((await captain.call('member_join', { joinCode: alpha.state.joinCode, name: 'Asha', pin: '1234' })).success, true);
+
+  assert.equal((await game.connect().call('team_resume', { token: resumeToken })).code, 'MEMBER_REQUIRED');
+  assert.equal((await game.connect().call('team_resume', { token: resumeToken })).code, 'INVALID_CREDENTIALS');
+});
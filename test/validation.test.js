@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rejection, rules, validate, validated } = require('../lib/validation');
+const { adminOnly, teamOnly } = require('../lib/auth');
+
+function stubSocket(data = {}) {
+  const socket = { data, emitted: [], emit: (event, payload) => socket.emitted.push({ event, payload }) };
+  return socket;
+}
+
+test('rules return the error code for a bad value and null for a good one', () => {
+  assert.equal(rules.positiveInt()(3), null);
+  assert.equal(rules.positiveInt()(2.5), 'INVALID_QUANTITY');
+  assert.equal(rules.positiveInt()(0), 'INVALID_QUANTITY');
+  assert.equal(rules.positiveNumber()(Infinity), 'INVALID_PRICE');
+  assert.equal(rules.positiveNumber()('415'), 'INVALID_PRICE');
+  assert.equal(rules.nonZeroNumber()(-5), null);
+  assert.equal(rules.text(5)('   '), 'INVALID_TEXT');
+  assert.equal(rules.text(5)('toolong'), 'INVALID_TEXT');
+  assert.equal(rules.oneOf(['buy', 'sell'])('hold'), 'UNKNOWN_ACTION');
+  assert.equal(rules.id('UNKNOWN_SYMBOL')(''), 'UNKNOWN_SYMBOL');
+  assert.equal(rules.optional(rules.positiveInt())(undefined), null);
+  assert.equal(rules.optional(rules.positiveInt())(-1), 'INVALID_QUANTITY');
+});
+
+test('a payload is rejected with the code of its first bad field', () => {
+  assert.equal(validate('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 5 }), null);
+  assert.deepEqual(validate('execute_trade', { action: 'buy', symbol: 'ITC', quantity: -5 }), {
+    success: false,
+    code: 'INVALID_QUANTITY',
+    error: 'Quantity must be a positive whole number (quantity)'
+  });
+  assert.equal(validate('execute_trade', { action: 'hold', symbol: 'ITC', quantity: 0 }).code, 'UNKNOWN_ACTION');
+  assert.equal(validate('execute_trade', null).code, 'INVALID_PAYLOAD');
+  assert.equal(validate('execute_trade', ['buy']).code, 'INVALID_PAYLOAD');
+  assert.equal(validate('place_order', { symbol: 'ITC', side: 'buy', type: 'market', quantity: 1 }), null);
+});
+
+test('a rejection carries its code and the default message', () => {
+  assert.deepEqual(rejection('SHORT_FROZEN'), { success: false, code: 'SHORT_FROZEN', error: 'Short selling is currently frozen' });
+  assert.equal(rejection('NOT_FOUND', 'Order not found').error, 'Order not found');
+});
+
+test('a validated handler only runs on a valid payload and always gets a callback', () => {
+  const socket = stubSocket();
+  const calls = [];
+  const handler = validated(socket, 'cancel_order', (data, callback) => {
+    calls.push(data);
+    callback({ success: true });
+  });
+
+  let reply;
+  handler({ orderId: 42 }, response => { reply = response; });
+  assert.equal(reply.code, 'NOT_FOUND');
+  assert.equal(calls.length, 0);
+
+  handler({ orderId: 42 });
+  assert.deepEqual(socket.emitted[0].payload, { message: 'Not found (orderId)', code: 'NOT_FOUND', type: 'error' });
+
+  handler({ orderId: 'o1' });
+  assert.deepEqual(calls, [{ orderId: 'o1' }]);
+});
+
+test('admin and team events are refused with a code before the handler runs', () => {
+  const socket = stubSocket({ isAdmin: false, teamId: null });
+  let ran = false;
+  const run = () => { ran = true; };
+
+  let reply;
+  adminOnly(socket, run)({}, response => { reply = response; });
+  assert.equal(reply.code, 'AUTH_REQUIRED');
+  teamOnly(socket, run)({});
+  assert.equal(socket.emitted[0].payload.code, 'TEAM_REQUIRED');
+  assert.equal(ran, false);
+
+  socket.data.teamId = 'team-1';
+  teamOnly(socket, run)({}, () => {});
+  assert.equal(ran, true);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const visibility = require('../lib/visibility');
+const { startSession } = require('./helpers');
+
+test('standings carry only the name, value and rank of each team', () => {
+  const teams = [
+    { id: 'a', name: 'Alpha', joinCode: 'AAAAAA', cash: 900, holdings: { ITC: 1 } },
+    { id: 'b', name: 'Beta', joinCode: 'BBBBBB', cash: 1200.456, holdings: {} }
+  ];
+
+  assert.deepEqual(visibility.standings(teams, team => team.cash), [
+    { id: 'b', name: 'Beta', portfolioValue: 1200.46, rank: 1 },
+    { id: 'a', name: 'Alpha', portfolioValue: 900, rank: 2 }
+  ]);
+  assert.deepEqual(visibility.ownTeam(teams[0]), { id: 'a', name: 'Alpha', cash: 900, holdings: { ITC: 1 } });
+  assert.equal(teams[0].joinCode, 'AAAAAA');
+});
+
+// Everything a player of `teamId` is sent: session and team room broadcasts plus direct emits
+function seenBy(game, socket, teamId) {
+  const rooms = ['session:test', `team_${teamId}`];
+  const broadcasts = game.io.sent.filter(({ targets, excluded }) =>
+    targets.some(target => rooms.includes(target)) && !excluded.some(target => rooms.includes(target)));
+  return [...broadcasts, ...socket.received];
+}
+
+test('a team is never sent another team\'s join code, holdings or trades', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  const beta = await game.team(admin, 'Beta');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+  await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 10 });
+
+  const seen = seenBy(game, beta.socket, beta.id);
+  const text = JSON.stringify(seen.map(({ payload }) => payload));
+  assert.ok(!text.includes(alpha.state.joinCode));
+  assert.ok(!text.includes(beta.state.joinCode));
+  assert.ok(seen.filter(({ event }) => event === 'team_updated').every(({ payload }) => payload.id === beta.id));
+  assert.ok(!seen.some(({ event, payload }) => event === 'trade_executed' && payload.teamId === alpha.id));
+
+  const standings = seen.filter(({ event }) => event === 'standings_update').pop().payload;
+  assert.deepEqual(standings.map(entry => Object.keys(entry).sort()), [
+    ['id', 'name', 'portfolioValue', 'rank'],
+    ['id', 'name', 'portfolioValue', 'rank']
+  ]);
+  const publicState = seen.filter(({ event }) => event === 'game_state').pop().payload;
+  assert.ok(publicState.teams.every(entry => entry.holdings === undefined && entry.joinCode === undefined));
+});
+
+test('admins get whole teams, join codes included, and a team its own without one', async (t) => {
+  const game = startSession(t);
+  const admin = await game.admin();
+  const alpha = await game.team(admin, 'Alpha');
+  await admin.call('start_phase', { phase: 'trading', duration: 60, rounds: 1 });
+  await admin.call('toggle_market_trading');
+
+  const { team } = await alpha.socket.call('execute_trade', { action: 'buy', symbol: 'ITC', quantity: 10 });
+  assert.equal(team.joinCode, undefined);
+  const updates = game.io.sent.filter(({ event }) => event === 'team_updated');
+  assert.equal(updates.find(({ targets }) => targets.includes('session:test:admins')).payload.joinCode, alpha.state.joinCode);
+  const own = updates.find(({ targets }) => targets.includes(`team_${alpha.id}`));
+  assert.deepEqual(own.excluded, ['session:test:admins']);
+  assert.equal(own.payload.joinCode, undefined);
+  assert.deepEqual(own.payload.holdings, { ITC: 10 });
+});